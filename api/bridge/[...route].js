@@ -1,90 +1,222 @@
 // Calls Amello API directly (no MCP dependency) and returns clean JSON for GPT Actions.
+// Requests are validated with the same zod schemas as the MCP tools (lib/schemas.js);
+// errors are RFC 7807 application/problem+json (lib/problem.js).
 // Env:
 //   AMELLO_BASE_URL    (default https://prod-api.amello.plusline.net)
 //   AMELLO_AUTH_SCHEME (bearer | x-api-key | none; default bearer)
 //   AMELLO_API_KEY     (if required)
 //   AMELLO_EXTRA_HEADERS (JSON string, optional)
+//   AMELLO_TIMEOUT_MS / AMELLO_RETRIES / AMELLO_BREAKER_* (see lib/upstream.js)
+//   AMELLO_CACHE_BACKEND / AMELLO_CACHE_TTLS (see lib/cache.js)
+//   MCP_AUTH / MCP_KEY_STORE / MCP_API_KEYS (inbound keys, scope "bridge:<operationId>"; see lib/auth.js)
+//   RATE_LIMITS / RATE_QUOTAS (per client and route, "bridge:<operationId>"; see lib/ratelimit.js)
+//   AMELLO_BOOKING_PATH / RATE_FAILURE_LIMITS (POST /booking; see lib/booking.js)
+//   WATCH_STORE / WATCH_* (/watches*; see lib/watch.js)
+//   LOG_LEVEL (requests are logged and counted per route; see lib/log.js, lib/metrics.js)
 
-const AMELLO_BASE_URL = (process.env.AMELLO_BASE_URL || 'https://prod-api.amello.plusline.net').replace(/\/+$/, '');
-const AUTH_SCHEME = (process.env.AMELLO_AUTH_SCHEME || 'bearer').toLowerCase();
-const API_KEY = process.env.AMELLO_API_KEY || '';
-let EXTRA_HEADERS = {};
-try { EXTRA_HEADERS = process.env.AMELLO_EXTRA_HEADERS ? JSON.parse(process.env.AMELLO_EXTRA_HEADERS) : {}; } catch { EXTRA_HEADERS = {}; }
+const { AMELLO_BASE_URL, UpstreamError } = require('../../lib/upstream');
+const { upstreamHeaders } = require('../../lib/headers');
+const { findHotels, hotelOffer } = require('../../lib/amello');
+const { lookupBooking, NOT_FOUND_MESSAGE, NOT_CONFIGURED_MESSAGE } = require('../../lib/booking');
+const { createWatch, listWatches, deleteWatch, WatchError } = require('../../lib/watch');
+const { normalizePrices } = require('../../lib/money');
+const { PartyError } = require('../../lib/party');
+const { cachedRequestJson } = require('../../lib/cache');
+const { loadSchemas, stayViolations, bridgeOperation } = require('../../lib/schemas');
+const { zodToJsonSchema } = require('../../lib/json-schema');
+const {
+  PROBLEM_TYPES, ProblemError, validationProblem, parseOrProblem, upstreamProblem, sendProblem
+} = require('../../lib/problem');
+const { searchHotels } = require('../../lib/catalog');
+const { AuthError, authenticate, authorize, challenge, readRawBody } = require('../../lib/auth');
+const { RateLimitError, enforce, clientId, rateLimitHeaders } = require('../../lib/ratelimit');
+const { instrument, annotate } = require('../../lib/tracing');
+const { log } = require('../../lib/log');
 
-function authHeaders() {
-  const h = {};
-  if (AUTH_SCHEME === 'bearer' && API_KEY) h['Authorization'] = `Bearer ${API_KEY}`;
-  else if (AUTH_SCHEME === 'x-api-key' && API_KEY) h['X-API-Key'] = API_KEY;
-  return h;
-}
+// Route table: each entry names its BRIDGE_OPERATIONS entry (lib/schemas.js), which
+// supplies the method and the body/query schema. Handlers get validated input.
+const routes = {
+  '/find-hotels': {
+    operationId: 'findHotels',
+    handle: async ({ body, instance }, res) => sendUpstream(res, await findHotels(body), instance)
+  },
+  '/hotel-offer': {
+    operationId: 'hotelOffer',
+    handle: async ({ body, instance }, res) => sendUpstream(res, await hotelOffer(body), instance)
+  },
+  '/hotels': {
+    operationId: 'listHotels',
+    handle: async ({ query, instance }, res) => {
+      const target = new URL(`${AMELLO_BASE_URL}/api/v1/hotels`);
+      target.searchParams.set('locale', query.locale);
+      target.searchParams.set('page', String(query.page));
+      return proxyCached(res, 'hotels', target.toString(), instance);
+    }
+  },
+  '/hotels/search': {
+    operationId: 'searchHotels',
+    handle: async ({ query }, res) => {
+      const { locale, refresh, ...filters } = query;
+      return json(res, 200, await searchHotels(locale, filters, { refresh }));
+    }
+  },
+  '/currencies': {
+    operationId: 'listCurrencies',
+    handle: async ({ query, instance }, res) => {
+      const target = new URL(`${AMELLO_BASE_URL}/api/v1/currencies`);
+      target.searchParams.set('locale', query.locale);
+      return proxyCached(res, 'currencies', target.toString(), instance);
+    }
+  },
+  '/booking': {
+    operationId: 'bookingLookup',
+    handle: async ({ body, client, instance }, res) => {
+      const r = await lookupBooking(body, { client });
+      if (r.status === 200) return json(res, 200, await normalizePrices(r.booking, { locale: body.locale }));
+      if (r.status === 404) {
+        return sendProblem(res, { type: PROBLEM_TYPES.bookingNotFound, title: 'Booking not found', status: 404, detail: NOT_FOUND_MESSAGE }, instance);
+      }
+      if (r.status === 501) {
+        return sendProblem(res, { type: PROBLEM_TYPES.bookingUnavailable, title: 'Not Implemented', status: 501, detail: NOT_CONFIGURED_MESSAGE }, instance);
+      }
+      return sendUpstream(res, r, instance);
+    }
+  },
+  '/watches': {
+    operationId: 'listWatches',
+    handle: async ({ query, client }, res) => json(res, 200, { watches: await listWatches({ client, historyLimit: query.historyLimit }) })
+  },
+  '/watches/create': {
+    operationId: 'createWatch',
+    handle: async ({ body, client }, res) => json(res, 200, await createWatch(body, { client }))
+  },
+  '/watches/delete': {
+    operationId: 'deleteWatch',
+    handle: async ({ body, client }, res) => json(res, 200, await deleteWatch(body.watchId, { client }))
+  }
+};
 
-module.exports = async function handler(req, res) {
+module.exports = instrument('/api/bridge', async function handler(req, res) {
+  let instance;
   try {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const sub = url.pathname.replace(/^\/api\/bridge/, '') || '/';
+    instance = url.pathname;
 
     if (sub === '/' || sub === '/health') {
       return json(res, 200, { ok: true });
     }
 
-    switch (sub) {
-      case '/find-hotels':
-        if (req.method !== 'POST') return json(res, 405, { error: 'Use POST' });
-        return proxyJson(res, `${AMELLO_BASE_URL}/api/v1/find-hotels`, 'POST', await readJson(req));
+    const route = routes[sub];
+    if (!route) throw new ProblemError(404, 'Not Found', { detail: `No bridge route for ${sub}` });
+    const op = bridgeOperation(route.operationId);
+    if (!op) throw new Error(`Bridge route ${sub} has no operation in lib/schemas.js`);
+    annotate({ route: `/api/bridge${sub}` });
+    const principal = authorize(await authenticate(req), `bridge:${op.operationId}`);
+    allowMethod(req, op.method.toUpperCase());
+    const client = clientId(req, principal);
+    const limit = await enforce(client, `bridge:${op.operationId}`);
+    for (const [k, v] of Object.entries(rateLimitHeaders(limit))) res.setHeader(k, v);
 
-      case '/hotel-offer':
-        if (req.method !== 'POST') return json(res, 405, { error: 'Use POST' });
-        return proxyJson(res, `${AMELLO_BASE_URL}/api/v1/hotel/offer`, 'POST', await readJson(req));
-
-      case '/hotels': {
-        if (req.method !== 'GET') return json(res, 405, { error: 'Use GET' });
-        const q = new URLSearchParams(url.search);
-        if (!q.get('locale')) return json(res, 400, { error: 'Missing query param: locale' });
-        const target = new URL(`${AMELLO_BASE_URL}/api/v1/hotels`);
-        target.searchParams.set('locale', q.get('locale'));
-        if (q.get('page')) target.searchParams.set('page', q.get('page'));
-        return proxyJson(res, target.toString(), 'GET');
-      }
-
-      case '/currencies': {
-        if (req.method !== 'GET') return json(res, 405, { error: 'Use GET' });
-        const q = new URLSearchParams(url.search);
-        if (!q.get('locale')) return json(res, 400, { error: 'Missing query param: locale' });
-        const target = new URL(`${AMELLO_BASE_URL}/api/v1/currencies`);
-        target.searchParams.set('locale', q.get('locale'));
-        return proxyJson(res, target.toString(), 'GET');
-      }
-
-      default:
-        return json(res, 404, { error: 'Not found' });
-    }
+    const S = await loadSchemas();
+    const input = { instance, client };
+    if (op.body) input.body = await readValidBody(req, S[op.body]);
+    if (op.query) input.query = parseOrProblem(S[op.query], queryObject(url, S[op.query]), 'query');
+    return await route.handle(input, res);
   } catch (e) {
-    return json(res, 500, { error: String(e?.message || e) });
+    if (e instanceof ProblemError) return sendProblem(res, e, instance);
+    if (e instanceof AuthError) {
+      return sendProblem(res, {
+        type: e.status === 401 ? PROBLEM_TYPES.unauthorized : PROBLEM_TYPES.forbidden,
+        title: e.status === 401 ? 'Unauthorized' : 'Forbidden',
+        status: e.status,
+        detail: e.message,
+        headers: e.status === 401 ? { 'WWW-Authenticate': challenge(e) } : undefined
+      }, instance);
+    }
+    if (e instanceof RateLimitError) {
+      return sendProblem(res, {
+        type: PROBLEM_TYPES.rateLimited,
+        title: 'Too Many Requests',
+        status: 429,
+        detail: e.message,
+        headers: e.headers
+      }, instance);
+    }
+    if (e instanceof WatchError) {
+      if (e.violations) return sendProblem(res, validationProblem(e.violations, 'The watch is not valid.'), instance);
+      return sendProblem(res, {
+        type: e.status === 404 ? PROBLEM_TYPES.watchNotFound : PROBLEM_TYPES.watchLimit,
+        title: e.status === 404 ? 'Watch not found' : 'Too many watches',
+        status: e.status,
+        detail: e.message
+      }, instance);
+    }
+    if (e instanceof PartyError) {
+      return sendProblem(res, validationProblem(e.violations, 'The traveller party breaks the room occupancy rules.'), instance);
+    }
+    if (e instanceof UpstreamError) {
+      return sendProblem(res, {
+        type: PROBLEM_TYPES.unavailable,
+        title: 'Amello API unavailable',
+        status: e.status,
+        detail: e.message,
+        headers: e.retryAfter ? { 'Retry-After': String(e.retryAfter) } : undefined
+      }, instance);
+    }
+    log.error('bridge_error', { error: e, stack: e?.stack });
+    return sendProblem(res, { title: 'Internal Server Error', status: 500, detail: String(e?.message || e) }, instance);
   }
-};
+});
 
-async function proxyJson(res, targetUrl, method, bodyObj) {
-  const headers = {
-    accept: 'application/json',
-    ...authHeaders(),
-    ...EXTRA_HEADERS
-  };
-
-  const init = { method, headers };
-  if (bodyObj !== undefined) {
-    headers['content-type'] = 'application/json';
-    init.body = JSON.stringify(bodyObj);
+function allowMethod(req, method) {
+  if (req.method !== method) {
+    throw new ProblemError(405, 'Method Not Allowed', { detail: `Use ${method}`, headers: { Allow: method } });
   }
+}
 
-  const r = await fetch(targetUrl, init);
-  const ct = (r.headers.get('content-type') || '').toLowerCase();
-  let data;
-  if (ct.includes('application/json') || ct.includes('ld+json')) {
-    try { data = await r.json(); } catch { data = await r.text(); }
-  } else {
-    data = await r.text();
+// Validates against the shared zod schema but forwards the body as sent,
+// so fields the schema does not model still reach Amello.
+async function readValidBody(req, schema) {
+  const body = await readJson(req);
+  parseOrProblem(schema, body);
+  const violations = stayViolations(body);
+  if (violations.length) throw validationProblem(violations);
+  return body;
+}
+
+// Query string -> plain object typed after the query schema (numbers, booleans,
+// comma-separated arrays), so zod sees the same values an MCP client would send.
+function queryObject(url, schema) {
+  const props = zodToJsonSchema(schema).properties || {};
+  const out = {};
+  for (const [k, v] of url.searchParams) {
+    if (v === '') continue;
+    const type = props[k]?.type;
+    if (type === 'number' || type === 'integer') out[k] = Number(v);
+    else if (type === 'boolean') out[k] = v === 'true' || v === '1';
+    else if (type === 'array') out[k] = v.split(',').map(s => s.trim()).filter(Boolean);
+    else out[k] = v;
   }
-  return json(res, r.status, data);
+  return out;
+}
+
+// Upstream 400/422 ld+json violation lists are re-shaped into problem+json.
+function sendUpstream(res, r, instance) {
+  const problem = upstreamProblem(r.status, r.data);
+  if (problem) return sendProblem(res, problem, instance);
+  return json(res, r.status, r.data);
+}
+
+// Catalog GETs go through lib/cache.js; cache state is reported via X-Cache / Age.
+async function proxyCached(res, endpoint, targetUrl, instance) {
+  const r = await cachedRequestJson(endpoint, targetUrl, {
+    method: 'GET',
+    headers: upstreamHeaders({ accept: 'application/json' })
+  });
+  res.setHeader('X-Cache', r.cache.status.toUpperCase());
+  res.setHeader('Age', String(r.cache.ageSeconds));
+  return sendUpstream(res, r, instance);
 }
 
 function json(res, status, obj) {
@@ -93,13 +225,15 @@ function json(res, status, obj) {
   res.end(typeof obj === 'string' ? obj : JSON.stringify(obj));
 }
 
-function readJson(req) {
-  if (req.body && typeof req.body === 'object') return Promise.resolve(req.body);
-  return new Promise((resolve, reject) => {
-    let b = '';
-    req.setEncoding('utf8');
-    req.on('data', c => (b += c));
-    req.on('end', () => { try { resolve(b ? JSON.parse(b) : {}); } catch (e) { reject(e); } });
-    req.on('error', reject);
-  });
+// The body is read through lib/auth.js so a signed request's bytes are only consumed once.
+// A platform body parser (Vercel's req.body getter) throws on malformed JSON while it is read.
+async function readJson(req) {
+  try {
+    const raw = await readRawBody(req);
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    throw new ProblemError(400, 'Malformed JSON body', { type: PROBLEM_TYPES.malformed, detail: e.message });
+  }
 }
+
+module.exports.routes = routes;
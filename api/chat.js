@@ -1,139 +1,193 @@
 // CommonJS serverless chat endpoint that:
 // 1) fetches MCP tools from /api/mcp
-// 2) exposes them to OpenAI's function-calling
-// 3) executes tool calls via MCP, loops until final answer
+// 2) exposes them to the selected LLM provider (lib/llm.js: openai, anthropic, openai-compatible;
+//    "provider" / "model" in the body override LLM_PROVIDER / LLM_MODEL)
+// 3) executes tool calls via MCP, loops until final answer (lib/chat-loop.js: budgets,
+//    parallel calls, argument repair, result shrinking; "limits" in the body can lower budgets)
+// Streaming: with "Accept: text/event-stream" (or "stream": true in the body) the reply is sent
+// as Server-Sent Events: session { sessionId, correlationId }, token { text }, tool_start { id, name, arguments },
+// tool_end { id, name, durationMs, ok, error?, result }, done { sessionId, reply, messages, trace, ... } or error { error }.
+// Other clients keep getting one JSON response { sessionId, messages, reply, stopReason, usage, trace }.
+// Sessions (lib/sessions.js): pass "sessionId" with only the new message(s) and the stored
+// history (including tool results) is replayed; without one a new session is started.
+// GET /api/chat?sessionId=… returns the history, DELETE /api/chat?sessionId=… drops it.
+// A session belongs to the caller that started it (API key id, or IP with auth off); for anyone
+// else it does not exist.
+// Callers authenticate like on /api/mcp-bridge when inbound auth is on (lib/auth.js): the model
+// only sees the tools the key has "tool:<name>" scope for, and every call is checked against the
+// same scopes before it goes to /api/mcp with MCP_INTERNAL_KEY and the caller in X-Amello-Client,
+// so tool rate limits apply per user (lib/ratelimit.js).
+// CORS_ALLOWED_ORIGINS: comma-separated origins (default "*" only while auth is off)
+// Every request gets a correlation id (X-Correlation-Id, also "correlationId" in the reply)
+// that is passed to /api/mcp and on to Amello, so one chat turn can be followed in the logs.
 
-const OPENAI_API_URL = process.env.OPENAI_API_URL || "https://api.openai.com/v1/chat/completions";
-const OPENAI_MODEL   = process.env.OPENAI_MODEL   || "gpt-4o-mini"; // set to your preferred model
-const OPENAI_KEY     = process.env.OPENAI_API_KEY;
+const {
+  AuthError, authEnabled, authenticate, authorize, hasScope, challenge, readRawBody, internalAuthHeaders
+} = require("../lib/auth");
+const { clientId } = require("../lib/ratelimit");
+const {
+  newSession, loadSession, saveSession, deleteSession, compactHistory, promptMessages
+} = require("../lib/sessions");
 
-function setCors(res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+const { resolveProvider } = require("../lib/llm");
+const { runToolLoop, resolveLimits } = require("../lib/chat-loop");
+const { instrument, annotate } = require("../lib/tracing");
+const { log, correlationId, correlationHeaders, correlationMeta } = require("../lib/log");
+
+const DEFAULT_SYSTEM = "You are a helpful assistant. Use available tools when helpful.";
+
+function setCors(req, res) {
+  const allowed = (process.env.CORS_ALLOWED_ORIGINS || (authEnabled() ? "" : "*"))
+    .split(",").map(o => o.trim()).filter(Boolean);
+  const origin = req.headers.origin;
+  if (allowed.includes("*")) res.setHeader("Access-Control-Allow-Origin", "*");
+  else if (origin && allowed.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Headers",
+    "Content-Type, Accept, Authorization, X-API-Key, X-Amello-Key-Id, X-Amello-Timestamp, X-Amello-Signature, X-Correlation-Id");
+  res.setHeader("Access-Control-Expose-Headers", "X-Correlation-Id");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
 }
 function sendJson(res, status, obj) {
   const str = JSON.stringify(obj);
   res.statusCode = status; res.setHeader("content-type", "application/json"); res.end(str);
 }
-async function readStreamUtf8(req) {
-  const chunks = [];
-  return await new Promise((resolve) => {
-    req.on?.("data", (c) => chunks.push(Buffer.from(c)));
-    req.on?.("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
-    req.on?.("error", () => resolve(""));
-  });
-}
+// readRawBody keeps the bytes on req.rawBody, so a signed request's body is read only once.
 async function readJson(req) {
   let raw = "";
-  try { raw = await readStreamUtf8(req); } catch { return { err: "Body read error" }; }
+  try { raw = await readRawBody(req); } catch { return { err: "Body read error" }; }
   if (!raw) return { err: "Missing body" };
   try { return { obj: JSON.parse(raw) }; } catch { return { err: "Invalid JSON" }; }
 }
 
-async function mcpListTools(mcpUrl) {
-  const payload = { jsonrpc: "2.0", id: Date.now(), method: "tools/list" };
-  const res = await fetch(mcpUrl, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(payload) });
+// The Streamable HTTP transport rejects clients that do not accept both (406).
+const MCP_ACCEPT = "application/json, text/event-stream";
+
+// Only the tools the caller may use are offered to the model.
+async function mcpListTools(mcpUrl, principal) {
+  const payload = { jsonrpc: "2.0", id: Date.now(), method: "tools/list", params: { _meta: correlationMeta() } };
+  const headers = { "content-type": "application/json", accept: MCP_ACCEPT, ...correlationHeaders(), ...internalAuthHeaders() };
+  const res = await fetch(mcpUrl, { method: "POST", headers, body: JSON.stringify(payload) });
   const json = await res.json();
   if (!res.ok || json.error) throw new Error(`MCP tools/list failed: ${json?.error?.message || res.statusText}`);
-  return json.result.tools || [];
+  return (json.result.tools || []).filter((t) => hasScope(principal.scopes, `tool:${t.name}`));
 }
-async function mcpCallTool(mcpUrl, name, args) {
-  const payload = { jsonrpc: "2.0", id: Date.now(), method: "tools/call", params: { name, arguments: args || {} } };
-  const res = await fetch(mcpUrl, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(payload) });
+async function mcpCallTool(mcpUrl, name, args, client, principal) {
+  authorize(principal, `tool:${name}`);
+  const payload = { jsonrpc: "2.0", id: Date.now(), method: "tools/call", params: { name, arguments: args || {}, _meta: correlationMeta() } };
+  const headers = { "content-type": "application/json", accept: MCP_ACCEPT, "x-amello-client": client, ...correlationHeaders(), ...internalAuthHeaders() };
+  const res = await fetch(mcpUrl, { method: "POST", headers, body: JSON.stringify(payload) });
   const json = await res.json();
   if (!res.ok || json.error) throw new Error(`MCP tools/call failed: ${json?.error?.message || res.statusText}`);
   return json.result; // { content:[{type:"text",text}], structuredContent?:any, ... }
 }
 
-function toOpenAITools(mcpTools) {
-  // Map MCP JSON Schemas to OpenAI "function" tools
-  return (mcpTools || []).map(t => ({
-    type: "function",
-    function: {
-      name: t.name,
-      description: t.description || "",
-      parameters: t.inputSchema || { type: "object" }
-    }
-  }));
+// ---- SSE ----
+function wantsStream(req, obj) {
+  return obj?.stream === true || /text\/event-stream/i.test(req.headers.accept || "");
 }
-
-async function callOpenAI(tools, messages) {
-  if (!OPENAI_KEY) throw new Error("Missing OPENAI_API_KEY");
-  const body = {
-    model: OPENAI_MODEL,
-    messages,
-    tools,
-    tool_choice: "auto",
-    temperature: 0.2
+function sseStart(res) {
+  res.statusCode = 200;
+  res.setHeader("content-type", "text/event-stream; charset=utf-8");
+  res.setHeader("cache-control", "no-cache, no-transform");
+  res.setHeader("connection", "keep-alive");
+  res.setHeader("x-accel-buffering", "no");
+  res.flushHeaders?.();
+  // comment lines keep proxies from closing the connection during long tool calls
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  res.on("close", () => clearInterval(heartbeat));
+  return (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   };
-  const res = await fetch(OPENAI_API_URL, {
-    method: "POST",
-    headers: { "content-type": "application/json", "authorization": `Bearer ${OPENAI_KEY}` },
-    body: JSON.stringify(body)
-  });
-  const json = await res.json();
-  if (!res.ok) throw new Error(`OpenAI error: ${res.status} ${res.statusText} – ${JSON.stringify(json)}`);
-  return json;
 }
 
-module.exports = async function handler(req, res) {
+// GET: stored history for reloading the UI; DELETE: forget the session. Only for its owner.
+async function handleSessionRequest(req, res, owner) {
+  const id = new URL(req.url, "http://localhost").searchParams.get("sessionId");
+  if (req.method === "DELETE") {
+    await deleteSession(id, owner);
+    return sendJson(res, 200, { ok: true });
+  }
+  const session = await loadSession(id, owner);
+  if (!session) return sendJson(res, 404, { error: "Unknown or expired session" });
+  const { summary, messages, createdAt, updatedAt } = session;
+  return sendJson(res, 200, { sessionId: session.id, createdAt, updatedAt, summary, messages });
+}
+
+module.exports = instrument("/api/chat", async function handler(req, res) {
+  let emit = null;
   try {
-    setCors(res);
+    setCors(req, res);
     if (req.method === "OPTIONS") return res.end();
+    const principal = await authenticate(req);
+    const client = clientId(req, principal);
+    if (req.method === "GET" || req.method === "DELETE") return await handleSessionRequest(req, res, client);
     if (req.method !== "POST") return sendJson(res, 405, { error: "Use POST" });
 
     const { obj, err } = await readJson(req);
     if (!obj) return sendJson(res, 400, { error: err || "Invalid JSON" });
 
+    let session = newSession(client);
+    if (obj.sessionId) {
+      session = await loadSession(obj.sessionId, client);
+      if (!session) return sendJson(res, 404, { error: "Unknown or expired session", sessionId: obj.sessionId });
+    }
     const userMessages = Array.isArray(obj?.messages) ? obj.messages : [];
-    const systemPrompt = obj?.system || "You are a helpful assistant. Use available tools when helpful.";
+    if (typeof obj.message === "string" && obj.message) userMessages.push({ role: "user", content: obj.message });
+    session.system = obj.system || session.system || null;
+    session.messages.push(...userMessages);
+
+    let llm;
+    try { llm = resolveProvider(obj.provider, obj.model); } catch (e) { return sendJson(res, 400, { error: e.message }); }
     const mcpUrl = process.env.MCP_URL || `https://${req.headers.host}/api/mcp`;
+    const stream = wantsStream(req, obj);
+    if (stream) {
+      emit = sseStart(res);
+      emit("session", { sessionId: session.id, correlationId: correlationId() });
+    }
 
     // 1) load tools from MCP
-    const mcpTools = await mcpListTools(mcpUrl);
-    const oaTools  = toOpenAITools(mcpTools);
-
-    // 2) run tool loop
-    const messages = [{ role: "system", content: systemPrompt }, ...userMessages];
-    for (let i = 0; i < 4; i++) {
-      const ai = await callOpenAI(oaTools, messages);
-      const choice = ai?.choices?.[0];
-      const msg = choice?.message;
-      if (!msg) break;
-
-      messages.push({ role: "assistant", content: msg.content || "", tool_calls: msg.tool_calls });
+    const mcpTools = await mcpListTools(mcpUrl, principal);
 
-      const calls = msg.tool_calls || msg.tool_calls?.length ? msg.tool_calls : msg?.tool_calls;
-      if (!calls || !calls.length) {
-        // final answer
-        return sendJson(res, 200, { messages, reply: msg.content || "" });
-      }
+    // 2) run tool loop on the stored history
+    const messages = promptMessages(session, session.system || DEFAULT_SYSTEM);
+    annotate({ sessionId: session.id, client });
+    const result = await runToolLoop({
+      llm,
+      messages,
+      tools: mcpTools,
+      callTool: (name, args) => mcpCallTool(mcpUrl, name, args, client, principal),
+      stream,
+      emit: emit || (() => {}),
+      limits: resolveLimits(obj.limits)
+    });
 
-      // Execute tool calls via MCP
-      for (const c of calls) {
-        const tname = c.function?.name;
-        const targs = c.function?.arguments ? JSON.parse(c.function.arguments) : {};
-        let toolResult;
-        try {
-          toolResult = await mcpCallTool(mcpUrl, tname, targs);
-        } catch (e) {
-          toolResult = { content: [{ type: "text", text: `Tool error: ${e.message}` }], isError: true };
-        }
-        // feed back to model as a "tool" message
-        messages.push({
-          role: "tool",
-          tool_call_id: c.id || undefined,
-          name: tname,
-          content: JSON.stringify(toolResult)
-        });
-      }
-    }
-
-    return sendJson(res, 200, { messages, reply: "(stopped after 4 tool iterations)" });
+    // 3) keep everything after the system prompt, compacted for the next turn
+    session.messages = result.messages.slice(1);
+    await saveSession(compactHistory(session));
+    log.info("chat_turn", {
+      provider: llm.adapter.name,
+      model: llm.model,
+      stopReason: result.stopReason,
+      usage: result.usage,
+      steps: result.trace.map((s) => s.type === "tool" ? `${s.name}:${s.ok ? "ok" : "error"}` : s.type)
+    });
+    const out = { sessionId: session.id, correlationId: correlationId(), provider: llm.adapter.name, model: llm.model, ...result };
+    if (!stream) return sendJson(res, 200, out);
+    emit("done", out);
+    return res.end();
   } catch (e) {
-    console.error("[chat] crash:", e);
+    if (e instanceof AuthError) {
+      if (e.status === 401) res.setHeader("WWW-Authenticate", challenge(e));
+      return sendJson(res, e.status, { error: e.message });
+    }
+    log.error("chat_error", { error: e, stack: e?.stack });
+    if (emit) {
+      emit("error", { error: e.message || String(e) });
+      return res.end();
+    }
     return sendJson(res, 500, { error: e.message || String(e) });
   }
-};
-
+});
@@ -0,0 +1,38 @@
+// Serves the /api/mcp-bridge OpenAPI 3.1 document: one operation per MCP tool, generated
+// from the live tools/list of /api/mcp (lib/openapi.js buildToolsOpenApi), so it can be
+// imported straight into GPT Actions. JSON by default; YAML for ?format=yaml or an Accept
+// header asking for yaml. Like api/bridge-openapi.js it stays public and declares security
+// schemes while inbound auth is on (lib/auth.js).
+
+const { buildToolsOpenApi } = require('../lib/openapi');
+const { toYaml } = require('../lib/yaml');
+const { authEnabled, openApiSecurity } = require('../lib/auth');
+const { instrument } = require('../lib/tracing');
+const { log } = require('../lib/log');
+const { listTools, MAX_BATCH } = require('./mcp-bridge');
+
+module.exports = instrument('/api/mcp-bridge-openapi', async function handler(req, res) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const oas = buildToolsOpenApi(await listTools(), {
+      serverUrl: `https://${req.headers.host}`,
+      security: authEnabled() ? openApiSecurity() : undefined,
+      maxBatch: MAX_BATCH
+    });
+
+    const wantsYaml = url.searchParams.get('format') === 'yaml' || /yaml/i.test(req.headers.accept || '');
+    res.statusCode = 200;
+    if (wantsYaml) {
+      res.setHeader('Content-Type', 'application/yaml; charset=utf-8');
+      res.end(toYaml(oas));
+    } else {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(oas, null, 2));
+    }
+  } catch (e) {
+    log.error('openapi_error', { error: e, stack: e?.stack });
+    res.statusCode = 500;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: String(e?.message || e) }));
+  }
+});
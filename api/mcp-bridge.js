@@ -1,35 +1,115 @@
 // /api/mcp-bridge.js
 // Generic Amello MCP Bridge for Vercel
-// Accepts { "name": "tool_name", "arguments": {...} }
+//   GET  /api/mcp-bridge               -> tool catalog { tools: [{ name, title, description, inputSchema, ... }] }
+//   GET  /api/mcp-bridge/<tool>        -> one catalog entry
+//   POST /api/mcp-bridge               { "name": "tool_name", "arguments": {...} } -> result
+//   POST /api/mcp-bridge/<tool>        the tool's arguments as the body -> result
+//   POST /api/mcp-bridge               [{ name, arguments }, ...] or { "calls": [...] } -> batch
 // Converts to JSON-RPC → forwards to /api/mcp → returns structured result
+// Batch calls run concurrently (at most MCP_BRIDGE_CONCURRENCY at a time) and come back in
+// order as { results: [{ name, status, result | error }] }; status is what the same call alone
+// would have answered with, so one failing call does not fail the batch.
+// Errors are RFC 7807 problem+json (lib/problem.js), in a batch as the entry's "error". JSON-RPC
+// errors and tool errors (isError) get their HTTP equivalent: _meta["amello/status"] when
+// /api/mcp sets one, else from the JSON-RPC / MCP error code (unknown tool 404, invalid
+// arguments 422), else 500.
+// The OpenAPI document with one operation per tool is served by api/mcp-bridge-openapi.js.
+// Callers need an API key with scope "tool:<name>" when inbound auth is on (lib/auth.js); the
+// catalog only lists tools the key may call. The call to /api/mcp itself is made with MCP_INTERNAL_KEY.
+// Rate limits are applied by /api/mcp for the original caller (X-Amello-Client); a throttled
+// call comes back as 429 with Retry-After / RateLimit-* headers.
+// CORS_ALLOWED_ORIGINS: comma-separated origins (default "*" only while auth is off)
+// Each call gets a correlation id (or keeps the caller's X-Correlation-Id) that travels to
+// /api/mcp in the header and in params._meta, and comes back in X-Correlation-Id.
+// Env:
+//   MCP_BRIDGE_MAX_BATCH   (calls per batch, default 20)
+//   MCP_BRIDGE_CONCURRENCY (calls in flight per batch, default 4)
+
+const {
+  AuthError, authEnabled, authenticate, authorize, challenge, readRawBody, internalAuthHeaders
+} = require("../lib/auth");
+const { clientId, rateLimitHeaders } = require("../lib/ratelimit");
+const { PROBLEM_TYPES, problemBody, sendProblem } = require("../lib/problem");
+const { mapLimit } = require("../lib/concurrency");
+const { instrument } = require("../lib/tracing");
+const { log, correlationHeaders, correlationMeta } = require("../lib/log");
 
 const MCP_ENDPOINT =
   process.env.MCP_ENDPOINT || "https://amello-mcp.vercel.app/api/mcp";
 const TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS || 30000);
+const MAX_BATCH = Number(process.env.MCP_BRIDGE_MAX_BATCH || 20);
+const CONCURRENCY = Number(process.env.MCP_BRIDGE_CONCURRENCY || 4);
+const PREFIX = "/api/mcp-bridge";
+
+function setCors(req, res) {
+  const allowed = (process.env.CORS_ALLOWED_ORIGINS || (authEnabled() ? "" : "*"))
+    .split(",").map(o => o.trim()).filter(Boolean);
+  const origin = req.headers.origin;
+  if (allowed.includes("*")) res.setHeader("Access-Control-Allow-Origin", "*");
+  else if (origin && allowed.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Headers",
+    "Content-Type, Accept, Authorization, X-API-Key, X-Amello-Key-Id, X-Amello-Timestamp, X-Amello-Signature, X-Correlation-Id");
+  res.setHeader("Access-Control-Expose-Headers", "X-Correlation-Id, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+}
 
-function setCors(res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Accept");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+class BadRequest extends Error {
+  constructor(message, type) {
+    super(message);
+    this.type = type;
+  }
 }
 
 async function readJson(req) {
-  const chunks = [];
-  for await (const c of req) chunks.push(c);
   try {
-    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+    const raw = await readRawBody(req);
+    return raw && raw.trim() ? JSON.parse(raw) : {};
   } catch {
-    return {};
+    throw new BadRequest("Body is not valid JSON", PROBLEM_TYPES.malformed);
   }
 }
 
-async function forwardToMcp(name, args) {
-  const body = {
-    jsonrpc: "2.0",
-    id: 1,
-    method: "tools/call",
-    params: { name, arguments: args }
-  };
+// =============================
+// PROBLEMS
+// =============================
+
+const TITLES = {
+  400: "Bad Request", 401: "Unauthorized", 403: "Forbidden", 404: "Not Found", 405: "Method Not Allowed",
+  409: "Conflict", 422: "Validation failed", 429: "Too Many Requests", 500: "Tool call failed", 501: "Not Implemented"
+};
+const TYPES = {
+  401: PROBLEM_TYPES.unauthorized, 403: PROBLEM_TYPES.forbidden, 422: PROBLEM_TYPES.validation,
+  429: PROBLEM_TYPES.rateLimited, 500: PROBLEM_TYPES.toolError
+};
+
+const problem = (status, detail, extra = {}) =>
+  ({ type: TYPES[status] || "about:blank", title: TITLES[status] || "Error", status, detail, ...extra });
+
+// JSON-RPC / MCP error codes -> HTTP status (-32001 / -32003 come from /api/mcp's auth check)
+const RPC_STATUS = { "-32700": 400, "-32600": 400, "-32601": 404, "-32602": 422, "-32001": 401, "-32003": 403 };
+
+function authProblem(e) {
+  return problem(e.status, e.message, e.status === 401 ? { headers: { "WWW-Authenticate": challenge(e) } } : {});
+}
+
+// /api/mcp-bridge/<tool>, or ?tool=<tool> when a rewrite (vercel.json) moved it into the query
+function toolFromUrl(req) {
+  const url = new URL(req.url, "http://localhost");
+  const sub = url.pathname.replace(/\/+$/, "").slice(PREFIX.length).replace(/^\/+/, "");
+  return url.searchParams.get("tool") || (sub ? decodeURIComponent(sub) : null);
+}
+
+// =============================
+// MCP CLIENT
+// =============================
+
+let rpcId = 0;
+
+async function mcpRequest(method, params, client) {
+  const body = { jsonrpc: "2.0", id: ++rpcId, method, params: { ...params, _meta: correlationMeta() } };
 
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
@@ -37,45 +117,146 @@ async function forwardToMcp(name, args) {
   try {
     const res = await fetch(MCP_ENDPOINT, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+        ...(client ? { "X-Amello-Client": client } : {}),
+        ...correlationHeaders(),
+        ...internalAuthHeaders()
+      },
       body: JSON.stringify(body),
       signal: controller.signal
     });
 
     const txt = await res.text();
-    if (!res.ok) throw new Error(`HTTP ${res.status}: ${txt}`);
-    const json = JSON.parse(txt);
-
-    // Return structured content when available, else result, else raw
-    return json.result?.structuredContent || json.result || json;
+    let json = null;
+    try { json = JSON.parse(txt); } catch {}
+    // JSON-RPC errors (-32001 / -32003 from the auth check) come with a 4xx status
+    if (!res.ok && !json?.error) throw new Error(`HTTP ${res.status}: ${txt}`);
+    if (!json) throw new Error(`Invalid JSON from ${MCP_ENDPOINT}`);
+    return json;
   } finally {
     clearTimeout(timer);
   }
 }
 
-module.exports = async function handler(req, res) {
-  setCors(res);
+/**
+ * tools/call on /api/mcp. Resolves to { status: 200, body } (structured content when
+ * available, else the result) or { status, problem, headers? } for a failed call.
+ */
+async function forwardToMcp(name, args, client) {
+  const json = await mcpRequest("tools/call", { name, arguments: args }, client);
+  if (json.error) {
+    const status = RPC_STATUS[json.error.code] || 500;
+    return { status, problem: problem(status, json.error.message) };
+  }
+  const result = json.result;
+  if (!result?.isError) return { status: 200, body: result?.structuredContent || result || json };
+
+  const text = (result.content || []).filter((c) => c.type === "text").map((c) => c.text).join("\n") || "Tool call failed";
+  const limit = result._meta?.["amello/rateLimit"];
+  if (limit) {
+    return { status: 429, headers: rateLimitHeaders(limit), problem: problem(429, text, { retryAfter: limit.retryAfter }) };
+  }
+  // the SDK reports unknown tools and invalid arguments as "MCP error <code>: ..." tool errors
+  const sdk = text.match(/^MCP error (-?\d+): /);
+  const status = result._meta?.["amello/status"]
+    || (sdk && (/^Tool \S+ not found$/.test(text.slice(sdk[0].length)) ? 404 : RPC_STATUS[sdk[1]]))
+    || 500;
+  return { status, problem: problem(status, sdk ? text.slice(sdk[0].length) : text) };
+}
+
+/** tools/list from /api/mcp: [{ name, title, description, inputSchema, outputSchema?, annotations? }]. */
+async function listTools() {
+  const json = await mcpRequest("tools/list", {});
+  if (json.error) throw new Error(`MCP tools/list failed: ${json.error.message}`);
+  return json.result?.tools || [];
+}
+
+// =============================
+// CALLS
+// =============================
+
+const mayCall = (principal, name) => {
+  try { authorize(principal, `tool:${name}`); return true; } catch { return false; }
+};
+
+function catalogEntry(tool) {
+  const { name, title, description, inputSchema, outputSchema, annotations } = tool;
+  return { name, title, description, inputSchema, outputSchema, annotations, path: `${PREFIX}/${name}` };
+}
+
+/**
+ * One tool call on behalf of the caller. Never throws; resolves to
+ * { status, body | problem, headers? } as the single-call response would be sent.
+ */
+async function runCall(principal, client, { name, arguments: args } = {}) {
+  if (!name || typeof name !== "string") return { status: 400, problem: problem(400, "Missing tool name") };
+  try {
+    authorize(principal, `tool:${name}`);
+    return await forwardToMcp(name, args || {}, client);
+  } catch (e) {
+    if (e instanceof AuthError) return { status: e.status, problem: problem(e.status, e.message) };
+    log.error("mcp_bridge_error", { tool: name, error: e });
+    return { status: 500, problem: problem(500, e.message || String(e)) };
+  }
+}
+
+async function runBatch(principal, client, calls) {
+  if (!calls.length) throw new BadRequest("Batch is empty");
+  if (calls.length > MAX_BATCH) throw new BadRequest(`Batch has ${calls.length} calls; at most ${MAX_BATCH} are allowed`);
+  // runCall never rejects, so one failing call cannot cut the others short
+  const results = await mapLimit(calls, CONCURRENCY, async (call) => {
+    const r = await runCall(principal, client, call && typeof call === "object" ? call : {});
+    const name = call?.name ?? null;
+    return r.status === 200 ? { name, status: 200, result: r.body } : { name, status: r.status, error: problemBody(r.problem) };
+  });
+  return { results };
+}
+
+function send(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(obj));
+}
+
+module.exports = instrument("/api/mcp-bridge", async function handler(req, res) {
+  setCors(req, res);
+  const instance = new URL(req.url, "http://localhost").pathname;
 
   if (req.method === "OPTIONS") return res.end();
-  if (req.method !== "POST") {
-    res.statusCode = 405;
-    return res.end("Method not allowed");
+  if (req.method !== "GET" && req.method !== "POST") {
+    return sendProblem(res, problem(405, "Use GET or POST", { headers: { Allow: "GET, POST, OPTIONS" } }), instance);
   }
 
   try {
-    const { name, arguments: args } = await readJson(req);
-    if (!name) {
-      res.statusCode = 400;
-      return res.end("Missing tool name");
+    const principal = await authenticate(req);
+    const tool = toolFromUrl(req);
+
+    if (req.method === "GET") {
+      const tools = (await listTools()).filter((t) => mayCall(principal, t.name)).map(catalogEntry);
+      if (!tool) return send(res, 200, { tools, batch: { maxCalls: MAX_BATCH, concurrency: CONCURRENCY } });
+      const entry = tools.find((t) => t.name === tool);
+      return entry ? send(res, 200, entry) : sendProblem(res, problem(404, `Unknown tool ${tool}`), instance);
+    }
+
+    const body = await readJson(req);
+    const client = clientId(req, principal);
+    if (!tool && (Array.isArray(body) || Array.isArray(body?.calls))) {
+      return send(res, 200, await runBatch(principal, client, Array.isArray(body) ? body : body.calls));
     }
 
-    const result = await forwardToMcp(name, args || {});
-    res.statusCode = 200;
-    res.setHeader("Content-Type", "application/json");
-    res.end(JSON.stringify(result));
+    const call = tool ? { name: tool, arguments: body } : body;
+    const r = await runCall(principal, client, call);
+    if (r.problem) return sendProblem(res, { ...r.problem, headers: r.headers }, instance);
+    send(res, r.status, r.body);
   } catch (e) {
-    res.statusCode = 500;
-    res.setHeader("Content-Type", "application/json");
-    res.end(JSON.stringify({ error: e.message || String(e) }));
+    if (e instanceof AuthError) return sendProblem(res, authProblem(e), instance);
+    if (e instanceof BadRequest) return sendProblem(res, problem(400, e.message, e.type ? { type: e.type } : {}), instance);
+    log.error("mcp_bridge_error", { error: e });
+    sendProblem(res, { ...problem(500, e.message || String(e)), title: "Internal Server Error", type: "about:blank" }, instance);
   }
-};
+});
+
+module.exports.listTools = listTools;
+module.exports.MAX_BATCH = MAX_BATCH;
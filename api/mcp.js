@@ -1,15 +1,35 @@
 // api/mcp.js  (DROP-IN)
 // Explicit MCP tools for selected Amello endpoints on Vercel Serverless (Node 18+).
 // Deps installed via package.json: @modelcontextprotocol/sdk, zod.
+// Upstream calls go through lib/upstream.js (timeouts, retries, circuit breaker).
+// Caller-supplied "headers" and upstream response headers are filtered by lib/headers.js.
+// Besides tools it serves amello:// resources (currencies, hotel catalog) and prompts.
+// POSTs need an API key when inbound auth is on (lib/auth.js); tools/call needs "tool:<name>".
+// tools/call is rate limited per client and tool (lib/ratelimit.js); throttled calls get a tool error.
+// Tool errors with an HTTP equivalent (booking not found, unknown watch, ...) carry it in
+// _meta["amello/status"], which /api/mcp-bridge answers with.
+// Requests and tool calls are logged and counted (lib/tracing.js); the correlation id comes from
+// X-Correlation-Id or params._meta["amello/correlationId"] and is passed on to Amello.
 // NOTE: The SDK exposes ESM entry points. We dynamically import them from CommonJS.
 
-const AMELLO_BASE_URL = (process.env.AMELLO_BASE_URL || 'https://prod-api.amello.plusline.net').replace(/\/+$/, '');
-const AUTH_SCHEME = (process.env.AMELLO_AUTH_SCHEME || 'bearer').toLowerCase(); // 'bearer' | 'x-api-key' | 'none'
-const API_KEY = process.env.AMELLO_API_KEY || '';
-let EXTRA_HEADERS = {};
-try {
-  EXTRA_HEADERS = process.env.AMELLO_EXTRA_HEADERS ? JSON.parse(process.env.AMELLO_EXTRA_HEADERS) : {};
-} catch { EXTRA_HEADERS = {}; }
+const { AMELLO_BASE_URL } = require('../lib/upstream');
+const { upstreamHeaders, exposeResponse } = require('../lib/headers');
+const { findHotels, hotelOffer } = require('../lib/amello');
+const { lookupBooking, NOT_FOUND_MESSAGE, NOT_CONFIGURED_MESSAGE } = require('../lib/booking');
+const { createWatch, listWatches, deleteWatch, WatchError } = require('../lib/watch');
+const { cachedRequestJson } = require('../lib/cache');
+const { cheapestStay } = require('../lib/flex-search');
+const { compareDestinations } = require('../lib/compare');
+const { RULES: PARTY_RULES, parseParty, buildRoomConfigurations, describeRooms } = require('../lib/party');
+const { searchHotels, getCatalogIndex } = require('../lib/catalog');
+const { viewFindHotels, viewHotelOffer } = require('../lib/views');
+const { loadSchemas, stayViolations } = require('../lib/schemas');
+const { zodViolations } = require('../lib/problem');
+const { normalizePrices, normalizeMoney, convertPrice, getCurrencies } = require('../lib/money');
+const { AuthError, authenticate, authorize, challenge, readRawBody } = require('../lib/auth');
+const { consume, refund, clientId, rateLimitHeaders, RateLimitError } = require('../lib/ratelimit');
+const { instrument, instrumentTools, annotate, adoptCorrelationId } = require('../lib/tracing');
+const { log, currentContext, CORRELATION_HEADER, CORRELATION_META } = require('../lib/log');
 
 // ---- lazy ESM imports so CommonJS can use ESM packages ----
 let _sdk = null;
@@ -22,108 +42,61 @@ async function loadDeps() {
   return { _sdk, _http, _zod };
 }
 
-// ---- tiny helpers ----
-function authHeaders() {
-  const h = {};
-  if (AUTH_SCHEME === 'bearer' && API_KEY) h['Authorization'] = `Bearer ${API_KEY}`;
-  else if (AUTH_SCHEME === 'x-api-key' && API_KEY) h['X-API-Key'] = API_KEY;
-  return h;
-}
-
-async function doJson(url, init) {
-  const res = await fetch(url, init);
-  const outHeaders = {};
-  res.headers.forEach((v, k) => { outHeaders[k] = v; });
-  const ct = (outHeaders['content-type'] || '').toLowerCase();
-  let data;
-  if (ct.includes('application/json') || ct.includes('ld+json')) {
-    try { data = await res.json(); } catch { data = await res.text(); }
-  } else {
-    data = await res.text();
-  }
-  return { status: res.status, headers: outHeaders, data };
-}
-
 // ---- build MCP server once (singleton) ----
 let serverPromise = null;
 async function buildServer() {
   const { _sdk, _http, _zod } = await loadDeps();
-  const { McpServer } = _sdk;
+  const { McpServer, ResourceTemplate } = _sdk;
   const { z } = _zod;
 
-  // =============================
-  // ZOD SCHEMAS (inputs)
-  // =============================
-  const LocaleEnum = z.enum(['de_DE', 'en_DE']);
-
-  const MoneySchema = z.object({
-    value: z.number(),
-    decimals: z.number(),
-    currency: z.object({
-      code: z.string(),
-      favorite: z.boolean().optional(),
-      cobos: z.boolean().optional(),
-      juniper: z.boolean().optional(),
-      name: z.string().optional(),
-      symbol: z.string().optional(),
-      decimalPlaces: z.number().optional()
-    }).partial(),
-    inMinorUnits: z.string().optional()
-  }).partial();
-
-  const TravellersSchema = z.object({
-    id: z.number().int(),
-    adultCount: z.number().int().min(0),
-    childrenAges: z.array(z.number().int().min(0)).optional()
-  });
-
-  const RoomConfigInputSchema = z.object({
-    travellers: TravellersSchema
-  });
-  const MultiroomConfigsSchema = z.array(RoomConfigInputSchema);
-
-  // 1) POST /api/v1/hotel/offer
-  const HotelOfferBodySchema = z.object({
-    hotelId: z.string(),
-    departureDate: z.string(), // ISO date (YYYY-MM-DD)
-    returnDate: z.string(),    // ISO date
-    currency: z.string(),      // e.g., 'EUR'
-    roomConfigurations: MultiroomConfigsSchema, // [] allowed => framework only
-    locale: LocaleEnum
-  });
-
-  // 2) POST /api/v1/find-hotels
-  const DestinationSchema = z.object({
-    id: z.string(),       // e.g., "AT"
-    type: z.string()      // e.g., "country-code"
-  });
-  const FindHotelsBodySchema = z.object({
-    destination: DestinationSchema,
-    departureDate: z.string(), // ISO date
-    returnDate: z.string(),    // ISO date
-    currency: z.string(),      // e.g., 'EUR'
-    roomConfigurations: MultiroomConfigsSchema,
-    locale: LocaleEnum
-  });
-
-  // 3) GET /api/v1/hotels
-  const HotelsGetQuerySchema = z.object({
-    locale: LocaleEnum,
-    page: z.number().int().min(1).optional().default(1)
-  });
-
-  // 4) GET /api/v1/currencies
-  const CurrenciesGetQuerySchema = z.object({
-    locale: LocaleEnum
-  });
+  const {
+    LocaleEnum,
+    MultiroomConfigsSchema,
+    HotelOfferBodySchema,
+    FindHotelsBodySchema,
+    FlexSearchBodySchema,
+    CompareDestinationsBodySchema,
+    HotelsGetQuerySchema,
+    HotelsSearchQuerySchema,
+    CurrenciesGetQuerySchema,
+    ConvertPriceInputSchema,
+    NormalizedMoneySchema,
+    BuildPartyInputSchema,
+    BookingLookupBodySchema,
+    BookingSummarySchema,
+    WatchCreateBodySchema,
+    WatchCreateInputSchema,
+    WatchListQuerySchema,
+    WatchDeleteBodySchema,
+    WatchSchema,
+    WatchDeletedSchema,
+    CallerHeadersSchema,
+    ViewOptionsShape,
+    ViewOptionsSchema,
+    ViewOutputSchema,
+    CacheInfoSchema,
+    HotelSearchResultSchema
+  } = await loadSchemas();
 
   // =============================
   // MCP SERVER
   // =============================
-  const server = new McpServer({
+  const server = instrumentTools(new McpServer({
     name: 'amello-mcp-explicit',
     version: '1.0.0'
-  });
+  }));
+
+  // Checks the input schemas cannot carry (a refined schema would lose its properties in
+  // tools/list): stay dates (stayViolations) and view options (ViewOptionsSchema). A tool error
+  // with the bridge's 422, or null. Watches get their date checks from lib/watch.js.
+  const inputError = ({ body, ...viewOpts }) => {
+    const violations = stayViolations(body).map((v) => ({ ...v, propertyPath: `body.${v.propertyPath}` }));
+    const view = ViewOptionsSchema.safeParse(viewOpts);
+    if (!view.success) violations.push(...zodViolations(view.error));
+    if (!violations.length) return null;
+    const lines = violations.map((v) => `- ${v.propertyPath}: ${v.message}`);
+    return { content: [{ type: 'text', text: ['Validation failed', ...lines].join('\n') }], isError: true, _meta: { 'amello/status': 422 } };
+  };
 
   // ----------------------------------------
   // amello.hotel_offer_post  (POST /api/v1/hotel/offer)
@@ -135,6 +108,7 @@ async function buildServer() {
       description: [
         'Creates a HotelOffers request for a specific hotel and stay window.',
         'Send an empty "roomConfigurations" array to receive only framework data (no offers).',
+        'roomConfigurations are validated locally first (use amello.build_party to create them).',
         '',
         'Request: application/json',
         'Body shape:',
@@ -143,34 +117,30 @@ async function buildServer() {
         'Expected responses:',
         '- 200 application/json: HotelOffers resource created (offers + filters + roomConfiguration echoes)',
         '- 400 application/ld+json: Invalid input',
-        '- 422 application/ld+json: Validation violations'
+        '- 422 application/ld+json: Validation violations',
+        '',
+        'Output views ("view"):',
+        '- raw (default): full upstream { status, headers, data } (allowlisted response headers only)',
+        '- summary: hotel + one row per offer (offerId, room, board, cancellation, total), cheapest first',
+        '- fields: only the dot paths listed in "fields" for each offer',
+        '"maxItems" caps the offer list; "truncated" reports { total, returned } for every capped list.',
+        'Prices are returned as { amount, currency, formatted } in major units (e.g. 123.45, "123,45 €").'
       ].join('\n'),
       inputSchema: z.object({
         body: HotelOfferBodySchema,
-        headers: z.record(z.string()).optional()
+        ...ViewOptionsShape,
+        headers: CallerHeadersSchema
       }),
-      outputSchema: z.object({
-        status: z.number(),
-        headers: z.record(z.string()),
-        data: z.any()
-      })
+      outputSchema: ViewOutputSchema
     },
-    async ({ body, headers }) => {
-      const url = `${AMELLO_BASE_URL}/api/v1/hotel/offer`;
-      const res = await doJson(url, {
-        method: 'POST',
-        headers: {
-          accept: 'application/json',
-          'content-type': 'application/json',
-          ...authHeaders(),
-          ...EXTRA_HEADERS,
-          ...(headers || {})
-        },
-        body: JSON.stringify(body)
-      });
+    async ({ body, headers, ...viewOpts }) => {
+      const invalid = inputError({ body, ...viewOpts });
+      if (invalid) return invalid;
+      const res = exposeResponse(await hotelOffer(body, { headers }));
+      const out = await normalizePrices(viewHotelOffer(res, viewOpts), { locale: body.locale });
       return {
-        content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
-        structuredContent: res
+        content: [{ type: 'text', text: JSON.stringify(out, null, 2) }],
+        structuredContent: out
       };
     }
   );
@@ -184,6 +154,7 @@ async function buildServer() {
       title: 'POST /api/v1/find-hotels — Find hotels by region (multiroom)',
       description: [
         'Gets hotels in a region for the specified dates and room configurations.',
+        'roomConfigurations are validated locally first (use amello.build_party to create them).',
         '',
         'Request: application/json',
         'Body shape:',
@@ -192,31 +163,110 @@ async function buildServer() {
         'Expected responses:',
         '- 200 application/json: FindHotelsMultiroom resource (data.results[], filters)',
         '- 400 application/ld+json: Invalid input',
-        '- 422 application/ld+json: Validation violations'
+        '- 422 application/ld+json: Validation violations',
+        '',
+        'Output views ("view"):',
+        '- raw (default): full upstream { status, headers, data } (allowlisted response headers only)',
+        '- summary: one row per hotel (name, hotelId, cheapestTotal, board, cancellation, rating, image), cheapest first',
+        '- fields: only the dot paths listed in "fields" for each hotel',
+        '"maxItems" caps the hotel list; "truncated" reports { total, returned } for every capped list.',
+        '"maxOffers" (raw view) caps the offers kept per hotel.',
+        'Prices are returned as { amount, currency, formatted } in major units (e.g. 123.45, "123,45 €").'
       ].join('\n'),
       inputSchema: z.object({
         body: FindHotelsBodySchema,
-        headers: z.record(z.string()).optional()
+        ...ViewOptionsShape,
+        maxOffers: z.number().int().min(1).optional(),
+        headers: CallerHeadersSchema
+      }),
+      outputSchema: ViewOutputSchema
+    },
+    async ({ body, headers, ...viewOpts }) => {
+      const invalid = inputError({ body, ...viewOpts });
+      if (invalid) return invalid;
+      const res = exposeResponse(await findHotels(body, { headers }));
+      const out = await normalizePrices(viewFindHotels(res, viewOpts), { locale: body.locale });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(out, null, 2) }],
+        structuredContent: out
+      };
+    }
+  );
+
+  // ----------------------------------------
+  // amello.find_cheapest_stay  (fan-out over POST /api/v1/find-hotels)
+  // ----------------------------------------
+  server.registerTool(
+    'amello.find_cheapest_stay',
+    {
+      title: 'Find the cheapest dates for a stay within a date window',
+      description: [
+        'Answers "when is it cheapest to spend N nights in X?".',
+        'Takes the find-hotels body without dates plus a "window" { from, to }, a stay length',
+        '("nights", or "minNights"/"maxNights") and optional check-in/check-out weekdays.',
+        'Runs one find-hotels search per candidate stay (spread evenly over the window) until',
+        '"maxRequests" is used up, then returns a price calendar and the best date + hotel combinations.',
+        '"requests" reports how many candidate stays were searched, skipped or failed.',
+        '',
+        'Body shape:',
+        JSON.stringify(FlexSearchBodySchema.shape, null, 2)
+      ].join('\n'),
+      inputSchema: z.object({
+        body: FlexSearchBodySchema,
+        headers: CallerHeadersSchema
       }),
       outputSchema: z.object({
-        status: z.number(),
-        headers: z.record(z.string()),
-        data: z.any()
+        calendar: z.array(z.record(z.any())),
+        best: z.array(z.record(z.any())),
+        requests: z.object({
+          candidates: z.number(),
+          budget: z.number(),
+          used: z.number(),
+          failed: z.number(),
+          skipped: z.number()
+        }),
+        budgetExhausted: z.boolean()
       })
     },
     async ({ body, headers }) => {
-      const url = `${AMELLO_BASE_URL}/api/v1/find-hotels`;
-      const res = await doJson(url, {
-        method: 'POST',
-        headers: {
-          accept: 'application/json',
-          'content-type': 'application/json',
-          ...authHeaders(),
-          ...EXTRA_HEADERS,
-          ...(headers || {})
-        },
-        body: JSON.stringify(body)
-      });
+      const q = FlexSearchBodySchema.parse(body);
+      const res = await normalizePrices(await cheapestStay(q, { headers }), { locale: q.locale });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
+        structuredContent: res
+      };
+    }
+  );
+
+  // ----------------------------------------
+  // amello.compare_destinations  (parallel POST /api/v1/find-hotels)
+  // ----------------------------------------
+  server.registerTool(
+    'amello.compare_destinations',
+    {
+      title: 'Compare several destinations side by side',
+      description: [
+        'Runs find-hotels for 2-8 destinations (same dates, rooms, currency, locale) in parallel.',
+        'Returns one row per destination, in input order: hotelCount, cheapest, median price and',
+        'best-rated hotel, plus "cheapestOverall". Use this instead of calling amello.find_hotels_post',
+        'once per country/region and comparing by hand.',
+        'If a destination fails, its row has ok: false and an error; "partial" is then true.',
+        '',
+        'Body shape:',
+        JSON.stringify(CompareDestinationsBodySchema.shape, null, 2)
+      ].join('\n'),
+      inputSchema: z.object({
+        body: CompareDestinationsBodySchema,
+        headers: CallerHeadersSchema
+      }),
+      outputSchema: z.object({
+        destinations: z.array(z.record(z.any())),
+        partial: z.boolean(),
+        cheapestOverall: z.record(z.any()).nullable()
+      })
+    },
+    async ({ body, headers }) => {
+      const res = await normalizePrices(await compareDestinations(body, { headers }), { locale: body.locale });
       return {
         content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
         structuredContent: res
@@ -236,16 +286,19 @@ async function buildServer() {
         'Required query param: locale (de_DE | en_DE). Optional: page (default 1).',
         '',
         'Expected responses:',
-        '- 200 application/json: Hotel collection (array of { data: {...} })'
+        '- 200 application/json: Hotel collection (array of { data: {...} })',
+        '',
+        'Responses are cached per locale and page; "cache.status" reports hit | miss | revalidated | stale.'
       ].join('\n'),
       inputSchema: z.object({
         query: HotelsGetQuerySchema,
-        headers: z.record(z.string()).optional()
+        headers: CallerHeadersSchema
       }),
       outputSchema: z.object({
         status: z.number(),
         headers: z.record(z.string()),
-        data: z.any()
+        data: z.any(),
+        cache: CacheInfoSchema.optional()
       })
     },
     async ({ query, headers }) => {
@@ -253,15 +306,39 @@ async function buildServer() {
       const url = new URL(`${AMELLO_BASE_URL}/api/v1/hotels`);
       url.searchParams.set('locale', q.locale);
       url.searchParams.set('page', String(q.page || 1));
-      const res = await doJson(url.toString(), {
+      const res = exposeResponse(await cachedRequestJson('hotels', url.toString(), {
         method: 'GET',
-        headers: {
-          accept: 'application/json',
-          ...authHeaders(),
-          ...EXTRA_HEADERS,
-          ...(headers || {})
-        }
-      });
+        headers: upstreamHeaders({ accept: 'application/json' }, headers)
+      }));
+      return {
+        content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
+        structuredContent: res
+      };
+    }
+  );
+
+  // ----------------------------------------
+  // amello.hotels_search  (all pages of GET /api/v1/hotels)
+  // ----------------------------------------
+  server.registerTool(
+    'amello.hotels_search',
+    {
+      title: 'Search the full Amello hotel catalog',
+      description: [
+        'Walks every page of GET /api/v1/hotels behind the scenes and searches the combined catalog.',
+        'Use this instead of paging amello.hotels_get, e.g. for "which hotels are in Tyrol?".',
+        'Filters (all optional, combined with AND): name, country, city, region, location, minStars, amenities.',
+        'Results are ranked (name match, location match, stars) and capped by "limit".',
+        'The index is built once per locale and reused; pass refresh: true to rebuild it.'
+      ].join('\n'),
+      inputSchema: z.object({
+        query: HotelsSearchQuerySchema
+      }),
+      outputSchema: HotelSearchResultSchema
+    },
+    async ({ query }) => {
+      const { locale, refresh, ...filters } = HotelsSearchQuerySchema.parse(query);
+      const res = await searchHotels(locale, filters, { refresh });
       return {
         content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
         structuredContent: res
@@ -281,31 +358,69 @@ async function buildServer() {
         'Required query param: locale (de_DE | en_DE).',
         '',
         'Expected responses:',
-        '- 200 application/json: Currency collection (array of { data: [ ... ] })'
+        '- 200 application/json: Currency collection (array of { data: [ ... ] })',
+        '',
+        'Responses are cached per locale; "cache.status" reports hit | miss | revalidated | stale.'
       ].join('\n'),
       inputSchema: z.object({
-        query: z.object({ locale: LocaleEnum.shape._def.values ? LocaleEnum : LocaleEnum }), // safe reuse
-        headers: z.record(z.string()).optional()
+        query: CurrenciesGetQuerySchema,
+        headers: CallerHeadersSchema
       }),
       outputSchema: z.object({
         status: z.number(),
         headers: z.record(z.string()),
-        data: z.any()
+        data: z.any(),
+        cache: CacheInfoSchema.optional()
       })
     },
     async ({ query, headers }) => {
       const q = CurrenciesGetQuerySchema.parse(query);
       const url = new URL(`${AMELLO_BASE_URL}/api/v1/currencies`);
       url.searchParams.set('locale', q.locale);
-      const res = await doJson(url.toString(), {
+      const res = exposeResponse(await cachedRequestJson('currencies', url.toString(), {
         method: 'GET',
-        headers: {
-          accept: 'application/json',
-          ...authHeaders(),
-          ...EXTRA_HEADERS,
-          ...(headers || {})
-        }
-      });
+        headers: upstreamHeaders({ accept: 'application/json' }, headers)
+      }));
+      return {
+        content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
+        structuredContent: res
+      };
+    }
+  );
+
+  // ----------------------------------------
+  // amello.build_party
+  // ----------------------------------------
+  server.registerTool(
+    'amello.build_party',
+    {
+      title: 'Build roomConfigurations from a traveller party',
+      description: [
+        'Turns a party ("2 adults, kids aged 4 and 9, 2 rooms") into valid roomConfigurations',
+        'for amello.find_hotels_post / amello.hotel_offer_post, with traveller ids assigned.',
+        'Pass "description" and/or the structured fields; structured fields win over the text.',
+        `Rules: at least one adult per room, at most ${PARTY_RULES.maxAdultsPerRoom} adults, ${PARTY_RULES.maxChildrenPerRoom} children`,
+        `and ${PARTY_RULES.maxGuestsPerRoom} guests per room, children aged 0-${PARTY_RULES.maxChildAge}, at most ${PARTY_RULES.maxRooms} rooms.`,
+        'If the party breaks a rule the call fails with an explanation of every violation.'
+      ].join('\n'),
+      inputSchema: BuildPartyInputSchema,
+      outputSchema: z.object({
+        roomConfigurations: MultiroomConfigsSchema,
+        summary: z.string()
+      })
+    },
+    async (input) => {
+      const parsed = input.description ? parseParty(input.description) : {};
+      const party = {
+        adults: input.adults ?? parsed.adults,
+        childrenAges: input.childrenAges ?? parsed.childrenAges,
+        rooms: input.rooms ?? parsed.rooms
+      };
+      if (party.childrenAges === null) {
+        throw new Error(`The party has ${parsed.childCount} child(ren) but no ages; ask for each child's age.`);
+      }
+      const roomConfigurations = buildRoomConfigurations(party);
+      const res = { roomConfigurations, summary: describeRooms(roomConfigurations) };
       return {
         content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
         structuredContent: res
@@ -313,6 +428,313 @@ async function buildServer() {
     }
   );
 
+  // ----------------------------------------
+  // amello.convert_price
+  // ----------------------------------------
+  server.registerTool(
+    'amello.convert_price',
+    {
+      title: 'Convert a price between currencies',
+      description: [
+        'Converts an amount from one currency to another and formats both sides for the locale.',
+        'Pass either { amount, from } in major units (123.45, "EUR") or "price" as an Amello money object',
+        '({ value, decimals, currency }, value in minor units).',
+        'Rates come from the configured source (ECB daily rates by default); "asOf" is the rate date.'
+      ].join('\n'),
+      inputSchema: ConvertPriceInputSchema,
+      outputSchema: z.object({
+        from: NormalizedMoneySchema,
+        to: NormalizedMoneySchema,
+        rate: z.number(),
+        source: z.string(),
+        asOf: z.string().nullable()
+      })
+    },
+    async (input) => {
+      const { to, locale } = input;
+      if (!input.price && !(typeof input.amount === 'number' && input.from)) {
+        throw new Error('Provide either "price" or both "amount" and "from"');
+      }
+      const src = input.price ? normalizeMoney(input.price, { locale }) : { amount: input.amount, currency: input.from };
+      const res = await convertPrice({ amount: src.amount, from: src.currency, to, locale });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
+        structuredContent: res
+      };
+    }
+  );
+
+  // ----------------------------------------
+  // amello.booking_lookup  (existing reservations)
+  // ----------------------------------------
+  server.registerTool(
+    'amello.booking_lookup',
+    {
+      title: 'Look up an existing booking',
+      description: [
+        'Finds a booking by its reference (e.g. 45666CK000940) and the e-mail address it was made with.',
+        'Returns hotel, dates, rooms, travellers, total price and cancellation status; the lead guest',
+        'and the contact e-mail are masked. Ask the user for both values, never guess them:',
+        'an unknown reference and a wrong e-mail give the same "not found" error, and repeated',
+        'failed lookups are blocked for a while.'
+      ].join('\n'),
+      inputSchema: BookingLookupBodySchema,
+      outputSchema: BookingSummarySchema
+    },
+    async (input) => {
+      const text = (t, meta) => ({ content: [{ type: 'text', text: t }], isError: true, _meta: meta });
+      let r;
+      try {
+        r = await lookupBooking(input, { client: currentContext().client || 'local' }); // no request context over stdio
+      } catch (e) {
+        if (e instanceof RateLimitError) return text(e.message, { 'amello/rateLimit': e.result });
+        throw e;
+      }
+      if (r.status === 404) return text(NOT_FOUND_MESSAGE, { 'amello/status': 404 });
+      if (r.status === 501) return text(NOT_CONFIGURED_MESSAGE, { 'amello/status': 501 });
+      if (r.status !== 200) return text(JSON.stringify({ status: r.status, error: r.data }, null, 2), { 'amello/status': r.status });
+      const res = await normalizePrices(r.booking, { locale: input.locale });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(res, null, 2) }],
+        structuredContent: res
+      };
+    }
+  );
+
+  // ----------------------------------------
+  // amello.watch_create / amello.watch_list / amello.watch_delete  (price watches, lib/watch.js)
+  // ----------------------------------------
+  const watchClient = () => currentContext().client || 'local'; // no request context over stdio
+  const watchResult = async (fn) => {
+    try {
+      const res = await fn();
+      return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }], structuredContent: res };
+    } catch (e) {
+      if (!(e instanceof WatchError)) throw e;
+      const details = (e.violations || []).map((v) => `- ${v.propertyPath}: ${v.message}`);
+      return { content: [{ type: 'text', text: [e.message, ...details].join('\n') }], isError: true, _meta: { 'amello/status': e.status } };
+    }
+  };
+
+  server.registerTool(
+    'amello.watch_create',
+    {
+      title: 'Watch a hotel offer or hotel search for price drops',
+      description: [
+        'Remembers an amello.hotel_offer_post or amello.find_hotels_post query and re-checks it on a schedule',
+        '(every intervalMinutes, default a few hours) until the stay starts. "query" is exactly the body of that tool.',
+        'Alerts fire when the cheapest total falls to or below belowPrice, or drops by dropPercent or more',
+        '(against the first price, then against the price of the last drop alert). Prices are in major units of',
+        'query.currency. With webhookUrl (https) every alert is POSTed there as signed JSON; either way the',
+        'history and the last alert show up in amello.watch_list. For find-hotels, hotelId narrows the watch to one hotel.'
+      ].join('\n'),
+      inputSchema: WatchCreateInputSchema,
+      outputSchema: WatchSchema
+    },
+    // "tool" decides which body "query" is validated (and stripped) as
+    async (input) => watchResult(() => {
+      const parsed = WatchCreateBodySchema.safeParse(input);
+      if (!parsed.success) throw new WatchError(422, 'Invalid watch', zodViolations(parsed.error));
+      return createWatch(parsed.data, { client: watchClient() });
+    })
+  );
+
+  server.registerTool(
+    'amello.watch_list',
+    {
+      title: 'List price watches',
+      description: 'Lists the price watches this client created, with current, first and lowest price, the last alert and recent price history.',
+      inputSchema: WatchListQuerySchema,
+      outputSchema: z.object({ watches: z.array(WatchSchema) })
+    },
+    async (input) => watchResult(async () => ({ watches: await listWatches({ client: watchClient(), historyLimit: input.historyLimit }) }))
+  );
+
+  server.registerTool(
+    'amello.watch_delete',
+    {
+      title: 'Delete a price watch',
+      description: 'Stops and deletes one of this client\'s price watches (id from amello.watch_list or amello.watch_create).',
+      inputSchema: WatchDeleteBodySchema,
+      outputSchema: WatchDeletedSchema
+    },
+    async (input) => watchResult(() => deleteWatch(input.watchId, { client: watchClient() }))
+  );
+
+  // =============================
+  // RESOURCES
+  // =============================
+  const LOCALES = LocaleEnum.options;
+  const jsonContents = (uri, value) => ({
+    contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(value, null, 2) }]
+  });
+  const completeLocale = (value) => LOCALES.filter((l) => l.startsWith(value || ''));
+  const checkLocale = (locale) => {
+    if (!LOCALES.includes(locale)) throw new Error(`Unknown locale "${locale}"; expected one of ${LOCALES.join(', ')}`);
+    return locale;
+  };
+
+  // ----------------------------------------
+  // amello://currencies/{locale}
+  // ----------------------------------------
+  server.registerResource(
+    'currencies',
+    new ResourceTemplate('amello://currencies/{locale}', {
+      list: async () => ({
+        resources: LOCALES.map((locale) => ({
+          uri: `amello://currencies/${locale}`,
+          name: `Currencies (${locale})`,
+          mimeType: 'application/json'
+        }))
+      }),
+      complete: { locale: completeLocale }
+    }),
+    {
+      title: 'Amello currencies',
+      description: 'Supported currencies (code, name, symbol, decimal places) for a locale. Cached like amello.currencies_get.',
+      mimeType: 'application/json'
+    },
+    async (uri, { locale }) => {
+      const currencies = [...(await getCurrencies(checkLocale(locale))).values()];
+      if (!currencies.length) throw new Error(`Currency list for ${locale} is unavailable`);
+      return jsonContents(uri, { locale, currencies });
+    }
+  );
+
+  // ----------------------------------------
+  // amello://hotels/{locale}  (catalog overview)
+  // ----------------------------------------
+  server.registerResource(
+    'hotel-catalog',
+    new ResourceTemplate('amello://hotels/{locale}', {
+      list: async () => ({
+        resources: LOCALES.map((locale) => ({
+          uri: `amello://hotels/${locale}`,
+          name: `Hotel catalog (${locale})`,
+          mimeType: 'application/json'
+        }))
+      }),
+      complete: { locale: completeLocale }
+    }),
+    {
+      title: 'Amello hotel catalog',
+      description: 'Every hotel in the catalog (id, name, location, stars) for a locale. Read amello://hotels/{locale}/{hotelId} for one hotel.',
+      mimeType: 'application/json'
+    },
+    async (uri, { locale }) => {
+      const index = await getCatalogIndex(checkLocale(locale));
+      return jsonContents(uri, {
+        locale,
+        complete: index.complete,
+        builtAt: index.builtAt,
+        hotels: index.hotels.map(({ hotelId, name, city, region, country, stars }) => ({ hotelId, name, city, region, country, stars }))
+      });
+    }
+  );
+
+  // ----------------------------------------
+  // amello://hotels/{locale}/{hotelId}
+  // ----------------------------------------
+  // Not listed (one entry per hotel would be huge); hotelId completes from the catalog index.
+  server.registerResource(
+    'hotel',
+    new ResourceTemplate('amello://hotels/{locale}/{hotelId}', {
+      list: undefined,
+      complete: {
+        locale: completeLocale,
+        hotelId: async (value, context) => {
+          const locale = context?.arguments?.locale;
+          const index = await getCatalogIndex(LOCALES.includes(locale) ? locale : LOCALES[0]);
+          const q = String(value || '').toLowerCase();
+          return index.hotels
+            .filter((h) => h.hotelId && (h.hotelId.toLowerCase().startsWith(q) || h.name.toLowerCase().includes(q)))
+            .slice(0, 20)
+            .map((h) => h.hotelId);
+        }
+      }
+    }),
+    {
+      title: 'Amello hotel',
+      description: 'Catalog entry for a single hotel: name, address, stars, rating, amenities, image.',
+      mimeType: 'application/json'
+    },
+    async (uri, { locale, hotelId }) => {
+      const index = await getCatalogIndex(checkLocale(locale));
+      const hotel = index.hotels.find((h) => h.hotelId === String(hotelId));
+      if (!hotel) throw new Error(`Hotel "${hotelId}" is not in the ${locale} catalog`);
+      return jsonContents(uri, hotel);
+    }
+  );
+
+  // =============================
+  // PROMPTS
+  // =============================
+  const promptMessage = (lines) => ({
+    messages: [{ role: 'user', content: { type: 'text', text: lines.filter((l) => l != null).join('\n') } }]
+  });
+
+  // ----------------------------------------
+  // amello.plan_family_trip
+  // ----------------------------------------
+  server.registerPrompt(
+    'amello.plan_family_trip',
+    {
+      title: 'Plan a family trip',
+      description: 'Finds well-priced family-friendly hotels for a party, a destination and a rough travel window.',
+      argsSchema: {
+        destination: z.string().describe('Country, region or city, e.g. "Austria" or "Tyrol"'),
+        when: z.string().describe('Travel window or exact dates, e.g. "first two weeks of August 2026"'),
+        party: z.string().describe('Who is travelling, e.g. "2 adults, kids aged 4 and 9"'),
+        nights: z.string().optional().describe('Stay length, e.g. "7"'),
+        budget: z.string().optional().describe('Total budget, e.g. "2500 EUR"'),
+        locale: z.string().optional().describe('de_DE or en_DE (default de_DE)')
+      }
+    },
+    ({ destination, when, party, nights, budget, locale }) => promptMessage([
+      `Plan a family holiday in ${destination} for ${party}, ${when}${nights ? `, ${nights} nights` : ''}.`,
+      budget ? `The total budget is ${budget}.` : null,
+      '',
+      'Steps:',
+      '1. Call amello.build_party with the party description to get valid roomConfigurations. If a child\'s age is missing, ask for it.',
+      `2. Use amello.hotels_search (locale ${locale || 'de_DE'}) to find hotels in ${destination}; prefer family-friendly amenities (e.g. pool, kids club).`,
+      '3. If the dates are flexible, call amello.find_cheapest_stay over the window; otherwise call amello.find_hotels_post with view "summary".',
+      '4. Shortlist at most five hotels. For each give the price for the whole stay, board, cancellation terms and why it suits a family.',
+      budget ? '5. Mark which options fit the budget and say how far over the others are.' : null,
+      '',
+      'Quote prices exactly as the tools return them (the "formatted" value). Do not invent hotels or prices.'
+    ])
+  );
+
+  // ----------------------------------------
+  // amello.compare_hotel_offers
+  // ----------------------------------------
+  server.registerPrompt(
+    'amello.compare_hotel_offers',
+    {
+      title: 'Compare offers for a hotel',
+      description: 'Fetches every offer of one hotel for the given dates and compares rooms, board and cancellation terms.',
+      argsSchema: {
+        hotel: z.string().describe('Hotel name or hotelId'),
+        departureDate: z.string().describe('Check-in date, YYYY-MM-DD'),
+        returnDate: z.string().describe('Check-out date, YYYY-MM-DD'),
+        party: z.string().optional().describe('Who is travelling (default "2 adults")'),
+        currency: z.string().optional().describe('ISO currency code (default EUR)'),
+        locale: z.string().optional().describe('de_DE or en_DE (default de_DE)')
+      }
+    },
+    ({ hotel, departureDate, returnDate, party, currency, locale }) => promptMessage([
+      `Compare the offers of the hotel "${hotel}" from ${departureDate} to ${returnDate} for ${party || '2 adults'}.`,
+      '',
+      'Steps:',
+      `1. Resolve the hotel: if "${hotel}" is not a hotelId, call amello.hotels_search with name "${hotel}" (locale ${locale || 'de_DE'}). If several hotels match, ask which one is meant.`,
+      '2. Call amello.build_party to get roomConfigurations for the party.',
+      `3. Call amello.hotel_offer_post with view "summary", currency ${currency || 'EUR'} and those roomConfigurations.`,
+      '4. Present a table: room, board, cancellation terms, total price. Then recommend the best value offer and the most flexible one.',
+      '',
+      'Quote prices exactly as the tools return them (the "formatted" value). Do not invent offers.'
+    ])
+  );
+
   return server;
 }
 
@@ -330,7 +752,7 @@ async function getServer() {
 // =============================
 // VERCEL HANDLER (Streamable HTTP MCP)
 // =============================
-module.exports = async function handler(req, res) {
+module.exports = instrument('/api/mcp', async function handler(req, res) {
   try {
     if (req.method !== 'POST') {
       // A simple GET helps you smoke-test the route without MCP client
@@ -340,32 +762,103 @@ module.exports = async function handler(req, res) {
       return;
     }
 
+    // always through readRawBody, so a signature is checked against the bytes that were sent
+    let body;
+    try {
+      const raw = await readRawBody(req);
+      body = raw ? JSON.parse(raw) : {};
+    } catch (e) {
+      return sendParseError(res, e);
+    }
+    if (!req.headers[CORRELATION_HEADER]) {
+      adoptCorrelationId(res, [].concat(body).map((msg) => msg?.params?._meta?.[CORRELATION_META]).find(Boolean));
+    }
+
+    // rejected before the SDK is loaded
+    const calls = [].concat(body).filter((msg) => msg?.method === 'tools/call');
+    let principal;
+    try {
+      principal = await authenticate(req);
+      annotate({ client: clientId(req, principal) });
+      for (const msg of calls) authorize(principal, `tool:${msg.params?.name}`);
+    } catch (e) {
+      if (e instanceof AuthError) return sendAuthError(res, e, body);
+      throw e;
+    }
+
+    const throttled = new Map(); // message -> limit result
+    for (const msg of calls) {
+      const limit = await consume(clientId(req, principal), `tool:${msg.params?.name}`);
+      for (const [k, v] of Object.entries(rateLimitHeaders(limit))) res.setHeader(k, v);
+      if (!limit.allowed) {
+        throttled.set(msg, limit);
+        log.warn('rate_limited', { tool: msg.params?.name, kind: limit.kind, retryAfter: limit.retryAfter });
+      }
+    }
+    if (throttled.size) {
+      // the rest of the batch is not run, so it does not count against the caller's limits
+      for (const msg of calls) if (!throttled.has(msg)) await refund(clientId(req, principal), `tool:${msg.params?.name}`);
+      return sendThrottled(res, body, throttled);
+    }
+
     const { _http } = await loadDeps();
     const { StreamableHTTPServerTransport } = _http;
 
     const transport = new StreamableHTTPServerTransport({ enableJsonResponse: true });
     res.on('close', () => { try { transport.close(); } catch {} });
 
-    let body = req.body;
-    if (body === undefined) {
-      body = await new Promise((resolve, reject) => {
-        let buf = '';
-        req.setEncoding('utf8');
-        req.on('data', (c) => { buf += c; });
-        req.on('end', () => {
-          try { resolve(buf ? JSON.parse(buf) : {}); } catch (e) { reject(e); }
-        });
-        req.on('error', reject);
-      });
-    }
-
     const server = await getServer();
     await server.connect(transport);
     await transport.handleRequest(req, res, body);
   } catch (e) {
-    console.error('[api/mcp] error:', e);
+    log.error('mcp_error', { error: e, stack: e?.stack });
     res.statusCode = 500;
     res.setHeader('content-type', 'application/json');
     res.end(JSON.stringify({ error: String(e?.message || e) }));
   }
-};
+});
+
+// Malformed body (or a platform parser that failed on it): JSON-RPC parse error, HTTP 400.
+function sendParseError(res, err) {
+  res.statusCode = 400;
+  res.setHeader('content-type', 'application/json');
+  res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error', data: { detail: err.message } } }));
+}
+
+// JSON-RPC error with the matching HTTP status; -32001 unauthenticated, -32003 forbidden.
+function sendAuthError(res, err, body) {
+  const id = Array.isArray(body) ? null : body?.id ?? null;
+  res.statusCode = err.status;
+  res.setHeader('content-type', 'application/json');
+  if (err.status === 401) res.setHeader('WWW-Authenticate', challenge(err));
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    id,
+    error: { code: err.status === 401 ? -32001 : -32003, message: err.message, data: err.scope ? { scope: err.scope } : undefined }
+  }));
+}
+
+// Throttled tools/call -> tool error result (isError), so the model sees why and when to retry.
+// The rest of a batch is not processed (and its tokens were refunded), so it can be retried as is.
+function sendThrottled(res, body, throttled) {
+  const reply = (msg) => {
+    const limit = throttled.get(msg);
+    if (!limit) {
+      return { jsonrpc: '2.0', id: msg?.id ?? null, error: { code: -32000, message: 'Not processed: another call in this batch was rate limited; retry it, it was not counted' } };
+    }
+    const text = limit.kind === 'quota'
+      ? `Daily quota for ${msg.params?.name} is used up (${limit.limit} calls); it resets in ${limit.retryAfter}s.`
+      : `Rate limit exceeded for ${msg.params?.name}; retry in ${limit.retryAfter}s.`;
+    return {
+      jsonrpc: '2.0',
+      id: msg.id ?? null,
+      result: { content: [{ type: 'text', text }], isError: true, _meta: { 'amello/rateLimit': limit } }
+    };
+  };
+  res.statusCode = 200;
+  res.setHeader('content-type', 'application/json');
+  res.end(JSON.stringify(Array.isArray(body) ? body.map(reply) : reply(body)));
+}
+
+// Same tool set for other transports (bin/amello-mcp.js --stdio).
+module.exports.buildServer = buildServer;
@@ -0,0 +1,30 @@
+// Prometheus scrape endpoint (text exposition format 0.0.4) for this instance:
+// request counts / errors / latency per route, tool calls per tool and outcome,
+// Amello requests per endpoint and status, and the upstream circuit state (lib/metrics.js).
+// Needs an API key with scope "metrics:read" while inbound auth is on (lib/auth.js).
+
+const { renderMetrics, set } = require('../lib/metrics');
+const { breakerStatus } = require('../lib/upstream');
+const { AuthError, authenticate, authorize, challenge } = require('../lib/auth');
+const { instrument } = require('../lib/tracing');
+
+module.exports = instrument('/api/metrics', async function handler(req, res) {
+  try {
+    authorize(await authenticate(req), 'metrics:read');
+  } catch (e) {
+    if (!(e instanceof AuthError)) throw e;
+    res.statusCode = e.status;
+    if (e.status === 401) res.setHeader('WWW-Authenticate', challenge(e));
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    return res.end(e.message);
+  }
+
+  const breaker = breakerStatus();
+  set('amello_upstream_circuit_open', 'Amello circuit breaker state (1 = open or half-open)', {}, breaker.state === 'closed' ? 0 : 1);
+  set('amello_process_uptime_seconds', 'Seconds since this instance started', {}, Math.round(process.uptime()));
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(renderMetrics());
+});
@@ -0,0 +1,56 @@
+// Cron endpoint for price watches (lib/watch.js): re-checks the watches that are due, records
+// their price history and sends webhook alerts. Scheduled in vercel.json ("crons"); Vercel Cron
+// calls it with GET and Authorization: Bearer $CRON_SECRET. Other callers need an API key with
+// scope "watch:run", so with inbound auth off (lib/auth.js) only the scheduler may run it.
+// Answers with a run summary.
+// Env:
+//   CRON_SECRET (shared secret for the scheduler, optional)
+
+const crypto = require('crypto');
+const { runDueWatches } = require('../../lib/watch');
+const { AuthError, authEnabled, authenticate, authorize, challenge } = require('../../lib/auth');
+const { instrument } = require('../../lib/tracing');
+const { log } = require('../../lib/log');
+
+function isCron(req) {
+  const secret = process.env.CRON_SECRET;
+  const m = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!secret || !m) return false;
+  const a = Buffer.from(m[1].trim());
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function json(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(obj));
+}
+
+module.exports = instrument('/api/watch/run', async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return json(res, 405, { error: 'Method not allowed' });
+  }
+  try {
+    if (!isCron(req)) {
+      // the anonymous principal of auth-off mode holds every scope; it must not run watches
+      if (!authEnabled()) throw new AuthError(401, 'CRON_SECRET bearer token required');
+      authorize(await authenticate(req), 'watch:run');
+    }
+  } catch (e) {
+    if (!(e instanceof AuthError)) throw e;
+    if (e.status === 401) res.setHeader('WWW-Authenticate', challenge(e));
+    return json(res, e.status, { error: e.message });
+  }
+
+  try {
+    const summary = await runDueWatches();
+    log.info('watch_run', { checked: summary.checked, due: summary.due, alerts: summary.alerts });
+    json(res, 200, summary);
+  } catch (e) {
+    log.error('watch_run_failed', { error: e, stack: e?.stack });
+    json(res, 500, { error: String(e?.message || e) });
+  }
+});
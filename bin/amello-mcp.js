@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// bin/amello-mcp.js
+// Runs the Amello MCP server outside Vercel.
+//   amello-mcp [--stdio]            serve buildServer() over stdio (desktop MCP clients)
+//   amello-mcp --http [--port 3000] serve /api/mcp, /api/chat, /api/bridge/* and the chat UI
+// Flags override env vars of the same meaning:
+//   --base-url     AMELLO_BASE_URL     (e.g. http://localhost:4010 for a local stand-in)
+//   --api-key      AMELLO_API_KEY
+//   --auth-scheme  AMELLO_AUTH_SCHEME  (bearer | x-api-key | none)
+//   --cache        AMELLO_CACHE_BACKEND
+//   --port         PORT                (HTTP mode, default 3000)
+//   --host         HOST                (HTTP mode, default 127.0.0.1)
+// stdout belongs to the MCP protocol in stdio mode, so everything else logs to stderr.
+
+const USAGE = `Usage: amello-mcp [--stdio | --http] [options]
+
+Modes:
+  --stdio               MCP over stdin/stdout (default)
+  --http                HTTP server with /api/mcp, /api/chat, /api/bridge/* and the chat UI
+
+Options:
+  --base-url <url>      Amello API base URL (AMELLO_BASE_URL)
+  --api-key <key>       Amello API key (AMELLO_API_KEY)
+  --auth-scheme <s>     bearer | x-api-key | none (AMELLO_AUTH_SCHEME)
+  --cache <backend>     memory | file | redis | none (AMELLO_CACHE_BACKEND)
+  --port <n>            HTTP port (PORT, default 3000)
+  --host <h>            HTTP host (HOST, default 127.0.0.1)
+  -h, --help            Show this help
+`;
+
+// flag -> env var it sets
+const ENV_FLAGS = {
+  'base-url': 'AMELLO_BASE_URL',
+  'api-key': 'AMELLO_API_KEY',
+  'auth-scheme': 'AMELLO_AUTH_SCHEME',
+  cache: 'AMELLO_CACHE_BACKEND',
+  port: 'PORT',
+  host: 'HOST'
+};
+
+function parseArgs(argv) {
+  const opts = { mode: 'stdio', env: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') { opts.help = true; continue; }
+    if (arg === '--stdio' || arg === '--http') { opts.mode = arg.slice(2); continue; }
+    const m = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m || !ENV_FLAGS[m[1]]) throw new Error(`Unknown option ${arg}`);
+    const value = m[2] ?? argv[++i];
+    if (value === undefined || value.startsWith('--')) throw new Error(`Option --${m[1]} needs a value`);
+    opts.env[ENV_FLAGS[m[1]]] = value;
+  }
+  return opts;
+}
+
+async function runStdio() {
+  // api/mcp.js reads its config at require time, so require after env is set
+  const { buildServer } = require('../api/mcp');
+  const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+  const server = await buildServer();
+  await server.connect(new StdioServerTransport());
+  console.error(`[amello-mcp] stdio server ready (upstream ${require('../lib/upstream').AMELLO_BASE_URL})`);
+}
+
+async function runHttp() {
+  const port = Number(process.env.PORT || 3000);
+  const host = process.env.HOST || '127.0.0.1';
+  // api/chat.js and api/mcp-bridge.js call the MCP endpoint over HTTP; point them at ourselves
+  const self = `http://${host.includes(':') ? `[${host}]` : host}:${port}/api/mcp`;
+  process.env.MCP_URL = process.env.MCP_URL || self;
+  process.env.MCP_ENDPOINT = process.env.MCP_ENDPOINT || self;
+
+  const { listen } = require('../lib/http-server');
+  const server = await listen({ port, host });
+  console.error(`[amello-mcp] listening on http://${host}:${port} (upstream ${require('../lib/upstream').AMELLO_BASE_URL})`);
+  const stop = () => server.close(() => process.exit(0));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+async function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  Object.assign(process.env, opts.env);
+  await (opts.mode === 'http' ? runHttp() : runStdio());
+}
+
+main().catch((e) => {
+  console.error('[amello-mcp] fatal:', e);
+  process.exit(1);
+});
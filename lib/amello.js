@@ -0,0 +1,32 @@
+// lib/amello.js
+// Amello search endpoints shared by the MCP tools, the bridge and the fan-out helpers.
+// Both are read-only searches that use POST only to carry the body, so they are
+// marked idempotent for lib/upstream.js retries. roomConfigurations are checked with
+// lib/party.js first; a bad party throws PartyError before anything goes upstream.
+
+const { AMELLO_BASE_URL, requestJson } = require('./upstream');
+const { upstreamHeaders } = require('./headers');
+const { assertRoomConfigurations } = require('./party');
+
+// Caller headers go through the header policy (lib/headers.js); credentials always win.
+function postJson(path, body, headers) {
+  return requestJson(`${AMELLO_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: upstreamHeaders({ accept: 'application/json', 'content-type': 'application/json' }, headers),
+    body: JSON.stringify(body)
+  }, { idempotent: true });
+}
+
+/** POST /api/v1/find-hotels -> { status, headers, data }. Throws PartyError. */
+async function findHotels(body, { headers } = {}) {
+  assertRoomConfigurations(body?.roomConfigurations);
+  return postJson('/api/v1/find-hotels', body, headers);
+}
+
+/** POST /api/v1/hotel/offer -> { status, headers, data }. Throws PartyError. */
+async function hotelOffer(body, { headers } = {}) {
+  assertRoomConfigurations(body?.roomConfigurations);
+  return postJson('/api/v1/hotel/offer', body, headers);
+}
+
+module.exports = { findHotels, hotelOffer };
@@ -0,0 +1,348 @@
+// lib/auth.js
+// Inbound authentication for /api/mcp, /api/chat, /api/bridge/* and /api/mcp-bridge.
+// Clients send a per-client API key (Authorization: Bearer <key> or X-API-Key) or,
+// for GPT Actions that cannot hold a bearer secret client-side, an HMAC signature:
+//   X-Amello-Key-Id:    key id
+//   X-Amello-Timestamp: unix seconds
+//   X-Amello-Signature: sha256=<hex HMAC-SHA256(hmacSecret, "<ts>\n<METHOD>\n<path?query>\n<sha256hex(body)>")>
+// Each key carries scopes: "tool:<name>", "bridge:<operationId>", "metrics:read", a trailing "*" wildcard
+// ("tool:amello.*", "bridge:*") or "*" for everything.
+// Env:
+//   MCP_AUTH              (required | off; default required when a key store is configured, and
+//                          always in production (NODE_ENV / VERCEL_ENV), which must opt out explicitly)
+//   MCP_KEY_STORE         (env | file | redis; default env)
+//   MCP_API_KEYS          (env store: JSON array of { id, key | hash, scopes, hmacSecret?, revoked? })
+//   MCP_API_KEYS_FILE     (file store path; same JSON, re-read when the file changes)
+//   KV_REST_API_URL / KV_REST_API_TOKEN  (redis store)
+//   MCP_INTERNAL_KEY      (key with scope "*" that api/chat.js and api/mcp-bridge.js use to call /api/mcp,
+//                          only after checking their own caller's scopes)
+//   MCP_HMAC_TOLERANCE_S  (allowed clock skew for signed requests, default 300)
+//   NODEJS_HELPERS=0      (on Vercel: leaves the body stream unparsed, so signatures are checked
+//                          against the bytes the client signed)
+
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { restRedisClient } = require('./cache');
+const { log } = require('./log');
+
+const HMAC_TOLERANCE_S = Number(process.env.MCP_HMAC_TOLERANCE_S || 300);
+const KEY_PREFIX = 'amk_';
+
+class AuthError extends Error {
+  /** status 401 (no or bad credentials) or 403 (valid key without the scope). */
+  constructor(status, message, { scope } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.scope = scope;
+  }
+}
+
+const sha256 = (v) => crypto.createHash('sha256').update(v).digest('hex');
+const hashKey = (key) => sha256(String(key));
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/** New random API key; store only hashKey(key). */
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// Config records may carry the plain key (convenient in env vars); it is hashed on load.
+function normalizeRecord(r) {
+  if (!r || !r.id || !(r.key || r.hash)) throw new Error('API key records need an id and a key or hash');
+  return {
+    id: String(r.id),
+    hash: r.hash || hashKey(r.key),
+    scopes: Array.isArray(r.scopes) ? r.scopes.map(String) : [],
+    hmacSecret: r.hmacSecret || undefined,
+    revoked: !!r.revoked
+  };
+}
+
+// =============================
+// KEY STORES
+// Every store implements async findByHash(hash), findById(id) -> record|null, and revoke(id).
+// =============================
+
+function listStore(records) {
+  const list = records.map(normalizeRecord);
+  return {
+    name: 'env',
+    async findByHash(hash) { return list.find((r) => safeEqual(r.hash, hash)) || null; },
+    async findById(id) { return list.find((r) => r.id === id) || null; },
+    // only affects this instance; remove the key from MCP_API_KEYS to revoke it everywhere
+    async revoke(id) {
+      const r = list.find((x) => x.id === id);
+      if (r) r.revoked = true;
+      return !!r;
+    }
+  };
+}
+
+function envKeyStore(raw = process.env.MCP_API_KEYS) {
+  return listStore(raw ? JSON.parse(raw) : []);
+}
+
+// JSON file, re-read whenever its mtime changes so revocations apply without a redeploy.
+function fileKeyStore({ file = process.env.MCP_API_KEYS_FILE } = {}) {
+  if (!file) throw new Error('MCP_KEY_STORE=file needs MCP_API_KEYS_FILE');
+  let loaded = { mtimeMs: -1, records: [] };
+  async function records() {
+    const { mtimeMs } = await fs.stat(file);
+    if (mtimeMs !== loaded.mtimeMs) {
+      loaded = { mtimeMs, records: JSON.parse(await fs.readFile(file, 'utf8')).map(normalizeRecord) };
+    }
+    return loaded.records;
+  }
+  return {
+    name: 'file',
+    async findByHash(hash) { return (await records()).find((r) => safeEqual(r.hash, hash)) || null; },
+    async findById(id) { return (await records()).find((r) => r.id === id) || null; },
+    async revoke(id) {
+      const raw = JSON.parse(await fs.readFile(file, 'utf8'));
+      const r = raw.find((x) => x.id === id);
+      if (!r) return false;
+      r.revoked = true;
+      await fs.writeFile(file, JSON.stringify(raw, null, 2) + '\n');
+      return true;
+    },
+    async save(record) {
+      let raw = [];
+      try { raw = JSON.parse(await fs.readFile(file, 'utf8')); } catch {}
+      if (raw.some((x) => x.id === record.id)) throw new Error(`Key id "${record.id}" already exists`);
+      raw.push(record);
+      await fs.writeFile(file, JSON.stringify(raw, null, 2) + '\n');
+    },
+    async list() { return records(); }
+  };
+}
+
+// Records under <prefix>id:<id>, plus <prefix>hash:<hash> -> id for bearer lookups.
+function redisKeyStore(client, { prefix = 'amello:apikey:' } = {}) {
+  const byId = async (id) => {
+    const raw = id && await client.get(`${prefix}id:${id}`);
+    try { return raw ? normalizeRecord(JSON.parse(raw)) : null; } catch { return null; }
+  };
+  return {
+    name: 'redis',
+    async findByHash(hash) { return byId(await client.get(`${prefix}hash:${hash}`)); },
+    findById: byId,
+    async revoke(id) {
+      const r = await byId(id);
+      if (!r) return false;
+      await client.set(`${prefix}id:${id}`, JSON.stringify({ ...r, revoked: true }));
+      return true;
+    },
+    async save(record) {
+      const r = normalizeRecord(record);
+      if (await byId(r.id)) throw new Error(`Key id "${r.id}" already exists`);
+      await client.set(`${prefix}id:${r.id}`, JSON.stringify(r));
+      await client.set(`${prefix}hash:${r.hash}`, r.id);
+    }
+  };
+}
+
+function keyStoreFromEnv() {
+  const backend = (process.env.MCP_KEY_STORE || 'env').toLowerCase();
+  if (backend === 'file') return fileKeyStore();
+  if (backend === 'redis') {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (!url || !token) throw new Error('MCP_KEY_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN');
+    return redisKeyStore(restRedisClient({ url, token }));
+  }
+  return envKeyStore();
+}
+
+let keyStore = null;
+let keyStoreError = null;
+try { keyStore = keyStoreFromEnv(); } catch (e) {
+  // fail closed: with a broken store every authenticated call is rejected
+  keyStoreError = e;
+  log.error('auth_key_store_unavailable', { error: e });
+}
+
+function setKeyStore(next) { keyStore = next; keyStoreError = null; }
+function getKeyStore() { return keyStore; }
+
+const production = () => process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+
+function authEnabled() {
+  const mode = (process.env.MCP_AUTH || '').toLowerCase();
+  if (mode === 'off') return false;
+  if (mode === 'required') return true;
+  // a production deployment without keys fails closed instead of serving everyone
+  return production() || !!(process.env.MCP_API_KEYS || process.env.MCP_INTERNAL_KEY
+    || (process.env.MCP_KEY_STORE && process.env.MCP_KEY_STORE.toLowerCase() !== 'env'));
+}
+
+if (!authEnabled()) {
+  log.warn('auth_disabled', {
+    reason: (process.env.MCP_AUTH || '').toLowerCase() === 'off' ? 'MCP_AUTH=off' : 'no API keys configured',
+    detail: 'every caller is accepted with all scopes'
+  });
+}
+
+// =============================
+// REQUEST AUTHENTICATION
+// =============================
+
+// Requests whose rawBody had to be rebuilt from a body the platform already parsed.
+const rebuiltBodies = new WeakSet();
+
+/**
+ * Reads the request body once and keeps it on req.rawBody so handlers and the HMAC
+ * check see the same bytes. The stream is read before req.body is touched; only when the
+ * platform has already consumed it (Vercel's helpers, unless NODEJS_HELPERS=0) is a parsed
+ * req.body re-serialized, which is fine to parse but cannot be checked against a signature.
+ */
+function readRawBody(req) {
+  if (typeof req.rawBody === 'string') return Promise.resolve(req.rawBody);
+  if (Buffer.isBuffer(req.rawBody)) return Promise.resolve(req.rawBody = req.rawBody.toString('utf8'));
+  if (req.readableEnded === false) {
+    return new Promise((resolve, reject) => {
+      let buf = '';
+      req.setEncoding('utf8');
+      req.on('data', (c) => { buf += c; });
+      req.on('end', () => { req.rawBody = buf; resolve(buf); });
+      req.on('error', reject);
+    });
+  }
+  return new Promise((resolve) => {
+    const b = req.body; // a platform getter may throw on malformed JSON
+    if (b === undefined || Buffer.isBuffer(b) || typeof b === 'string') req.rawBody = b === undefined ? '' : String(b);
+    else {
+      req.rawBody = JSON.stringify(b);
+      rebuiltBodies.add(req);
+    }
+    resolve(req.rawBody);
+  });
+}
+
+function canonicalString({ timestamp, method, path, body }) {
+  return `${timestamp}\n${String(method).toUpperCase()}\n${path}\n${sha256(body || '')}`;
+}
+
+/** Signature header value for a request (for clients and tests). */
+function signRequest({ secret, timestamp, method, path, body }) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(canonicalString({ timestamp, method, path, body })).digest('hex');
+}
+
+function bearerKey(req) {
+  const m = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return (m && m[1].trim()) || req.headers['x-api-key'] || null;
+}
+
+async function verifySigned(req, keyId) {
+  const timestamp = Number(req.headers['x-amello-timestamp']);
+  const signature = String(req.headers['x-amello-signature'] || '');
+  if (!Number.isFinite(timestamp) || !signature) throw new AuthError(401, 'Signed requests need X-Amello-Timestamp and X-Amello-Signature');
+  if (Math.abs(Date.now() / 1000 - timestamp) > HMAC_TOLERANCE_S) throw new AuthError(401, 'Request timestamp is outside the allowed window');
+
+  const record = await keyStore.findById(String(keyId));
+  if (!record || !record.hmacSecret) throw new AuthError(401, 'Unknown key id');
+  const body = await readRawBody(req);
+  if (rebuiltBodies.has(req)) {
+    throw new AuthError(401, 'Signed requests need the raw body, but the platform parsed it first (set NODEJS_HELPERS=0)');
+  }
+  const expected = signRequest({ secret: record.hmacSecret, timestamp, method: req.method, path: req.url, body });
+  if (!safeEqual(expected, signature)) throw new AuthError(401, 'Invalid request signature');
+  return record;
+}
+
+/**
+ * Resolves to the calling principal { id, scopes, via } or throws AuthError(401).
+ * With auth disabled every caller is { id: 'anonymous', scopes: ['*'] }.
+ */
+async function authenticate(req) {
+  if (!authEnabled()) return { id: 'anonymous', scopes: ['*'], via: 'none' };
+
+  const key = bearerKey(req);
+  const internal = process.env.MCP_INTERNAL_KEY;
+  if (key && internal && safeEqual(key, internal)) return { id: 'internal', scopes: ['*'], via: 'internal' };
+
+  if (!keyStore) throw new AuthError(401, `Key store unavailable: ${keyStoreError?.message || 'not configured'}`);
+  let record;
+  let via;
+  if (req.headers['x-amello-key-id']) {
+    record = await verifySigned(req, req.headers['x-amello-key-id']);
+    via = 'hmac';
+  } else if (key) {
+    record = await keyStore.findByHash(hashKey(key));
+    if (!record) throw new AuthError(401, 'Invalid API key');
+    via = 'bearer';
+  } else {
+    throw new AuthError(401, 'Missing credentials: send Authorization: Bearer <api key>');
+  }
+  if (record.revoked) throw new AuthError(401, 'API key has been revoked');
+  return { id: record.id, scopes: record.scopes, via };
+}
+
+function hasScope(scopes, required) {
+  return (scopes || []).some((s) => s === '*' || s === required || (s.endsWith('*') && required.startsWith(s.slice(0, -1))));
+}
+
+/** Throws AuthError(403) unless the principal holds `scope`. */
+function authorize(principal, scope) {
+  if (!hasScope(principal.scopes, scope)) {
+    throw new AuthError(403, `Key "${principal.id}" lacks scope ${scope}`, { scope });
+  }
+  return principal;
+}
+
+// WWW-Authenticate value for 401 responses.
+function challenge(err) {
+  return `Bearer realm="amello-mcp", error="invalid_token", error_description=${JSON.stringify(err.message)}`;
+}
+
+/** Headers for server-to-server calls into /api/mcp (chat, mcp-bridge). */
+function internalAuthHeaders() {
+  const key = process.env.MCP_INTERNAL_KEY;
+  return key ? { authorization: `Bearer ${key}` } : {};
+}
+
+// ---- OpenAPI ----
+function openApiSecurity() {
+  return {
+    schemes: {
+      ApiKeyBearer: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Per-client API key: Authorization: Bearer <key>. Keys are scoped to bridge operations ("bridge:<operationId>").'
+      },
+      HmacSignature: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Amello-Signature',
+        description: 'sha256=<hex HMAC-SHA256> over "<timestamp>\\n<METHOD>\\n<path?query>\\n<sha256 hex of body>", '
+          + 'sent together with X-Amello-Key-Id and X-Amello-Timestamp (unix seconds).'
+      }
+    },
+    requirements: [{ ApiKeyBearer: [] }, { HmacSignature: [] }]
+  };
+}
+
+module.exports = {
+  AuthError,
+  authEnabled,
+  authenticate,
+  authorize,
+  hasScope,
+  challenge,
+  readRawBody,
+  signRequest,
+  hashKey,
+  generateKey,
+  internalAuthHeaders,
+  openApiSecurity,
+  envKeyStore,
+  fileKeyStore,
+  redisKeyStore,
+  setKeyStore,
+  getKeyStore
+};
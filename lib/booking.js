@@ -0,0 +1,159 @@
+// lib/booking.js
+// Booking lookup for amello.booking_lookup (api/mcp.js) and POST /api/bridge/booking:
+// a booking reference plus the guest's e-mail -> a normalized booking summary.
+// An unknown reference and a wrong e-mail give the same "not found" answer, so a lookup
+// does not reveal which references exist. Besides the strict per-client rate limits,
+// failed lookups count against RATE_FAILURE_LIMITS["booking:lookup"] (lib/ratelimit.js);
+// a client over it is refused until the window ends. References are masked and e-mails
+// redacted in logs (lib/log.js); responses are never cached or recorded (lib/recorder.js).
+// Without AMELLO_BOOKING_PATH every lookup answers 501: the endpoint is not part of the
+// public Amello API, so there is no default to guess at with guests' e-mails.
+// Env:
+//   AMELLO_BOOKING_PATH (upstream lookup endpoint, required for lookups;
+//                        POST { bookingNumber, email, locale })
+
+const { AMELLO_BASE_URL, requestJson } = require('./upstream');
+const { upstreamHeaders } = require('./headers');
+const { enforceFailures, recordFailure } = require('./ratelimit');
+const { pick, asText, unwrap } = require('./shape');
+
+const bookingPath = () => process.env.AMELLO_BOOKING_PATH || null;
+const FAILURE_RESOURCE = 'booking:lookup';
+const DAY_MS = 86400000;
+
+/** " 45666-ck-000940 " -> "45666CK000940". */
+function normalizeReference(ref) {
+  return String(ref || '').replace(/[\s-]+/g, '').toUpperCase();
+}
+
+/** "max.mustermann@example.com" -> "m***@example.com". */
+function maskEmail(email) {
+  const [local, domain] = String(email || '').split('@');
+  if (!domain) return '***';
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+// =============================
+// NORMALIZATION
+// =============================
+
+function travellersOf(room) {
+  const list = pick(room, 'travellers', 'guests', 'persons');
+  if (Array.isArray(list)) {
+    const child = (t) => /child|kid/i.test(asText(pick(t, 'type', 'ageGroup', 'category')) || '') || (typeof t.age === 'number' && t.age < 18);
+    return {
+      list,
+      adults: list.filter((t) => !child(t)).length,
+      childrenAges: list.filter(child).map((t) => t.age).filter((a) => typeof a === 'number')
+    };
+  }
+  // roomConfigurations-style { adultCount, childrenAges }
+  const t = list && typeof list === 'object' ? list : room;
+  return { list: [], adults: Number(pick(t, 'adultCount', 'adults')) || 0, childrenAges: pick(t, 'childrenAges') || [] };
+}
+
+function leadGuestOf(b, rooms) {
+  const lead = pick(b, 'leadGuest', 'mainGuest', 'contact') || rooms.flatMap((r) => travellersOf(r).list)[0];
+  const first = asText(pick(lead, 'firstName', 'firstname', 'givenName'));
+  const last = asText(pick(lead, 'lastName', 'lastname', 'surname', 'familyName'));
+  if (!first && !last) return undefined;
+  return [first, last && `${last.slice(0, 1)}.`].filter(Boolean).join(' ');
+}
+
+// cancelled | free (until a date) | non-refundable | unknown
+function cancellationOf(b, today) {
+  const status = asText(pick(b, 'status', 'bookingStatus', 'state')) || '';
+  const until = asText(pick(b, 'cancellation.freeCancellationUntil', 'freeCancellationUntil', 'cancellation.until', 'cancellationDeadline'));
+  const fee = pick(b, 'cancellation.fee', 'cancellationFee');
+  const cancelledAt = asText(pick(b, 'cancellation.cancelledAt', 'cancelledAt'));
+  if (/cancel|storn/i.test(status) || cancelledAt) {
+    return { status: 'cancelled', cancelled: true, ...(cancelledAt ? { cancelledAt } : {}), ...(fee ? { fee } : {}) };
+  }
+  const refundable = pick(b, 'cancellation.free', 'freeCancellation', 'refundable');
+  if (until && until >= today) return { status: 'free', cancelled: false, freeCancellationUntil: until };
+  if (refundable === false || until) return { status: 'non-refundable', cancelled: false, ...(fee ? { fee } : {}) };
+  return { status: 'unknown', cancelled: false };
+}
+
+/**
+ * Upstream booking payload -> { bookingReference, status, hotel, departureDate, returnDate,
+ * nights, rooms, travellers, price, cancellation, contact }. Money stays an Amello money
+ * object (normalizePrices formats it); the contact e-mail is masked.
+ */
+function summarizeBooking(data, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const b = unwrap(data) || {};
+  const h = unwrap(pick(b, 'hotel', 'property')) || {};
+  const rooms = pick(b, 'rooms', 'roomBookings', 'roomConfigurations') || [];
+  const departureDate = asText(pick(b, 'departureDate', 'arrivalDate', 'checkIn'));
+  const returnDate = asText(pick(b, 'returnDate', 'departureDateReturn', 'checkOut'));
+  const roomRows = rooms.map(unwrap).map((r) => {
+    const t = travellersOf(r);
+    return {
+      name: asText(pick(r, 'room.name', 'roomName', 'name', 'roomType')),
+      board: asText(pick(r, 'board', 'boardType', 'mealPlan')),
+      adults: t.adults,
+      childrenAges: t.childrenAges
+    };
+  });
+  const email = asText(pick(b, 'contact.email', 'email', 'customer.email'));
+  return {
+    bookingReference: normalizeReference(pick(b, 'bookingNumber', 'bookingReference', 'reference', 'id')),
+    status: asText(pick(b, 'status', 'bookingStatus', 'state')),
+    hotel: {
+      hotelId: asText(pick(h, 'hotelId', 'id', 'code')),
+      name: asText(pick(h, 'name', 'title')),
+      city: asText(pick(h, 'city', 'address.city', 'location.city')),
+      country: asText(pick(h, 'country', 'address.country', 'location.country'))
+    },
+    departureDate,
+    returnDate,
+    nights: departureDate && returnDate ? Math.round((Date.parse(returnDate) - Date.parse(departureDate)) / DAY_MS) : undefined,
+    rooms: roomRows,
+    travellers: {
+      adults: roomRows.reduce((n, r) => n + r.adults, 0),
+      children: roomRows.reduce((n, r) => n + r.childrenAges.length, 0),
+      leadGuest: leadGuestOf(b, rooms.map(unwrap))
+    },
+    price: pick(b, 'totalPrice', 'price.total', 'total', 'price'),
+    cancellation: cancellationOf(b, today),
+    contact: { email: maskEmail(email) }
+  };
+}
+
+// =============================
+// LOOKUP
+// =============================
+
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Looks a booking up for `client` (lib/ratelimit.js clientId).
+ * Resolves to { status: 200, booking } | { status: 404 } | { status: 400 | 422, data } (upstream
+ * validation errors) | { status: 501 } (AMELLO_BOOKING_PATH not set). Throws RateLimitError when
+ * the client has too many failed lookups, UpstreamError when Amello is unavailable.
+ */
+async function lookupBooking({ bookingReference, email, locale = 'de_DE' }, { client, headers } = {}) {
+  if (!bookingPath()) return { status: 501 };
+  await enforceFailures(client, FAILURE_RESOURCE);
+  const bookingNumber = normalizeReference(bookingReference);
+  const res = await requestJson(`${AMELLO_BASE_URL}${bookingPath()}`, {
+    method: 'POST',
+    headers: upstreamHeaders({ accept: 'application/json', 'content-type': 'application/json' }, headers),
+    body: JSON.stringify({ bookingNumber, email, locale })
+  }, { idempotent: true, record: false });
+
+  // a booking for another e-mail is treated exactly like a missing one
+  const found = res.status === 200 && sameEmail(pick(unwrap(res.data) || {}, 'contact.email', 'email', 'customer.email'), email);
+  if (found) return { status: 200, booking: summarizeBooking(res.data) };
+  if (res.status === 400 || res.status === 422) return { status: res.status, data: res.data };
+  if (res.status === 200 || res.status === 403 || res.status === 404) {
+    await recordFailure(client, FAILURE_RESOURCE);
+    return { status: 404 };
+  }
+  return { status: res.status, data: res.data };
+}
+
+const NOT_FOUND_MESSAGE = 'No booking matches this reference and e-mail address. Check both and try again.';
+const NOT_CONFIGURED_MESSAGE = 'Booking lookup is not available on this server (AMELLO_BOOKING_PATH is not set).';
+
+module.exports = { lookupBooking, summarizeBooking, normalizeReference, maskEmail, NOT_FOUND_MESSAGE, NOT_CONFIGURED_MESSAGE };
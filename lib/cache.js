@@ -0,0 +1,229 @@
+// lib/cache.js
+// Response cache for catalog-style Amello endpoints (hotels, currencies).
+// Entries are keyed by method + full upstream URL (which carries locale and page) + the
+// request headers a response may vary by (Accept-Language, passed through from callers),
+// expire after a per-endpoint TTL and are then revalidated with If-None-Match /
+// If-Modified-Since when the upstream sent an ETag or Last-Modified.
+// Env:
+//   AMELLO_CACHE_BACKEND  (memory | file | redis | none; default memory)
+//   AMELLO_CACHE_TTLS     (JSON seconds per endpoint, e.g. {"hotels":3600,"currencies":86400})
+//   AMELLO_CACHE_DIR      (file backend directory, default <tmpdir>/amello-cache)
+//   KV_REST_API_URL / KV_REST_API_TOKEN  (redis backend via an Upstash/Vercel KV REST endpoint)
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { requestJson, UpstreamError } = require('./upstream');
+const { log } = require('./log');
+
+const DEFAULT_TTLS = { hotels: 3600, currencies: 86400 };
+let TTLS = { ...DEFAULT_TTLS };
+try {
+  if (process.env.AMELLO_CACHE_TTLS) TTLS = { ...DEFAULT_TTLS, ...JSON.parse(process.env.AMELLO_CACHE_TTLS) };
+} catch { TTLS = { ...DEFAULT_TTLS }; }
+
+// Expired entries are kept this much longer so they can be revalidated or served
+// stale while the upstream is failing.
+const STALE_FACTOR = 4;
+const MEMORY_MAX_ENTRIES = 500;
+// Request headers that are part of the key; lib/headers.js may pass these through from callers.
+const VARY_HEADERS = ['accept-language'];
+
+// =============================
+// STORES
+// Every store implements async get(key) -> entry|null, set(key, entry, ttlMs), delete(key).
+// =============================
+
+function memoryStore({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const map = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const hit = map.get(key);
+      if (!hit) return null;
+      if (hit.until < Date.now()) { map.delete(key); return null; }
+      return hit.entry;
+    },
+    async set(key, entry, ttlMs) {
+      map.delete(key); // re-insert so Map order tracks recency
+      map.set(key, { entry, until: Date.now() + ttlMs });
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    async delete(key) { map.delete(key); }
+  };
+}
+
+function fileStore({ dir = process.env.AMELLO_CACHE_DIR || path.join(os.tmpdir(), 'amello-cache') } = {}) {
+  const fileFor = (key) => path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        const hit = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        if (hit.until < Date.now()) { await fs.rm(fileFor(key), { force: true }); return null; }
+        return hit.entry;
+      } catch { return null; }
+    },
+    async set(key, entry, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = fileFor(key) + '.' + process.pid + '.tmp';
+      await fs.writeFile(tmp, JSON.stringify({ key, entry, until: Date.now() + ttlMs }));
+      await fs.rename(tmp, fileFor(key));
+    },
+    async delete(key) { await fs.rm(fileFor(key), { force: true }); }
+  };
+}
+
+// Wraps any Redis-compatible client exposing get(key) and set(key, value, 'PX', ms)
+// (ioredis, node-redis legacy mode) or the REST client below.
+function redisStore(client, { prefix = 'amello:cache:' } = {}) {
+  return {
+    name: 'redis',
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      if (!raw) return null;
+      try { return JSON.parse(raw); } catch { return null; }
+    },
+    async set(key, entry, ttlMs) {
+      await client.set(prefix + key, JSON.stringify(entry), 'PX', Math.max(1, Math.round(ttlMs)));
+    },
+    async delete(key) { await client.del(prefix + key); }
+  };
+}
+
+// Minimal client for Upstash / Vercel KV REST endpoints (Redis commands as JSON arrays).
+function restRedisClient({ url, token }) {
+  const base = url.replace(/\/+$/, '');
+  async function command(args) {
+    const r = await fetch(base, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const json = await r.json();
+    if (!r.ok || json.error) throw new Error(`Redis REST error: ${json.error || r.status}`);
+    return json.result;
+  }
+  return {
+    get: (key) => command(['GET', key]),
+    set: (key, value, ...opts) => command(['SET', key, value, ...opts]),
+    del: (key) => command(['DEL', key]),
+    // ioredis-style eval(script, numKeys, ...keysAndArgs), used by lib/ratelimit.js
+    eval: (script, numKeys, ...rest) => command(['EVAL', script, numKeys, ...rest].map(String))
+  };
+}
+
+function storeFromEnv() {
+  const backend = (process.env.AMELLO_CACHE_BACKEND || 'memory').toLowerCase();
+  if (backend === 'none') return null;
+  if (backend === 'file') return fileStore();
+  if (backend === 'redis') {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (!url || !token) throw new Error('AMELLO_CACHE_BACKEND=redis needs KV_REST_API_URL and KV_REST_API_TOKEN');
+    return redisStore(restRedisClient({ url, token }));
+  }
+  return memoryStore();
+}
+
+let store;
+try { store = storeFromEnv(); } catch (e) {
+  log.warn('cache_store_fallback', { store: 'memory', error: e });
+  store = memoryStore();
+}
+
+function setStore(next) { store = next; }
+function getStore() { return store; }
+
+// =============================
+// CACHED REQUESTS
+// =============================
+
+function cacheKey(url, method = 'GET', headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const vary = VARY_HEADERS.filter((h) => lower[h]).map((h) => ` ${h}=${String(lower[h]).trim().toLowerCase()}`);
+  return `${method.toUpperCase()} ${url}${vary.join('')}`;
+}
+
+function ttlFor(endpoint) {
+  return Number(TTLS[endpoint] ?? 0) * 1000;
+}
+
+function cacheInfo(status, entry, ttlMs) {
+  return {
+    status, // 'hit' | 'miss' | 'revalidated' | 'stale' | 'bypass'
+    ageSeconds: entry ? Math.max(0, Math.round((Date.now() - entry.storedAt) / 1000)) : 0,
+    ttlSeconds: Math.round(ttlMs / 1000)
+  };
+}
+
+/**
+ * GETs a catalog endpoint through the cache. Resolves to the requestJson shape
+ * plus cache: { status, ageSeconds, ttlSeconds }.
+ * endpoint picks the TTL from AMELLO_CACHE_TTLS ('hotels', 'currencies', ...).
+ * opts.refresh skips a fresh entry and asks the upstream again (still conditionally);
+ * the other opts go to requestJson.
+ */
+async function cachedRequestJson(endpoint, url, init = {}, { refresh = false, ...opts } = {}) {
+  const ttlMs = ttlFor(endpoint);
+  if (!store || ttlMs <= 0) {
+    return { ...(await requestJson(url, init, opts)), cache: cacheInfo('bypass', null, ttlMs) };
+  }
+
+  const key = cacheKey(url, init.method, init.headers);
+  let entry = null;
+  try { entry = await store.get(key); } catch (e) { log.warn('cache_read_failed', { store: store.name, error: e }); }
+
+  if (entry && !refresh && entry.expiresAt > Date.now()) {
+    return { ...entry.res, cache: cacheInfo('hit', entry, ttlMs) };
+  }
+
+  const headers = { ...(init.headers || {}) };
+  if (entry?.etag) headers['if-none-match'] = entry.etag;
+  if (entry?.lastModified) headers['if-modified-since'] = entry.lastModified;
+
+  let res;
+  try {
+    res = await requestJson(url, { ...init, headers }, opts);
+  } catch (e) {
+    // Upstream is down: a stale copy beats an error for data this slow-moving.
+    if (entry && e instanceof UpstreamError) return { ...entry.res, cache: cacheInfo('stale', entry, ttlMs) };
+    throw e;
+  }
+
+  if (res.status === 304 && entry) {
+    const refreshed = { ...entry, storedAt: Date.now(), expiresAt: Date.now() + ttlMs };
+    await save(key, refreshed, ttlMs);
+    return { ...entry.res, cache: cacheInfo('revalidated', refreshed, ttlMs) };
+  }
+
+  if (res.status === 200) {
+    const fresh = {
+      res,
+      etag: res.headers.etag || null,
+      lastModified: res.headers['last-modified'] || null,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + ttlMs
+    };
+    await save(key, fresh, ttlMs);
+  }
+  return { ...res, cache: cacheInfo('miss', null, ttlMs) };
+}
+
+async function save(key, entry, ttlMs) {
+  try { await store.set(key, entry, ttlMs * STALE_FACTOR); } catch (e) {
+    log.warn('cache_write_failed', { store: store.name, error: e });
+  }
+}
+
+module.exports = {
+  cachedRequestJson,
+  cacheKey,
+  memoryStore,
+  fileStore,
+  redisStore,
+  restRedisClient,
+  setStore,
+  getStore
+};
@@ -0,0 +1,239 @@
+// lib/catalog.js
+// Searchable index over the full Amello hotel catalog (GET /api/v1/hotels, all pages).
+// Pages are walked with a concurrency limit through the hotels response cache, the
+// normalized index is kept per locale in the warm instance and reused across calls.
+// Env:
+//   AMELLO_CATALOG_CONCURRENCY (pages fetched in parallel, default 4)
+//   AMELLO_CATALOG_MAX_PAGES   (safety cap, default 100)
+//   AMELLO_CATALOG_TTL_S       (index lifetime in seconds, default 3600)
+
+const { AMELLO_BASE_URL, EXTRA_HEADERS, authHeaders } = require('./upstream');
+const { cachedRequestJson } = require('./cache');
+const { mapLimit } = require('./concurrency');
+const { pick, asText, unwrap } = require('./shape');
+
+const CONCURRENCY = Number(process.env.AMELLO_CATALOG_CONCURRENCY || 4);
+const MAX_PAGES = Number(process.env.AMELLO_CATALOG_MAX_PAGES || 100);
+const INDEX_TTL_MS = Number(process.env.AMELLO_CATALOG_TTL_S || 3600) * 1000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const indexes = new Map(); // locale -> { index, expiresAt }
+const building = new Map(); // locale -> Promise<index>, so concurrent calls share one walk
+
+// ---- page fetching ----
+// refresh skips fresh cache entries, so a rebuild sees the current catalog.
+async function fetchPage(locale, page, refresh = false) {
+  const url = new URL(`${AMELLO_BASE_URL}/api/v1/hotels`);
+  url.searchParams.set('locale', locale);
+  url.searchParams.set('page', String(page));
+  return cachedRequestJson('hotels', url.toString(), {
+    method: 'GET',
+    headers: { accept: 'application/json', ...authHeaders(), ...EXTRA_HEADERS }
+  }, { refresh });
+}
+
+// The collection is a plain array today; accept the usual envelopes too.
+function pageItems(data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') return [];
+  for (const k of ['hydra:member', 'member', 'data', 'items', 'results']) {
+    if (Array.isArray(data[k])) return data[k];
+  }
+  return [];
+}
+
+// Last page number when the upstream advertises it (hydra:view or meta), else null.
+function lastPageOf(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  const view = data['hydra:view'] || data.view;
+  const last = view && (view['hydra:last'] || view.last);
+  if (typeof last === 'string') {
+    const m = last.match(/[?&]page=(\d+)/);
+    if (m) return Number(m[1]);
+  }
+  const meta = data.meta || data.pagination || {};
+  const n = meta.lastPage ?? meta.last_page ?? meta.totalPages ?? meta.pageCount;
+  return Number.isInteger(n) ? n : null;
+}
+
+// ---- normalization ----
+function normalizeHotel(item) {
+  const h = unwrap(item);
+  if (!h || typeof h !== 'object') return null;
+  const amenities = pick(h, 'amenities', 'facilities', 'features', 'attributes');
+  const stars = Number(pick(h, 'stars', 'starRating', 'category', 'classification.stars'));
+  return {
+    hotelId: asText(pick(h, 'hotelId', 'id', 'code', 'giataId')),
+    name: asText(pick(h, 'name', 'title')) || '',
+    city: asText(pick(h, 'city', 'address.city', 'location.city')),
+    region: asText(pick(h, 'region', 'address.region', 'location.region', 'state')),
+    country: asText(pick(h, 'country', 'address.country', 'location.country', 'countryName')),
+    countryCode: asText(pick(h, 'countryCode', 'address.countryCode', 'location.countryCode')),
+    stars: Number.isFinite(stars) ? stars : undefined,
+    rating: pick(h, 'rating', 'reviewScore', 'review.score'),
+    amenities: Array.isArray(amenities) ? amenities.map(asText).filter(Boolean) : [],
+    image: asText(pick(h, 'image', 'imageUrl', 'images.0.url', 'images.0', 'media.0.url'))
+  };
+}
+
+// ---- index building ----
+async function walkPages(locale, { concurrency = CONCURRENCY, maxPages = MAX_PAGES, refresh = false } = {}) {
+  const first = await fetchPage(locale, 1, refresh);
+  if (first.status !== 200) {
+    const err = new Error(`Hotel catalog page 1 failed with HTTP ${first.status}`);
+    err.status = first.status;
+    err.data = first.data;
+    throw err;
+  }
+  const pages = [pageItems(first.data)];
+  let complete = true;
+  const last = lastPageOf(first.data);
+
+  // A page counts as the end when it is empty or 404; any other failure leaves the index partial.
+  const fetchRest = async (nums) => mapLimit(nums, concurrency, async (n) => {
+    const r = await fetchPage(locale, n, refresh);
+    if (r.status === 404) return [];
+    if (r.status !== 200) { complete = false; return null; }
+    return pageItems(r.data);
+  });
+
+  if (last) {
+    const nums = [];
+    for (let n = 2; n <= Math.min(last, maxPages); n++) nums.push(n);
+    if (last > maxPages) complete = false;
+    for (const items of await fetchRest(nums)) if (items) pages.push(items);
+  } else if (pages[0].length) {
+    // No page count advertised: probe in batches until a page comes back empty.
+    let n = 2;
+    let done = false;
+    while (!done && n <= maxPages) {
+      const nums = [];
+      for (let k = 0; k < concurrency && n <= maxPages; k++) nums.push(n++);
+      for (const items of await fetchRest(nums)) {
+        if (!items || !items.length) { done = true; break; }
+        pages.push(items);
+      }
+    }
+    if (!done) complete = false;
+  }
+
+  return { pages: pages.length, complete, items: pages.flat() };
+}
+
+async function buildIndex(locale, opts) {
+  const { pages, complete, items } = await walkPages(locale, opts);
+  const seen = new Set();
+  const hotels = [];
+  for (const item of items) {
+    const h = normalizeHotel(item);
+    if (!h || !h.name) continue;
+    const key = h.hotelId || h.name;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    hotels.push(h);
+  }
+  return { locale, pages, complete, builtAt: new Date().toISOString(), hotels };
+}
+
+/**
+ * Returns the cached index for a locale, building it on first use or after expiry.
+ * opts.refresh forces a rebuild from pages fetched again upstream, not from the response cache.
+ */
+async function getCatalogIndex(locale, opts = {}) {
+  const cached = indexes.get(locale);
+  if (cached && !opts.refresh && cached.expiresAt > Date.now()) return cached.index;
+  if (building.has(locale)) return building.get(locale);
+
+  const p = buildIndex(locale, opts)
+    .then((index) => {
+      indexes.set(locale, { index, expiresAt: Date.now() + INDEX_TTL_MS });
+      return index;
+    })
+    .finally(() => building.delete(locale));
+  building.set(locale, p);
+  return p;
+}
+
+// ---- search ----
+const lc = (v) => (v == null ? '' : String(v).toLowerCase());
+
+function nameScore(name, q) {
+  if (!q) return 0;
+  const n = lc(name);
+  if (n === q) return 100;
+  if (n.startsWith(q)) return 60;
+  if (n.split(/[\s\-–,]+/).some((w) => w.startsWith(q))) return 40;
+  if (n.includes(q)) return 30;
+  return -1;
+}
+
+function matchesCountry(h, q) {
+  return lc(h.countryCode) === q || lc(h.country) === q || lc(h.country).includes(q);
+}
+
+/**
+ * Filters and ranks an index. All filters are optional and combined with AND:
+ * name (substring), country (code or name), city, region, location (city, region
+ * or country), minStars, amenities (each must match). Returns at most `limit` hits.
+ */
+function searchCatalog(index, filters = {}) {
+  const name = lc(filters.name).trim();
+  const country = lc(filters.country).trim();
+  const city = lc(filters.city).trim();
+  const region = lc(filters.region).trim();
+  const location = lc(filters.location).trim();
+  const amenities = (filters.amenities || []).map((a) => lc(a).trim()).filter(Boolean);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, filters.limit || DEFAULT_LIMIT));
+
+  const hits = [];
+  for (const h of index.hotels) {
+    const ns = nameScore(h.name, name);
+    if (ns < 0) continue;
+    if (country && !matchesCountry(h, country)) continue;
+    if (city && !lc(h.city).includes(city)) continue;
+    if (region && !lc(h.region).includes(region)) continue;
+    if (filters.minStars && !(h.stars >= filters.minStars)) continue;
+
+    let score = ns;
+    if (location) {
+      const fields = [h.city, h.region, h.country, h.countryCode].map(lc);
+      if (fields.includes(location)) score += 20;
+      else if (fields.some((f) => f.includes(location))) score += 10;
+      else continue;
+    }
+    if (amenities.length) {
+      const have = h.amenities.map(lc);
+      if (!amenities.every((a) => have.some((x) => x.includes(a)))) continue;
+      score += amenities.length * 5;
+    }
+    score += h.stars || 0;
+    hits.push({ score, hotel: h });
+  }
+
+  hits.sort((a, b) => b.score - a.score || (b.hotel.stars || 0) - (a.hotel.stars || 0) || a.hotel.name.localeCompare(b.hotel.name));
+  return {
+    total: hits.length,
+    returned: Math.min(limit, hits.length),
+    truncated: hits.length > limit,
+    results: hits.slice(0, limit).map(({ score, hotel }) => ({ ...hotel, score }))
+  };
+}
+
+/** getCatalogIndex + searchCatalog, plus a short description of the index used. */
+async function searchHotels(locale, filters = {}, opts = {}) {
+  const index = await getCatalogIndex(locale, opts);
+  return {
+    index: { locale, pages: index.pages, hotels: index.hotels.length, complete: index.complete, builtAt: index.builtAt },
+    ...searchCatalog(index, filters)
+  };
+}
+
+module.exports = {
+  getCatalogIndex,
+  searchCatalog,
+  searchHotels,
+  normalizeHotel,
+  pageItems,
+  MAX_LIMIT
+};
@@ -0,0 +1,235 @@
+// lib/chat-loop.js
+// Tool-execution loop for api/chat.js: ask the model, run the tool calls it asks for
+// (in parallel, with repaired or rejected arguments), feed the results back, repeat
+// until it answers or a budget runs out. Every step is recorded in a trace.
+// Env (per-request "limits" may only lower these):
+//   CHAT_MAX_ITERATIONS        (model calls per request, default 6)
+//   CHAT_TOKEN_BUDGET          (input + output tokens per request, default 60000)
+//   CHAT_TIME_BUDGET_MS        (wall clock per request, default 60000)
+//   CHAT_TOOL_CONCURRENCY      (tool calls run in parallel, default 4)
+//   CHAT_TOOL_RESULT_MAX_CHARS (larger tool results are shrunk before the model sees them, default 8000)
+
+const { settleLimit } = require('./concurrency');
+const { toolResultMessage } = require('./llm');
+
+const LIMITS = {
+  maxIterations: Number(process.env.CHAT_MAX_ITERATIONS || 6),
+  tokenBudget: Number(process.env.CHAT_TOKEN_BUDGET || 60000),
+  timeBudgetMs: Number(process.env.CHAT_TIME_BUDGET_MS || 60000),
+  toolConcurrency: Number(process.env.CHAT_TOOL_CONCURRENCY || 4),
+  toolResultMaxChars: Number(process.env.CHAT_TOOL_RESULT_MAX_CHARS || 8000)
+};
+
+const STOP_REPLIES = {
+  max_iterations: (l) => `(stopped after ${l.maxIterations} model calls)`,
+  token_budget: (l) => `(stopped: token budget of ${l.tokenBudget} used up)`,
+  time_budget: (l) => `(stopped: time budget of ${l.timeBudgetMs} ms used up)`
+};
+
+/** Env limits, lowered (never raised) by a request's { maxIterations, tokenBudget, timeBudgetMs }. */
+function resolveLimits(requested = {}) {
+  const out = { ...LIMITS };
+  for (const k of ['maxIterations', 'tokenBudget', 'timeBudgetMs']) {
+    const v = Number(requested?.[k]);
+    if (Number.isFinite(v) && v > 0) out[k] = Math.min(out[k], Math.floor(v));
+  }
+  return out;
+}
+
+// =============================
+// ARGUMENTS
+// =============================
+
+// Scans t outside strings: `end` is the index just past the bracket that closes the first
+// one opened (-1 while it is still open), `closers` the text that would close what is open.
+function scanBrackets(t) {
+  const stack = [];
+  let inString = false;
+  for (let i = 0; i < t.length; i++) {
+    const ch = t[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      stack.pop();
+      if (!stack.length) return { end: i + 1, closers: '' };
+    }
+  }
+  return { end: -1, closers: (inString ? '"' : '') + stack.reverse().join('') };
+}
+
+// Common ways models break JSON: code fences, prose around the object, trailing commas,
+// single quotes, unclosed braces. Returns { args, repaired } or { error }.
+function repairArgs(text) {
+  const attempt = (t) => {
+    try {
+      const v = JSON.parse(t);
+      return v && typeof v === 'object' && !Array.isArray(v) ? v : undefined;
+    } catch { return undefined; }
+  };
+  if (text == null || String(text).trim() === '') return { args: {}, repaired: false };
+  const direct = attempt(text);
+  if (direct) return { args: direct, repaired: false };
+
+  let t = String(text).trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  const start = t.indexOf('{');
+  if (start > 0) t = t.slice(start);
+  if (!t.includes('"') && t.includes("'")) t = t.replace(/'/g, '"');
+  // prose after a complete object is dropped; an object cut off mid-way is closed
+  const { end, closers } = scanBrackets(t);
+  t = (end >= 0 ? t.slice(0, end) : t + closers).replace(/,\s*([}\]])/g, '$1');
+
+  const fixed = attempt(t);
+  if (fixed) return { args: fixed, repaired: true };
+  try { JSON.parse(String(text)); } catch (e) { return { error: e.message }; }
+  return { error: 'arguments must be a JSON object' };
+}
+
+// =============================
+// RESULT SHRINKING
+// =============================
+
+function capArrays(value, n) {
+  if (Array.isArray(value)) {
+    const kept = value.slice(0, n).map((v) => capArrays(v, n));
+    return value.length > n ? [...kept, `… ${value.length - n} more item(s) omitted`] : kept;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, capArrays(v, n)]));
+  }
+  if (typeof value === 'string' && value.length > 500) return value.slice(0, 500) + '…';
+  return value;
+}
+
+/**
+ * Shrinks a tool result text to maxChars: JSON results keep their shape with long lists
+ * cut down, anything else is cut off. Returns { text, truncated }.
+ */
+function shrinkToolResult(text, maxChars) {
+  if (typeof text !== 'string' || text.length <= maxChars) return { text, truncated: false };
+  let parsed;
+  try { parsed = JSON.parse(text); } catch { parsed = undefined; }
+  if (parsed !== undefined) {
+    for (const n of [20, 10, 5, 3, 1]) {
+      const out = JSON.stringify(capArrays(parsed, n));
+      if (out.length <= maxChars) return { text: out, truncated: true };
+    }
+  }
+  return { text: text.slice(0, maxChars) + `… [truncated ${text.length - maxChars} chars]`, truncated: true };
+}
+
+// What tool_end events carry for clients that render results (index.html): the structured
+// result, or the shrunk text when it is too big to send along.
+const EVENT_RESULT_MAX_CHARS = 200000;
+
+function eventResult(result) {
+  const value = result?.structuredContent ?? result?.content?.find((c) => c.type === 'text')?.text;
+  if (typeof value !== 'string') {
+    const text = JSON.stringify(value ?? null);
+    return text.length <= EVENT_RESULT_MAX_CHARS ? value : eventResult({ content: [{ type: 'text', text }] });
+  }
+  const { text } = shrinkToolResult(value, EVENT_RESULT_MAX_CHARS);
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+// =============================
+// LOOP
+// =============================
+
+class BudgetTimeout extends Error {}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new BudgetTimeout(`timed out after ${ms}ms`)), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs the loop. messages is the canonical history (mutated: assistant and tool messages
+ * are appended); callTool(name, args) resolves to an MCP tools/call result.
+ * Resolves to { messages, reply, stopReason, usage, trace }.
+ */
+async function runToolLoop({ llm, messages, tools, callTool, stream, emit = () => {}, limits = resolveLimits() }) {
+  const started = Date.now();
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const trace = [];
+  const remaining = () => limits.timeBudgetMs - (Date.now() - started);
+  const done = (stopReason, reply) => {
+    trace.push({ type: 'stop', reason: stopReason, elapsedMs: Date.now() - started });
+    return { messages, reply, stopReason, usage, trace };
+  };
+
+  for (let i = 0; i < limits.maxIterations; i++) {
+    if (remaining() <= 0) return done('time_budget', STOP_REPLIES.time_budget(limits));
+    if (usage.inputTokens + usage.outputTokens >= limits.tokenBudget) return done('token_budget', STOP_REPLIES.token_budget(limits));
+
+    const t0 = Date.now();
+    let reply;
+    try {
+      reply = await withTimeout(
+        llm.adapter.complete({ model: llm.model, messages, tools, stream, onToken: (text) => emit('token', { text }) }),
+        remaining()
+      );
+    } catch (e) {
+      if (e instanceof BudgetTimeout) return done('time_budget', STOP_REPLIES.time_budget(limits));
+      throw e;
+    }
+    const { message, usage: u } = reply;
+    usage.inputTokens += u.inputTokens;
+    usage.outputTokens += u.outputTokens;
+    messages.push(message);
+    const calls = message.tool_calls || [];
+    trace.push({ type: 'llm', iteration: i + 1, durationMs: Date.now() - t0, usage: u, toolCalls: calls.length });
+    if (!calls.length) return done('final', message.content || '');
+
+    // Calls from one model turn are independent of each other, so they run side by side;
+    // results go back in the order the model asked for them.
+    const results = await settleLimit(calls, limits.toolConcurrency, async (c) => {
+      const name = c.function?.name;
+      const parsed = repairArgs(c.function?.arguments);
+      const step = { type: 'tool', id: c.id, name, ...(parsed.repaired ? { repaired: true } : {}) };
+      if (parsed.error) {
+        emit('tool_start', { id: c.id, name, arguments: c.function?.arguments });
+        emit('tool_end', { id: c.id, name, durationMs: 0, ok: false, error: `invalid arguments: ${parsed.error}` });
+        trace.push({ ...step, durationMs: 0, ok: false, error: `invalid arguments: ${parsed.error}` });
+        return {
+          content: [{ type: 'text', text: `Invalid JSON arguments (${parsed.error}). Call ${name} again with a valid JSON object.` }],
+          isError: true
+        };
+      }
+      if (parsed.repaired) c.function.arguments = JSON.stringify(parsed.args); // keep the history valid
+
+      emit('tool_start', { id: c.id, name, arguments: parsed.args });
+      const t1 = Date.now();
+      let result;
+      try {
+        result = await withTimeout(callTool(name, parsed.args), Math.max(1, remaining()));
+      } catch (e) {
+        result = { content: [{ type: 'text', text: `Tool error: ${e.message}` }], isError: true };
+      }
+      const ok = !result?.isError;
+      const error = ok ? undefined : result.content?.[0]?.text;
+      emit('tool_end', { id: c.id, name, durationMs: Date.now() - t1, ok, ...(error ? { error } : {}), result: eventResult(result) });
+      trace.push({ ...step, durationMs: Date.now() - t1, ok, ...(error ? { error } : {}) });
+      return result;
+    });
+
+    results.forEach((r, k) => {
+      const msg = toolResultMessage(calls[k], r.ok ? r.value : { content: [{ type: 'text', text: `Tool error: ${r.error.message}` }], isError: true });
+      const shrunk = shrinkToolResult(msg.content, limits.toolResultMaxChars);
+      if (shrunk.truncated) {
+        const step = trace.find((s) => s.type === 'tool' && s.id === calls[k].id);
+        if (step) step.truncated = { from: msg.content.length, to: shrunk.text.length };
+        msg.content = shrunk.text;
+      }
+      messages.push(msg);
+    });
+  }
+  return done('max_iterations', STOP_REPLIES.max_iterations(limits));
+}
+
+module.exports = { runToolLoop, resolveLimits, repairArgs, shrinkToolResult, LIMITS };
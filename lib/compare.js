@@ -0,0 +1,79 @@
+// lib/compare.js
+// Side-by-side comparison of several destinations for the same dates and rooms:
+// one POST /api/v1/find-hotels per destination, run in parallel, reduced to
+// hotel count, cheapest, median and best-rated offer. A failing destination is
+// reported in place and does not sink the others.
+
+const { findHotels } = require('./amello');
+const { assertRoomConfigurations } = require('./party');
+const { settleLimit } = require('./concurrency');
+const { summarizeHotel, moneyAmount } = require('./views');
+
+const DEFAULT_CONCURRENCY = 4;
+
+function ratingValue(r) {
+  const n = Number(typeof r === 'object' && r ? r.score ?? r.value : r);
+  return Number.isFinite(n) ? n : -Infinity;
+}
+
+// Median of the per-hotel cheapest totals, kept in the money shape of the first one
+// so lib/money.js can format it like every other price.
+function medianMoney(hotels) {
+  const priced = hotels.filter((h) => h.cheapestTotal).sort((a, b) => moneyAmount(a.cheapestTotal) - moneyAmount(b.cheapestTotal));
+  if (!priced.length) return null;
+  const mid = Math.floor(priced.length / 2);
+  if (priced.length % 2) return priced[mid].cheapestTotal;
+  const a = priced[mid - 1].cheapestTotal;
+  const b = priced[mid].cheapestTotal;
+  const decimals = a.decimals || 0;
+  return { ...a, value: Math.round((moneyAmount(a) + moneyAmount(b)) / 2 * 10 ** decimals) };
+}
+
+function summarizeDestination(destination, res) {
+  const results = res.data?.data?.results || res.data?.results || [];
+  const hotels = results.map(summarizeHotel);
+  const priced = hotels.filter((h) => h.cheapestTotal);
+  const cheapest = priced.reduce((a, h) => (!a || moneyAmount(h.cheapestTotal) < moneyAmount(a.cheapestTotal) ? h : a), null);
+  const bestRated = hotels.reduce((a, h) => (ratingValue(h.rating) > ratingValue(a?.rating) ? h : a), null);
+  return {
+    destination,
+    ok: true,
+    status: res.status,
+    hotelCount: results.length,
+    pricedCount: priced.length,
+    cheapest,
+    median: medianMoney(hotels),
+    bestRated: bestRated && ratingValue(bestRated.rating) > -Infinity ? bestRated : null
+  };
+}
+
+/**
+ * input: { destinations: [{ id, type }], departureDate, returnDate, currency,
+ *          roomConfigurations, locale }
+ * Resolves to { destinations: [...in input order], partial, cheapestOverall }.
+ */
+async function compareDestinations(input, { headers, concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const { destinations, ...shared } = input;
+  assertRoomConfigurations(shared.roomConfigurations); // once, not per destination
+  const settled = await settleLimit(destinations, concurrency, (destination) =>
+    findHotels({ ...shared, destination }, { headers }));
+
+  const rows = settled.map((s, i) => {
+    const destination = destinations[i];
+    if (!s.ok) return { destination, ok: false, status: s.error.status || 502, error: s.error.message };
+    if (s.value.status >= 400) return { destination, ok: false, status: s.value.status, error: s.value.data };
+    return summarizeDestination(destination, s.value);
+  });
+
+  const winner = rows
+    .filter((r) => r.ok && r.cheapest)
+    .reduce((a, r) => (!a || moneyAmount(r.cheapest.cheapestTotal) < moneyAmount(a.cheapest.cheapestTotal) ? r : a), null);
+
+  return {
+    destinations: rows,
+    partial: rows.some((r) => !r.ok),
+    cheapestOverall: winner ? { destination: winner.destination, ...winner.cheapest } : null
+  };
+}
+
+module.exports = { compareDestinations };
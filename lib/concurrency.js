@@ -0,0 +1,32 @@
+// lib/concurrency.js
+// Small helpers for fanning out upstream calls without flooding the Amello API.
+
+/**
+ * Maps items through an async fn with at most `limit` calls in flight.
+ * Results keep input order. Rejections propagate unless fn handles them.
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return results;
+}
+
+/**
+ * Like mapLimit, but never rejects: each slot becomes
+ * { ok: true, value } or { ok: false, error }.
+ */
+async function settleLimit(items, limit, fn) {
+  return mapLimit(items, limit, async (item, i) => {
+    try { return { ok: true, value: await fn(item, i) }; } catch (error) { return { ok: false, error }; }
+  });
+}
+
+module.exports = { mapLimit, settleLimit };
@@ -0,0 +1,150 @@
+// lib/flex-search.js
+// "When is it cheapest?" search: expands a date window, stay length(s) and weekday
+// constraints into concrete departure/return pairs, runs POST /api/v1/find-hotels for
+// each (concurrency-limited, within a request budget) and builds a price calendar.
+
+const { findHotels } = require('./amello');
+const { assertRoomConfigurations } = require('./party');
+const { mapLimit } = require('./concurrency');
+const { summarizeHotel, moneyAmount } = require('./views');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_BUDGET = 20;
+const MAX_BUDGET = 60;
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_TOP = 5;
+const DAY_MS = 86400000;
+
+function parseDay(s) {
+  const t = Date.parse(`${s}T00:00:00Z`);
+  if (Number.isNaN(t)) throw new RangeError(`Invalid date: ${s} (expected YYYY-MM-DD)`);
+  return t;
+}
+
+function fmtDay(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+function weekdayOf(t) {
+  return WEEKDAYS[new Date(t).getUTCDay()];
+}
+
+/**
+ * Every (departure, return) pair inside [window.from, window.to] whose length is
+ * within [minNights, maxNights] and whose weekdays pass the filters.
+ */
+function stayCandidates({ window, minNights, maxNights, checkInDays, checkOutDays }) {
+  const start = parseDay(window.from);
+  const end = parseDay(window.to);
+  if (end <= start) throw new RangeError('window.to must be after window.from');
+  if (minNights < 1 || maxNights < minNights) throw new RangeError('Invalid nights range');
+  const inOk = checkInDays?.length ? new Set(checkInDays) : null;
+  const outOk = checkOutDays?.length ? new Set(checkOutDays) : null;
+
+  const out = [];
+  for (let d = start; d + minNights * DAY_MS <= end; d += DAY_MS) {
+    if (inOk && !inOk.has(weekdayOf(d))) continue;
+    for (let n = minNights; n <= maxNights; n++) {
+      const r = d + n * DAY_MS;
+      if (r > end) break;
+      if (outOk && !outOk.has(weekdayOf(r))) continue;
+      out.push({ departureDate: fmtDay(d), returnDate: fmtDay(r), nights: n, checkInDay: weekdayOf(d) });
+    }
+  }
+  return out;
+}
+
+// Reorders candidates so any prefix is spread across the whole window (0, n/2, n/4, 3n/4, ...),
+// which keeps an exhausted budget from only covering the first few days.
+function spreadOrder(list) {
+  const n = list.length;
+  const seen = new Set();
+  const order = [];
+  for (let step = n; order.length < n; step = Math.max(1, Math.floor(step / 2))) {
+    for (let i = 0; i < n; i += step) {
+      if (!seen.has(i)) { seen.add(i); order.push(list[i]); }
+    }
+    if (step === 1) break;
+  }
+  return order;
+}
+
+/**
+ * Runs the flexible search.
+ * input: FindHotels body without dates, plus window { from, to }, nights or
+ * minNights/maxNights, checkInDays/checkOutDays, maxRequests, concurrency, top, rankBy.
+ */
+async function cheapestStay(input, { headers } = {}) {
+  const {
+    window, nights, minNights: minIn, maxNights: maxIn, checkInDays, checkOutDays,
+    maxRequests = DEFAULT_BUDGET, concurrency = DEFAULT_CONCURRENCY, top = DEFAULT_TOP,
+    rankBy = 'total', ...searchBody
+  } = input;
+  const minNights = minIn ?? nights;
+  const maxNights = maxIn ?? nights ?? minNights;
+  if (!minNights) throw new RangeError('Provide "nights" or "minNights"/"maxNights"');
+
+  assertRoomConfigurations(searchBody.roomConfigurations); // once, not per candidate
+  const all = stayCandidates({ window, minNights, maxNights, checkInDays, checkOutDays });
+  const budget = Math.min(MAX_BUDGET, Math.max(1, maxRequests));
+  const planned = spreadOrder(all).slice(0, budget);
+
+  let failed = 0;
+  const calendar = await mapLimit(planned, concurrency, async (c) => {
+    try {
+      const res = await findHotels({ ...searchBody, departureDate: c.departureDate, returnDate: c.returnDate }, { headers });
+      if (res.status >= 400) {
+        failed++;
+        return { ...c, status: res.status, hotels: 0, error: res.data };
+      }
+      const list = res.data?.data?.results || res.data?.results || [];
+      const hotels = list.map(summarizeHotel).filter((h) => h.cheapestTotal);
+      hotels.sort((a, b) => moneyAmount(a.cheapestTotal) - moneyAmount(b.cheapestTotal));
+      return { ...c, status: res.status, hotels: list.length, offers: hotels.slice(0, top) };
+    } catch (e) {
+      failed++;
+      return { ...c, status: e.status || 502, hotels: 0, error: e.message };
+    }
+  });
+
+  calendar.sort((a, b) => a.departureDate.localeCompare(b.departureDate) || a.nights - b.nights);
+
+  const perNight = (o, n) => moneyAmount(o.cheapestTotal) / n;
+  const combos = [];
+  for (const day of calendar) {
+    for (const h of day.offers || []) {
+      combos.push({
+        departureDate: day.departureDate,
+        returnDate: day.returnDate,
+        nights: day.nights,
+        hotelId: h.hotelId,
+        name: h.name,
+        total: h.cheapestTotal,
+        board: h.board,
+        cancellation: h.cancellation,
+        rating: h.rating
+      });
+    }
+  }
+  const score = (c) => (rankBy === 'perNight' ? moneyAmount(c.total) / c.nights : moneyAmount(c.total));
+  combos.sort((a, b) => score(a) - score(b));
+
+  return {
+    calendar: calendar.map(({ offers, ...day }) => ({
+      ...day,
+      cheapest: offers?.[0] ? { hotelId: offers[0].hotelId, name: offers[0].name, total: offers[0].cheapestTotal } : null,
+      cheapestPerNight: offers?.[0] ? Math.round(perNight(offers[0], day.nights) * 100) / 100 : null
+    })),
+    best: combos.slice(0, top),
+    requests: {
+      candidates: all.length,
+      budget,
+      used: planned.length,
+      failed,
+      skipped: all.length - planned.length
+    },
+    budgetExhausted: all.length > planned.length
+  };
+}
+
+module.exports = { cheapestStay, stayCandidates, WEEKDAYS, MAX_BUDGET };
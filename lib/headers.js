@@ -0,0 +1,95 @@
+// lib/headers.js
+// Header policy for Amello calls made on behalf of MCP tools (api/mcp.js):
+//   request  - caller-supplied headers (the tools' "headers" argument) pass only when they are
+//              on the allowlist; protected headers (credentials, hop-by-hop, correlation id,
+//              AMELLO_EXTRA_HEADERS) can never be set or overridden by a caller
+//   response - only allowlisted upstream response headers reach tool output; sensitive ones
+//              (cookies, auth challenges) are redacted even when allowlisted
+// Header names are compared case-insensitively; requests are sent with lower-case names.
+// Env:
+//   AMELLO_PASSTHROUGH_HEADERS (comma-separated; default accept-language,idempotency-key,x-idempotency-key)
+//   AMELLO_RESPONSE_HEADERS    (comma-separated; default content-type,content-language,cache-control,
+//                               etag,last-modified,age,retry-after,x-cache)
+
+const { EXTRA_HEADERS, authHeaders } = require('./upstream');
+const { log } = require('./log');
+
+const list = (value, fallback) => (value || fallback).split(',').map((h) => h.trim().toLowerCase()).filter(Boolean);
+
+const PASSTHROUGH = new Set(list(process.env.AMELLO_PASSTHROUGH_HEADERS, 'accept-language,idempotency-key,x-idempotency-key'));
+const RESPONSE_ALLOWED = new Set(list(
+  process.env.AMELLO_RESPONSE_HEADERS,
+  'content-type,content-language,cache-control,etag,last-modified,age,retry-after,x-cache'
+));
+
+// Never taken from a caller, whatever the allowlist says.
+const PROTECTED = new Set([
+  'authorization', 'proxy-authorization', 'x-api-key', 'cookie',
+  'host', 'content-length', 'content-type', 'transfer-encoding', 'connection', 'upgrade', 'te', 'trailer', 'expect',
+  'x-forwarded-for', 'x-forwarded-host', 'x-real-ip', 'forwarded',
+  'x-correlation-id', 'x-amello-client'
+]);
+// Redacted in responses even when allowlisted.
+const SENSITIVE_RESPONSE = new Set(['set-cookie', 'set-cookie2', 'www-authenticate', 'proxy-authenticate', 'authorization']);
+
+const MAX_VALUE_LENGTH = 512;
+
+function lowerKeys(headers) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) if (v != null) out[k.toLowerCase()] = String(v);
+  return out;
+}
+
+function isProtected(name) {
+  return PROTECTED.has(name) || name in lowerKeys(EXTRA_HEADERS) || name in lowerKeys(authHeaders());
+}
+
+/**
+ * Filters caller-supplied headers. Returns { headers, dropped }; dropped lists the
+ * names that were not passed on (not allowlisted, protected, or with an invalid value).
+ */
+function callerHeaders(headers) {
+  const allowed = {};
+  const dropped = [];
+  for (const [name, value] of Object.entries(lowerKeys(headers))) {
+    const ok = PASSTHROUGH.has(name) && !isProtected(name) && value.length <= MAX_VALUE_LENGTH && !/[\r\n\0]/.test(value);
+    if (ok) allowed[name] = value;
+    else dropped.push(name);
+  }
+  return { headers: allowed, dropped };
+}
+
+/**
+ * Request headers for an Amello call: base (accept, content-type, ...), then the allowed
+ * caller headers, then credentials and AMELLO_EXTRA_HEADERS, which always win.
+ */
+function upstreamHeaders(base, caller) {
+  const { headers, dropped } = callerHeaders(caller);
+  if (dropped.length) log.warn('headers_dropped', { headers: dropped });
+  return { ...lowerKeys(base), ...headers, ...lowerKeys(authHeaders()), ...lowerKeys(EXTRA_HEADERS) };
+}
+
+/** Upstream response headers as tool output may show them. */
+function responseHeaders(headers) {
+  const out = {};
+  for (const [name, value] of Object.entries(lowerKeys(headers))) {
+    if (!RESPONSE_ALLOWED.has(name)) continue;
+    out[name] = SENSITIVE_RESPONSE.has(name) ? '[redacted]' : value;
+  }
+  return out;
+}
+
+/** { status, headers, data, ... } with headers passed through responseHeaders(). */
+function exposeResponse(res) {
+  return res && res.headers ? { ...res, headers: responseHeaders(res.headers) } : res;
+}
+
+module.exports = {
+  callerHeaders,
+  upstreamHeaders,
+  responseHeaders,
+  exposeResponse,
+  PASSTHROUGH,
+  PROTECTED,
+  RESPONSE_ALLOWED
+};
@@ -0,0 +1,84 @@
+// lib/http-server.js
+// Plain Node HTTP server that mounts the Vercel handlers from api/ so the whole app
+// (MCP endpoint, chat, bridge, OpenAPI, metrics, chat UI) runs locally without Vercel.
+// Used by bin/amello-mcp.js --http. Handlers are required lazily, after the CLI has
+// applied its flags to process.env.
+
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+const { log } = require('./log');
+
+const ROOT = path.join(__dirname, '..');
+
+// path -> handler module; prefix routes also match every sub-path, like api/bridge/[...route].js
+// and the /api/mcp-bridge/<tool> rewrite in vercel.json
+const ROUTES = [
+  { path: '/api/mcp', load: () => require('../api/mcp') },
+  { path: '/api/chat', load: () => require('../api/chat') },
+  { path: '/api/mcp-bridge', prefix: true, load: () => require('../api/mcp-bridge') },
+  { path: '/api/mcp-bridge-openapi', load: () => require('../api/mcp-bridge-openapi') },
+  { path: '/api/bridge-openapi', load: () => require('../api/bridge-openapi') },
+  { path: '/api/metrics', load: () => require('../api/metrics') },
+  { path: '/api/watch/run', load: () => require('../api/watch/run') },
+  { path: '/api/bridge', prefix: true, load: () => require('../api/bridge/[...route]') }
+];
+
+function findRoute(pathname) {
+  const p = pathname.replace(/\/+$/, '') || '/';
+  return ROUTES.find((r) => p === r.path || (r.prefix && p.startsWith(r.path + '/')));
+}
+
+function sendIndex(res) {
+  fs.readFile(path.join(ROOT, 'index.html'), (err, html) => {
+    if (err) {
+      res.statusCode = 404;
+      return res.end('index.html not found');
+    }
+    res.statusCode = 200;
+    res.setHeader('content-type', 'text/html; charset=utf-8');
+    res.end(html);
+  });
+}
+
+/**
+ * Creates (but does not start) the server. Unknown paths get a JSON 404, handler
+ * crashes a JSON 500 unless the handler already started its response.
+ */
+function createHttpServer() {
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && (pathname === '/' || pathname === '/index.html')) return sendIndex(res);
+
+    const route = findRoute(pathname);
+    if (!route) {
+      res.statusCode = 404;
+      res.setHeader('content-type', 'application/json');
+      return res.end(JSON.stringify({ error: `No route for ${pathname}` }));
+    }
+    try {
+      await route.load()(req, res);
+    } catch (e) {
+      log.error('http_handler_failed', { method: req.method, path: pathname, error: e, stack: e?.stack });
+      if (!res.headersSent) {
+        res.statusCode = 500;
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ error: String(e?.message || e) }));
+      }
+    }
+  });
+}
+
+/** Starts the server; resolves to the listening http.Server. */
+function listen({ port = 3000, host = '127.0.0.1' } = {}) {
+  const server = createHttpServer();
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { createHttpServer, listen, ROUTES };
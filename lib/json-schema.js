@@ -0,0 +1,85 @@
+// lib/json-schema.js
+// Minimal zod (v3) -> JSON Schema converter for the OpenAPI generator.
+// Covers the zod features used in lib/schemas.js; anything unknown becomes {}.
+
+function zodToJsonSchema(schema) {
+  const def = schema?._def;
+  if (!def) return {};
+  const out = convert(schema, def);
+  if (def.description && !out.description) out.description = def.description;
+  return out;
+}
+
+function convert(schema, def) {
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(schema.shape)) {
+        properties[key] = zodToJsonSchema(value);
+        if (!isOptional(value)) required.push(key);
+      }
+      const out = { type: 'object', properties };
+      if (required.length) out.required = required;
+      if (def.unknownKeys === 'strict') out.additionalProperties = false;
+      return out;
+    }
+    case 'ZodString': {
+      const out = { type: 'string' };
+      for (const c of def.checks || []) {
+        if (c.kind === 'regex') out.pattern = c.regex.source;
+        else if (c.kind === 'min') out.minLength = c.value;
+        else if (c.kind === 'max') out.maxLength = c.value;
+        else if (c.kind === 'email') out.format = 'email';
+        else if (c.kind === 'url') out.format = 'uri';
+      }
+      return out;
+    }
+    case 'ZodNumber': {
+      const out = { type: 'number' };
+      for (const c of def.checks || []) {
+        if (c.kind === 'int') out.type = 'integer';
+        else if (c.kind === 'min') out[c.inclusive ? 'minimum' : 'exclusiveMinimum'] = c.value;
+        else if (c.kind === 'max') out[c.inclusive ? 'maximum' : 'exclusiveMaximum'] = c.value;
+      }
+      return out;
+    }
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+    case 'ZodLiteral':
+      return { const: def.value };
+    case 'ZodArray': {
+      const out = { type: 'array', items: zodToJsonSchema(def.type) };
+      if (def.minLength) out.minItems = def.minLength.value;
+      if (def.maxLength) out.maxItems = def.maxLength.value;
+      return out;
+    }
+    case 'ZodRecord':
+      return { type: 'object', additionalProperties: zodToJsonSchema(def.valueType) };
+    case 'ZodUnion':
+      return { anyOf: def.options.map(zodToJsonSchema) };
+    case 'ZodDiscriminatedUnion':
+      return { oneOf: def.options.map(zodToJsonSchema), discriminator: { propertyName: def.discriminator } };
+    case 'ZodOptional':
+      return zodToJsonSchema(def.innerType);
+    case 'ZodNullable': {
+      const inner = zodToJsonSchema(def.innerType);
+      return inner.type ? { ...inner, type: [].concat(inner.type, 'null') } : { anyOf: [inner, { type: 'null' }] };
+    }
+    case 'ZodDefault':
+      return { ...zodToJsonSchema(def.innerType), default: def.defaultValue() };
+    case 'ZodEffects':
+      return zodToJsonSchema(def.schema);
+    default:
+      return {}; // ZodAny, ZodUnknown, ...
+  }
+}
+
+function isOptional(schema) {
+  const t = schema?._def?.typeName;
+  return t === 'ZodOptional' || t === 'ZodDefault' || (typeof schema.isOptional === 'function' && schema.isOptional());
+}
+
+module.exports = { zodToJsonSchema };
@@ -0,0 +1,326 @@
+// lib/llm.js
+// LLM provider layer for api/chat.js. The chat history is kept in one canonical shape
+// (OpenAI chat messages: system/user/assistant with tool_calls/tool) using the original
+// MCP tool names; each adapter translates it, the MCP tool schemas and the tool results
+// to its wire format and turns the reply back into a canonical assistant message.
+// adapter.complete() resolves to { message, usage: { inputTokens, outputTokens } }.
+// Adapters: openai, anthropic (Messages API, native tool_use blocks) and openai-compatible
+// (Ollama, llama.cpp, vLLM, ... via their /v1/chat/completions endpoint).
+// Env:
+//   LLM_PROVIDER       (openai | anthropic | openai-compatible; default openai)
+//   LLM_MODEL          (overrides the provider's default model)
+//   OPENAI_API_KEY / OPENAI_API_URL / OPENAI_MODEL (default gpt-4o-mini)
+//   ANTHROPIC_API_KEY / ANTHROPIC_API_URL / ANTHROPIC_MODEL (default claude-3-5-haiku-latest)
+//   ANTHROPIC_MAX_TOKENS (default 4096)
+//   LOCAL_LLM_URL      (default http://localhost:11434/v1/chat/completions, Ollama)
+//   LOCAL_LLM_MODEL    (default llama3.1) / LOCAL_LLM_API_KEY (optional)
+
+const TEMPERATURE = 0.2;
+
+// ---- shared helpers ----
+
+// Provider tool names must match ^[A-Za-z0-9_-]{1,64}$; MCP names like "amello.find_hotels_post" don't.
+function toolNames(tools) {
+  const out = new Map(); // mcp name -> wire name
+  const back = new Map(); // wire name -> mcp name
+  for (const t of tools || []) {
+    let wire = t.name.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+    for (let n = 2; back.has(wire); n++) wire = `${wire.slice(0, 60)}_${n}`;
+    out.set(t.name, wire);
+    back.set(wire, t.name);
+  }
+  return { wire: (name) => out.get(name) || name, mcp: (name) => back.get(name) || name };
+}
+
+// MCP inputSchema -> plain JSON Schema object the providers accept.
+function toolSchema(inputSchema) {
+  const { $schema, ...schema } = inputSchema || {};
+  return schema.type === 'object' ? schema : { type: 'object', properties: {}, ...schema, type: 'object' };
+}
+
+function parseArgs(text) {
+  if (!text) return {};
+  try { return JSON.parse(text); } catch { return {}; }
+}
+
+/** MCP tools/call result -> canonical tool message (text for the model, error flag kept). */
+function toolResultMessage(call, result) {
+  const text = (result?.content || []).filter((c) => c.type === 'text').map((c) => c.text).join('\n');
+  return {
+    role: 'tool',
+    tool_call_id: call.id,
+    name: call.function?.name,
+    content: text || JSON.stringify(result?.structuredContent ?? result ?? null),
+    ...(result?.isError ? { is_error: true } : {})
+  };
+}
+
+// Reads an SSE response body and calls onData with each parsed "data:" payload.
+async function readSse(body, onData) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data && data !== '[DONE]') onData(JSON.parse(data));
+    }
+  }
+}
+
+// Rough fallback (about 4 characters per token) for servers that report no usage.
+function estimateUsage(input, output) {
+  return {
+    inputTokens: Math.ceil(JSON.stringify(input).length / 4),
+    outputTokens: Math.ceil(JSON.stringify(output).length / 4)
+  };
+}
+
+async function postJson(url, headers, body, label) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) throw new Error(`${label} error: ${res.status} ${res.statusText} – ${await res.text()}`);
+  return res;
+}
+
+// =============================
+// OPENAI (and OpenAI-compatible servers)
+// =============================
+
+function openAIAdapter({ name, url, apiKey, model, requireKey = true }) {
+  function wireMessages(messages, names) {
+    return messages.map((m) => {
+      if (m.role === 'tool') return { role: 'tool', tool_call_id: m.tool_call_id, content: String(m.content ?? '') };
+      if (m.role === 'assistant' && m.tool_calls?.length) {
+        return {
+          role: 'assistant',
+          content: m.content || '',
+          tool_calls: m.tool_calls.map((c) => ({ ...c, type: 'function', function: { ...c.function, name: names.wire(c.function.name) } }))
+        };
+      }
+      return { role: m.role, content: m.content };
+    });
+  }
+
+  return {
+    name,
+    model,
+    async complete({ model: m, messages, tools, stream, onToken }) {
+      if (requireKey && !apiKey) throw new Error(`Missing API key for provider ${name}`);
+      const names = toolNames(tools);
+      const body = {
+        model: m || model,
+        messages: wireMessages(messages, names),
+        temperature: TEMPERATURE,
+        ...(tools?.length ? {
+          tools: tools.map((t) => ({
+            type: 'function',
+            function: { name: names.wire(t.name), description: t.description || '', parameters: toolSchema(t.inputSchema) }
+          })),
+          tool_choice: 'auto'
+        } : {}),
+        // usage in the last chunk; not every OpenAI-compatible server knows stream_options
+        ...(stream ? { stream: true, ...(name === 'openai' ? { stream_options: { include_usage: true } } : {}) } : {})
+      };
+      const res = await postJson(url, apiKey ? { authorization: `Bearer ${apiKey}` } : {}, body, name);
+
+      const msg = { role: 'assistant', content: '', tool_calls: [] };
+      let usage = null;
+      if (stream) {
+        // tool-call deltas arrive in pieces and are stitched together by index
+        await readSse(res.body, (data) => {
+          if (data.usage) usage = data.usage;
+          const delta = data.choices?.[0]?.delta || {};
+          if (delta.content) {
+            msg.content += delta.content;
+            onToken?.(delta.content);
+          }
+          for (const tc of delta.tool_calls || []) {
+            const slot = msg.tool_calls[tc.index ?? 0] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+            if (tc.id) slot.id = tc.id;
+            if (tc.function?.name) slot.function.name += tc.function.name;
+            if (tc.function?.arguments) slot.function.arguments += tc.function.arguments;
+          }
+        });
+      } else {
+        const json = await res.json();
+        usage = json.usage;
+        const m0 = json.choices?.[0]?.message || {};
+        msg.content = m0.content || '';
+        msg.tool_calls = (m0.tool_calls || []).map((c) => ({ id: c.id, type: 'function', function: { name: c.function?.name, arguments: c.function?.arguments || '{}' } }));
+      }
+      msg.tool_calls = msg.tool_calls.filter(Boolean).map((c, i) => ({
+        ...c,
+        id: c.id || `call_${i}`,
+        function: { name: names.mcp(c.function.name), arguments: c.function.arguments || '{}' }
+      }));
+      if (!msg.tool_calls.length) delete msg.tool_calls;
+      return {
+        message: msg,
+        usage: usage
+          ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+          : estimateUsage(body.messages, msg)
+      };
+    }
+  };
+}
+
+// =============================
+// ANTHROPIC MESSAGES
+// =============================
+
+// Canonical history -> { system, messages } with text / tool_use / tool_result blocks.
+// Consecutive tool results become one user message, as the Messages API expects.
+function toAnthropic(messages, names) {
+  const system = [];
+  const out = [];
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+  for (const m of messages) {
+    if (m.role === 'system') system.push(m.content);
+    else if (m.role === 'user') {
+      push('user', typeof m.content === 'string' ? (m.content ? [{ type: 'text', text: m.content }] : []) : m.content);
+    } else if (m.role === 'assistant') {
+      push('assistant', [
+        ...(m.content ? [{ type: 'text', text: m.content }] : []),
+        ...(m.tool_calls || []).map((c) => ({ type: 'tool_use', id: c.id, name: names.wire(c.function.name), input: parseArgs(c.function.arguments) }))
+      ]);
+    } else if (m.role === 'tool') {
+      push('user', [{
+        type: 'tool_result',
+        tool_use_id: m.tool_call_id,
+        content: String(m.content ?? ''),
+        ...(m.is_error ? { is_error: true } : {})
+      }]);
+    }
+  }
+  return { system: system.join('\n\n'), messages: out };
+}
+
+function anthropicAdapter({ url, apiKey, model, maxTokens, version = '2023-06-01' }) {
+  return {
+    name: 'anthropic',
+    model,
+    async complete({ model: m, messages, tools, stream, onToken }) {
+      if (!apiKey) throw new Error('Missing ANTHROPIC_API_KEY');
+      const names = toolNames(tools);
+      const { system, messages: wire } = toAnthropic(messages, names);
+      const body = {
+        model: m || model,
+        max_tokens: maxTokens,
+        temperature: TEMPERATURE,
+        ...(system ? { system } : {}),
+        messages: wire,
+        ...(tools?.length ? {
+          tools: tools.map((t) => ({ name: names.wire(t.name), description: t.description || '', input_schema: toolSchema(t.inputSchema) }))
+        } : {}),
+        ...(stream ? { stream: true } : {})
+      };
+      const res = await postJson(url, { 'x-api-key': apiKey, 'anthropic-version': version }, body, 'anthropic');
+
+      let blocks = [];
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      if (stream) {
+        const json = []; // partial tool input per block index
+        await readSse(res.body, (ev) => {
+          if (ev.type === 'message_start') {
+            usage.inputTokens = ev.message?.usage?.input_tokens || 0;
+          } else if (ev.type === 'message_delta') {
+            usage.outputTokens = ev.usage?.output_tokens || usage.outputTokens;
+          } else if (ev.type === 'content_block_start') {
+            blocks[ev.index] = { ...ev.content_block };
+            json[ev.index] = '';
+          } else if (ev.type === 'content_block_delta') {
+            const b = blocks[ev.index];
+            if (ev.delta.type === 'text_delta') {
+              b.text = (b.text || '') + ev.delta.text;
+              onToken?.(ev.delta.text);
+            } else if (ev.delta.type === 'input_json_delta') {
+              json[ev.index] += ev.delta.partial_json;
+            }
+          } else if (ev.type === 'content_block_stop' && blocks[ev.index]?.type === 'tool_use') {
+            blocks[ev.index].input = parseArgs(json[ev.index]);
+          } else if (ev.type === 'error') {
+            throw new Error(`anthropic error: ${ev.error?.message || 'stream error'}`);
+          }
+        });
+      } else {
+        const json = await res.json();
+        blocks = json.content || [];
+        usage.inputTokens = json.usage?.input_tokens || 0;
+        usage.outputTokens = json.usage?.output_tokens || 0;
+      }
+
+      const text = blocks.filter((b) => b?.type === 'text').map((b) => b.text).join('');
+      const calls = blocks.filter((b) => b?.type === 'tool_use').map((b) => ({
+        id: b.id,
+        type: 'function',
+        function: { name: names.mcp(b.name), arguments: JSON.stringify(b.input || {}) }
+      }));
+      return { message: { role: 'assistant', content: text, ...(calls.length ? { tool_calls: calls } : {}) }, usage };
+    }
+  };
+}
+
+// =============================
+// SELECTION
+// =============================
+
+const PROVIDERS = {
+  openai: () => openAIAdapter({
+    name: 'openai',
+    url: process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  }),
+  anthropic: () => anthropicAdapter({
+    url: process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    maxTokens: Number(process.env.ANTHROPIC_MAX_TOKENS || 4096)
+  }),
+  'openai-compatible': () => openAIAdapter({
+    name: 'openai-compatible',
+    url: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1/chat/completions',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    requireKey: false
+  })
+};
+
+/**
+ * Picks the adapter (request value, else LLM_PROVIDER, else openai) and model
+ * (request value, else LLM_MODEL, else the provider default). Unknown providers throw.
+ */
+function resolveProvider(provider, model) {
+  const envName = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const name = (provider || envName).toLowerCase();
+  const make = PROVIDERS[name];
+  if (!make) throw new Error(`Unknown LLM provider "${name}" (use ${Object.keys(PROVIDERS).join(', ')})`);
+  const adapter = make();
+  // LLM_MODEL belongs to LLM_PROVIDER; a request that switches provider gets that provider's default
+  const envModel = name === envName ? process.env.LLM_MODEL : undefined;
+  return { adapter, model: model || envModel || adapter.model };
+}
+
+module.exports = {
+  resolveProvider,
+  openAIAdapter,
+  anthropicAdapter,
+  toAnthropic,
+  toolNames,
+  toolSchema,
+  toolResultMessage,
+  PROVIDERS
+};
@@ -0,0 +1,143 @@
+// lib/log.js
+// Structured JSON logs (one object per line on stderr, so stdio MCP keeps stdout clean) and
+// the per-request context that carries the correlation id. The id is created at the edge
+// (/api/chat, /api/mcp-bridge, or taken from an inbound X-Correlation-Id), sent on to
+// /api/mcp as a header and in JSON-RPC params._meta, and on to Amello by lib/upstream.js.
+// Secrets and personal data are redacted before anything is written.
+// Env:
+//   LOG_LEVEL  (debug | info | warn | error | silent; default info)
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const CORRELATION_HEADER = 'x-correlation-id';
+const CORRELATION_META = 'amello/correlationId';
+const ID_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const context = new AsyncLocalStorage();
+
+// =============================
+// CONTEXT
+// =============================
+
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/** Inbound id if it looks sane, else undefined (never trust arbitrary header text in logs). */
+function validCorrelationId(value) {
+  const v = Array.isArray(value) ? value[0] : value;
+  return typeof v === 'string' && ID_RE.test(v) ? v : undefined;
+}
+
+/** Runs fn with fields ({ correlationId, route, ... }) as the current context; annotate() adds to it. */
+function runWithContext(fields, fn) {
+  return context.run(fields, fn);
+}
+
+function currentContext() {
+  return context.getStore() || {};
+}
+
+function correlationId() {
+  return currentContext().correlationId;
+}
+
+/** Header to pass the current correlation id on; empty outside a request. */
+function correlationHeaders() {
+  const id = correlationId();
+  return id ? { 'X-Correlation-Id': id } : {};
+}
+
+/** JSON-RPC params._meta entry carrying the current correlation id. */
+function correlationMeta() {
+  const id = correlationId();
+  return id ? { [CORRELATION_META]: id } : {};
+}
+
+// =============================
+// REDACTION
+// =============================
+
+const SECRET_KEY_RE = /authorization|cookie|api[-_]?key|secret|passw(or)?d|signature|credential|^key$|^(access|refresh|id|auth)?[-_]?token$/i;
+const PII_KEY_RE = /e-?mail|phone|firstname|lastname|surname|birth|address|iban|card|guestname|leadguest/i;
+// Booking references stay recognizable for support ("…0940") without being replayable.
+const MASKED_KEY_RE = /^booking[-_]?(ref(erence)?|number|no|id|code)$/i;
+const SECRET_VALUE_RES = [
+  /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi,
+  /\bamk_[A-Za-z0-9_-]+/g,
+  /\bsk-[A-Za-z0-9_-]{8,}/g,
+  /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+];
+
+function redactString(s) {
+  return SECRET_VALUE_RES.reduce((out, re) => out.replace(re, (m, scheme) => (typeof scheme === 'string' ? `${scheme} [redacted]` : '[redacted]')), s);
+}
+
+/** "45666CK000940" -> "*********0940". */
+function maskReference(v) {
+  const s = String(v ?? '');
+  return s.length <= 4 ? '*'.repeat(s.length) : '*'.repeat(s.length - 4) + s.slice(-4);
+}
+
+/** Deep copy with secret / personal fields replaced by "[redacted]" (booking references masked). */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth > 8) return '[truncated]';
+  if (value instanceof Error) return { name: value.name, message: redactString(value.message), code: value.code, status: value.status };
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (MASKED_KEY_RE.test(k) && (typeof v === 'string' || typeof v === 'number')) out[k] = maskReference(v);
+    else out[k] = SECRET_KEY_RE.test(k) || PII_KEY_RE.test(k) ? '[redacted]' : redact(v, depth + 1);
+  }
+  return out;
+}
+
+// =============================
+// LOGGER
+// =============================
+
+function threshold() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const line = {
+    ts: new Date().toISOString(),
+    level,
+    msg,
+    ...currentContext(),
+    ...redact(fields || {})
+  };
+  try {
+    process.stderr.write(JSON.stringify(line) + '\n');
+  } catch {
+    // logging must never break a request
+  }
+}
+
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+module.exports = {
+  log,
+  redact,
+  maskReference,
+  runWithContext,
+  currentContext,
+  correlationId,
+  correlationHeaders,
+  correlationMeta,
+  newCorrelationId,
+  validCorrelationId,
+  CORRELATION_HEADER,
+  CORRELATION_META
+};
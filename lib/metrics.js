@@ -0,0 +1,110 @@
+// lib/metrics.js
+// In-process counters and latency histograms, rendered in the Prometheus text format by
+// api/metrics.js. Each warm instance keeps its own numbers (scrape every instance, or
+// let the platform aggregate). Recorded by lib/tracing.js (routes and MCP tools) and
+// lib/upstream.js (Amello requests).
+
+const BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// name -> { type, help, series: Map(labelKey -> { labels, value } | { labels, counts, sum, count }) }
+const registry = new Map();
+
+function metric(name, type, help) {
+  if (!registry.has(name)) registry.set(name, { type, help, series: new Map() });
+  return registry.get(name);
+}
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+
+function series(m, labels, init) {
+  const key = labelKey(labels);
+  if (!m.series.has(key)) m.series.set(key, { labels, ...init() });
+  return m.series.get(key);
+}
+
+/** Adds n (default 1) to a counter. */
+function inc(name, help, labels = {}, n = 1) {
+  series(metric(name, 'counter', help), labels, () => ({ value: 0 })).value += n;
+}
+
+/** Sets a gauge. */
+function set(name, help, labels = {}, value) {
+  series(metric(name, 'gauge', help), labels, () => ({ value: 0 })).value = value;
+}
+
+/** Records one observation (seconds) in a histogram. */
+function observe(name, help, labels = {}, seconds) {
+  const s = series(metric(name, 'histogram', help), labels, () => ({ counts: BUCKETS.map(() => 0), sum: 0, count: 0 }));
+  BUCKETS.forEach((b, i) => { if (seconds <= b) s.counts[i] += 1; });
+  s.sum += seconds;
+  s.count += 1;
+}
+
+// ---- recorders used across the code base ----
+
+function recordRequest({ route, method, status, durationMs }) {
+  const labels = { route, method, status: String(status) };
+  inc('amello_http_requests_total', 'HTTP requests by route, method and status', labels);
+  if (status >= 500) inc('amello_http_errors_total', 'HTTP requests answered with 5xx', { route });
+  observe('amello_http_request_duration_seconds', 'HTTP request latency', { route }, durationMs / 1000);
+}
+
+// outcome: ok | tool_error (isError result) | exception
+function recordToolCall({ tool, outcome, durationMs }) {
+  inc('amello_tool_calls_total', 'MCP tool calls by tool and outcome', { tool, outcome });
+  if (outcome !== 'ok') inc('amello_tool_errors_total', 'MCP tool calls that failed', { tool });
+  observe('amello_tool_call_duration_seconds', 'MCP tool call latency', { tool }, durationMs / 1000);
+}
+
+// status: HTTP status, or the error code (TIMEOUT, NETWORK_ERROR, CIRCUIT_OPEN) when there was none
+function recordUpstream({ endpoint, method, status, durationMs }) {
+  inc('amello_upstream_requests_total', 'Amello API requests by endpoint and status', { endpoint, method, status: String(status) });
+  observe('amello_upstream_request_duration_seconds', 'Amello API latency (all attempts)', { endpoint }, durationMs / 1000);
+}
+
+// =============================
+// EXPOSITION
+// =============================
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/** Prometheus text exposition format 0.0.4. */
+function renderMetrics() {
+  const lines = [];
+  for (const [name, m] of registry) {
+    lines.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const s of m.series.values()) {
+      if (m.type !== 'histogram') {
+        lines.push(`${name}${labelText(s.labels)} ${s.value}`);
+        continue;
+      }
+      BUCKETS.forEach((b, i) => lines.push(`${name}_bucket${labelText(s.labels, { le: b })} ${s.counts[i]}`));
+      lines.push(`${name}_bucket${labelText(s.labels, { le: '+Inf' })} ${s.count}`);
+      lines.push(`${name}_sum${labelText(s.labels)} ${Number(s.sum.toFixed(6))}`);
+      lines.push(`${name}_count${labelText(s.labels)} ${s.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function resetMetrics() {
+  registry.clear();
+}
+
+module.exports = {
+  inc,
+  set,
+  observe,
+  recordRequest,
+  recordToolCall,
+  recordUpstream,
+  renderMetrics,
+  resetMetrics,
+  BUCKETS
+};
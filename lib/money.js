@@ -0,0 +1,250 @@
+// lib/money.js
+// Turns Amello money objects ({ value, decimals, currency, inMinorUnits }, value in
+// minor units) into { amount, currency, formatted } using currency metadata from
+// GET /api/v1/currencies, and converts between currencies via a pluggable rate source.
+// Env:
+//   AMELLO_RATE_SOURCE  (ecb | http | fixture; default ecb)
+//   AMELLO_RATES_URL    (http source: JSON { base, rates: { CODE: n } }, e.g. https://api.frankfurter.app/latest)
+//   AMELLO_RATES_FILE   (fixture source, default fixtures/rates.json)
+//   AMELLO_RATES_TTL_S  (how long fetched rates are reused, default 3600)
+//   AMELLO_RATES_TIMEOUT_MS (ecb / http sources, default 10000)
+
+const fs = require('fs/promises');
+const path = require('path');
+const { AMELLO_BASE_URL } = require('./upstream');
+const { upstreamHeaders } = require('./headers');
+const { cachedRequestJson } = require('./cache');
+const { log } = require('./log');
+
+const ECB_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+const RATES_TTL_MS = Number(process.env.AMELLO_RATES_TTL_S || 3600) * 1000;
+const RATES_TIMEOUT_MS = Number(process.env.AMELLO_RATES_TIMEOUT_MS || 10000);
+
+// =============================
+// CURRENCY METADATA
+// =============================
+
+// The collection nests as [{ data: [...] }] today; flatten whatever envelope comes back.
+function currencyRows(data, out = []) {
+  if (Array.isArray(data)) { for (const d of data) currencyRows(d, out); return out; }
+  if (!data || typeof data !== 'object') return out;
+  if (typeof data.code === 'string') { out.push(data); return out; }
+  for (const k of ['data', 'hydra:member', 'member', 'items']) if (data[k]) currencyRows(data[k], out);
+  return out;
+}
+
+/** Map of currency code -> { code, name, symbol, decimalPlaces } for a locale. Never rejects. */
+async function getCurrencies(locale = 'de_DE') {
+  const url = new URL(`${AMELLO_BASE_URL}/api/v1/currencies`);
+  url.searchParams.set('locale', locale);
+  const map = new Map();
+  try {
+    const res = await cachedRequestJson('currencies', url.toString(), {
+      method: 'GET',
+      headers: upstreamHeaders({ accept: 'application/json' })
+    });
+    if (res.status === 200) {
+      for (const c of currencyRows(res.data)) {
+        map.set(c.code.toUpperCase(), { code: c.code.toUpperCase(), name: c.name, symbol: c.symbol, decimalPlaces: c.decimalPlaces });
+      }
+    }
+  } catch (e) {
+    log.warn('currency_metadata_unavailable', { locale, error: e });
+  }
+  return map;
+}
+
+// =============================
+// NORMALIZATION
+// =============================
+
+function bcp47(locale) {
+  return String(locale || 'de_DE').replace('_', '-');
+}
+
+function isMoney(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v)
+    && (typeof v.value === 'number' || typeof v.inMinorUnits === 'string')
+    && (typeof v.currency === 'string' || (v.currency && typeof v.currency.code === 'string'))
+    && ('decimals' in v || 'inMinorUnits' in v);
+}
+
+function decimalPlacesFor(code, meta, locale) {
+  if (Number.isInteger(meta?.decimalPlaces)) return meta.decimalPlaces;
+  try {
+    return new Intl.NumberFormat(bcp47(locale), { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+  } catch { return 2; }
+}
+
+/**
+ * Locale-formatted amount, e.g. 123.45 EUR -> "123,45 €" (de_DE) / "€123.45" (en_DE).
+ * Uses the Amello symbol and decimal places when the metadata has them.
+ */
+function formatAmount(amount, code, { locale = 'de_DE', meta } = {}) {
+  const dp = decimalPlacesFor(code, meta, locale);
+  try {
+    const nf = new Intl.NumberFormat(bcp47(locale), {
+      style: 'currency', currency: code, minimumFractionDigits: dp, maximumFractionDigits: dp
+    });
+    if (!meta?.symbol) return nf.format(amount);
+    return nf.formatToParts(amount).map((p) => (p.type === 'currency' ? meta.symbol : p.value)).join('');
+  } catch {
+    return `${amount.toFixed(dp)} ${meta?.symbol || code}`;
+  }
+}
+
+function round(amount, dp) {
+  const f = 10 ** dp;
+  return Math.round(amount * f) / f;
+}
+
+/** Amello money object -> { amount, currency, formatted }. */
+function normalizeMoney(m, { locale = 'de_DE', currencies } = {}) {
+  const code = String(typeof m.currency === 'string' ? m.currency : m.currency.code).toUpperCase();
+  const meta = currencies?.get(code) || (typeof m.currency === 'object' ? m.currency : undefined);
+  const minor = typeof m.value === 'number' ? m.value : Number(m.inMinorUnits);
+  const decimals = Number.isInteger(m.decimals) ? m.decimals : decimalPlacesFor(code, meta, locale);
+  const amount = round(minor / 10 ** decimals, decimals);
+  return { amount, currency: code, formatted: formatAmount(amount, code, { locale, meta }) };
+}
+
+/**
+ * Returns a copy of any tool output with every money object replaced by its
+ * normalized form. Currency metadata is fetched once per call (cached upstream).
+ */
+async function normalizePrices(obj, { locale = 'de_DE', currencies } = {}) {
+  const meta = currencies || await getCurrencies(locale);
+  const walk = (v) => {
+    if (Array.isArray(v)) return v.map(walk);
+    if (!v || typeof v !== 'object') return v;
+    if (isMoney(v)) return normalizeMoney(v, { locale, currencies: meta });
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = walk(x);
+    return out;
+  };
+  return walk(obj);
+}
+
+// =============================
+// RATE SOURCES
+// Each provider: async getRates() -> { base, rates: { CODE: units per base }, asOf, source }
+// =============================
+
+// Rate sources are not the Amello API: a plain timed fetch, so a slow or failing source
+// neither trips the Amello circuit breaker nor shows up in its upstream metrics.
+async function fetchRates(url, accept) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), RATES_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { headers: { accept }, signal: controller.signal });
+    const text = await res.text();
+    if (!accept.includes('json')) return { status: res.status, data: text };
+    try { return { status: res.status, data: JSON.parse(text) }; } catch { return { status: res.status, data: null }; }
+  } catch (e) {
+    if (controller.signal.aborted) throw new Error(`Rate source did not respond within ${RATES_TIMEOUT_MS}ms`);
+    throw new Error(`Rate source request failed: ${e?.message || e}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function fixtureRates({ file = process.env.AMELLO_RATES_FILE || path.join(__dirname, '..', 'fixtures', 'rates.json') } = {}) {
+  return {
+    name: 'fixture',
+    async getRates() {
+      const json = JSON.parse(await fs.readFile(file, 'utf8'));
+      return { base: json.base, rates: { [json.base]: 1, ...json.rates }, asOf: json.asOf || null, source: 'fixture' };
+    }
+  };
+}
+
+function ecbRates({ url = ECB_URL } = {}) {
+  return {
+    name: 'ecb',
+    async getRates() {
+      const res = await fetchRates(url, 'application/xml');
+      if (res.status !== 200 || typeof res.data !== 'string') throw new Error(`ECB rates unavailable (HTTP ${res.status})`);
+      const rates = { EUR: 1 };
+      for (const m of res.data.matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) rates[m[1]] = Number(m[2]);
+      const asOf = (res.data.match(/time=['"](\d{4}-\d{2}-\d{2})['"]/) || [])[1] || null;
+      return { base: 'EUR', rates, asOf, source: 'ecb' };
+    }
+  };
+}
+
+function httpRates({ url = process.env.AMELLO_RATES_URL } = {}) {
+  if (!url) throw new Error('AMELLO_RATE_SOURCE=http needs AMELLO_RATES_URL');
+  return {
+    name: 'http',
+    async getRates() {
+      const res = await fetchRates(url, 'application/json');
+      if (res.status !== 200 || !res.data?.rates) throw new Error(`Rate source unavailable (HTTP ${res.status})`);
+      const base = res.data.base || res.data.base_code || 'EUR';
+      return { base, rates: { [base]: 1, ...res.data.rates }, asOf: res.data.date || null, source: 'http' };
+    }
+  };
+}
+
+function providerFromEnv() {
+  const name = (process.env.AMELLO_RATE_SOURCE || 'ecb').toLowerCase();
+  if (name === 'fixture') return fixtureRates();
+  if (name === 'http') return httpRates();
+  return ecbRates();
+}
+
+let provider = null;
+let ratesCache = null; // { value, expiresAt }
+
+function setRateProvider(next) { provider = next; ratesCache = null; }
+
+async function getRates() {
+  if (ratesCache && ratesCache.expiresAt > Date.now()) return ratesCache.value;
+  if (!provider) provider = providerFromEnv();
+  const value = await provider.getRates();
+  ratesCache = { value, expiresAt: Date.now() + RATES_TTL_MS };
+  return value;
+}
+
+class ConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversionError';
+  }
+}
+
+/**
+ * Converts `amount` (major units) from one currency to another.
+ * Resolves to { from, to, rate, source, asOf } with from/to in normalized form.
+ */
+async function convertPrice({ amount, from, to, locale = 'de_DE' }) {
+  const src = String(from).toUpperCase();
+  const dst = String(to).toUpperCase();
+  const [{ base, rates, asOf, source }, currencies] = await Promise.all([getRates(), getCurrencies(locale)]);
+  for (const c of [src, dst]) {
+    if (!rates[c]) throw new ConversionError(`No ${source} exchange rate for ${c} (base ${base})`);
+  }
+  const rate = rates[dst] / rates[src];
+  const dp = decimalPlacesFor(dst, currencies.get(dst), locale);
+  const converted = round(amount * rate, dp);
+  return {
+    from: { amount, currency: src, formatted: formatAmount(amount, src, { locale, meta: currencies.get(src) }) },
+    to: { amount: converted, currency: dst, formatted: formatAmount(converted, dst, { locale, meta: currencies.get(dst) }) },
+    rate: round(rate, 6),
+    source,
+    asOf
+  };
+}
+
+module.exports = {
+  getCurrencies,
+  isMoney,
+  normalizeMoney,
+  normalizePrices,
+  formatAmount,
+  convertPrice,
+  fixtureRates,
+  ecbRates,
+  httpRates,
+  setRateProvider,
+  ConversionError
+};
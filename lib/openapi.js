@@ -0,0 +1,301 @@
+// lib/openapi.js
+// Generates the bridge OpenAPI 3.1 document from the schema registry (lib/schemas.js).
+// Served by api/bridge-openapi.js; scripts/check-openapi.js uses checkBridgeRoutes()
+// to fail when a bridge route has no operation entry (or the other way round).
+// buildToolsOpenApi() does the same for /api/mcp-bridge from an MCP tools/list answer:
+// one operation per tool (api/mcp-bridge-openapi.js).
+
+const { loadSchemas, BRIDGE_OPERATIONS } = require('./schemas');
+const { zodToJsonSchema } = require('./json-schema');
+const { version } = require('../package.json');
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Malformed JSON or invalid input',
+  401: 'Missing or invalid credentials',
+  403: 'Credentials lack the scope for this operation',
+  404: 'Nothing matches the request (for bookings: reference and e-mail; for watches: the id)',
+  405: 'Method not allowed',
+  409: 'Too many price watches for this client',
+  422: 'Validation failed (locally or upstream); see violations',
+  429: 'Rate limit exceeded',
+  501: 'Not available on this deployment (booking lookup without AMELLO_BOOKING_PATH)',
+  503: 'Amello API unavailable (timeout, outage or open circuit)'
+};
+
+// 'FindHotelsBodySchema' -> 'FindHotelsBody'
+const componentName = (schemaName) => schemaName.replace(/Schema$/, '');
+const ref = (schemaName) => ({ $ref: `#/components/schemas/${componentName(schemaName)}` });
+
+function queryParameters(jsonSchema, example = {}) {
+  const required = new Set(jsonSchema.required || []);
+  return Object.entries(jsonSchema.properties || {}).map(([name, schema]) => {
+    const p = { in: 'query', name, schema };
+    if (required.has(name)) p.required = true;
+    if (schema.description) p.description = schema.description;
+    // the bridge splits comma-separated lists (amenities=Spa,Pool)
+    if (schema.type === 'array') { p.style = 'form'; p.explode = false; }
+    if (example[name] !== undefined) p.example = example[name];
+    return p;
+  });
+}
+
+function problemResponses(statuses) {
+  const out = {};
+  for (const status of statuses) {
+    out[String(status)] = {
+      description: ERROR_DESCRIPTIONS[status] || 'Error',
+      content: { 'application/problem+json': { schema: ref('ProblemSchema') } }
+    };
+  }
+  return out;
+}
+
+/**
+ * Builds the document. opts.serverUrl sets servers[0]; opts.security ({ schemes,
+ * requirements }, see lib/auth.js) adds security schemes and 401/403 responses;
+ * opts.extend(operation, op) lets callers decorate operations further.
+ */
+async function buildOpenApi({ serverUrl, extend, security } = {}) {
+  const S = await loadSchemas();
+  const components = { schemas: {} };
+  const use = (name) => {
+    if (!S[name]) throw new Error(`Schema registry has no ${name}`);
+    components.schemas[componentName(name)] = zodToJsonSchema(S[name]);
+    return ref(name);
+  };
+  use('ProblemSchema');
+  if (security) components.securitySchemes = security.schemes;
+
+  const paths = {};
+  for (const op of BRIDGE_OPERATIONS) {
+    const operation = {
+      operationId: op.operationId,
+      summary: op.summary,
+      ...(op.tool ? { description: `Same behaviour as the MCP tool \`${op.tool}\`.` } : {}),
+      responses: {
+        200: {
+          description: op.response.description,
+          content: { 'application/json': { schema: use(op.response.schema) } }
+        },
+        ...problemResponses([...(security ? [401, 403] : []), ...(op.errors || [])])
+      }
+    };
+    if (security) operation.security = security.requirements;
+    if (op.body) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: use(op.body), ...(op.example ? { example: op.example } : {}) } }
+      };
+    }
+    if (op.query) operation.parameters = queryParameters(zodToJsonSchema(S[op.query]), op.example);
+    if (extend) extend(operation, op);
+    paths[op.path] = { ...(paths[op.path] || {}), [op.method]: operation };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Amello Bridge (Direct)',
+      version,
+      description: 'Direct JSON bridge to the Amello API for GPT Actions. Errors are RFC 7807 problem+json.'
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    paths,
+    components
+  };
+}
+
+// =============================
+// MCP BRIDGE (one operation per tool)
+// =============================
+
+// GPT Actions cuts descriptions at 300 characters
+const MAX_DESCRIPTION = 300;
+const clip = (text) => (text && text.length > MAX_DESCRIPTION ? `${text.slice(0, MAX_DESCRIPTION - 1)}…` : text);
+
+// 'amello.find_hotels_post' -> 'amello_find_hotels_post'
+const toolOperationId = (name) => name.replace(/[^A-Za-z0-9_]/g, '_');
+
+// lib/problem.js problemBody(), as plain JSON Schema (tools/list schemas are not in the registry)
+const BRIDGE_PROBLEM = {
+  type: 'object',
+  description: 'RFC 7807 problem details',
+  properties: {
+    type: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    retryAfter: { type: 'integer', description: 'Seconds to wait (429 only)' }
+  },
+  required: ['type', 'title', 'status']
+};
+
+// JSON Schema from tools/list without the draft marker, which OpenAPI 3.1 does not need
+function toolSchema(schema) {
+  if (!schema || typeof schema !== 'object') return { type: 'object' };
+  const { $schema, ...rest } = schema;
+  return rest;
+}
+
+function bridgeErrors(statuses) {
+  const out = {};
+  for (const status of statuses) {
+    out[String(status)] = {
+      description: ERROR_DESCRIPTIONS[status] || (status === 500 ? 'Tool call failed' : 'Error'),
+      content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } }
+    };
+  }
+  return out;
+}
+
+/**
+ * Builds the /api/mcp-bridge document from MCP tools ([{ name, title, description,
+ * inputSchema, outputSchema? }]): POST <prefix>/<tool> per tool, plus the catalog (GET
+ * <prefix>) and batch (POST <prefix>) operations. opts as for buildOpenApi.
+ */
+function buildToolsOpenApi(tools, { serverUrl, security, prefix = '/api/mcp-bridge', maxBatch } = {}) {
+  const components = { schemas: { Problem: BRIDGE_PROBLEM } };
+  if (security) components.securitySchemes = security.schemes;
+  const auth = security ? [401, 403] : [];
+  const secured = (operation) => (security ? { ...operation, security: security.requirements } : operation);
+
+  const paths = {};
+  for (const tool of [...tools].sort((a, b) => a.name.localeCompare(b.name))) {
+    paths[`${prefix}/${tool.name}`] = {
+      post: secured({
+        operationId: toolOperationId(tool.name),
+        summary: tool.title || tool.name,
+        description: clip(tool.description || `Calls the MCP tool \`${tool.name}\`.`),
+        ...(security ? { 'x-required-scope': `tool:${tool.name}` } : {}),
+        requestBody: { required: true, content: { 'application/json': { schema: toolSchema(tool.inputSchema) } } },
+        responses: {
+          200: {
+            description: `Result of \`${tool.name}\` (structured content, or the MCP result with content[])`,
+            content: { 'application/json': { schema: tool.outputSchema ? toolSchema(tool.outputSchema) : { type: 'object' } } }
+          },
+          ...bridgeErrors([400, ...auth, 404, 422, 429, 500])
+        }
+      })
+    };
+  }
+
+  const call = {
+    type: 'object',
+    properties: { name: { type: 'string', enum: tools.map((t) => t.name) }, arguments: { type: 'object' } },
+    required: ['name']
+  };
+  paths[prefix] = {
+    get: secured({
+      operationId: 'listTools',
+      summary: 'List the tools this key may call, with their input schemas',
+      responses: {
+        200: {
+          description: 'Tool catalog',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  tools: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string' },
+                        title: { type: 'string' },
+                        description: { type: 'string' },
+                        inputSchema: { type: 'object' },
+                        path: { type: 'string' }
+                      }
+                    }
+                  },
+                  batch: { type: 'object', properties: { maxCalls: { type: 'integer' }, concurrency: { type: 'integer' } } }
+                }
+              }
+            }
+          }
+        },
+        ...bridgeErrors(auth)
+      }
+    }),
+    post: secured({
+      operationId: 'callTools',
+      summary: 'Call several tools in one request',
+      description: 'Calls run concurrently; results come back in request order, each with the status the call alone would have had.',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: { calls: { type: 'array', minItems: 1, ...(maxBatch ? { maxItems: maxBatch } : {}), items: call } },
+              required: ['calls']
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'One entry per call, in order',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  results: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        name: { type: ['string', 'null'] },
+                        status: { type: 'integer' },
+                        result: { type: 'object' },
+                        error: { $ref: '#/components/schemas/Problem' }
+                      },
+                      required: ['name', 'status']
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ...bridgeErrors([400, ...auth])
+      }
+    })
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Amello MCP Bridge',
+      version,
+      description: 'Every Amello MCP tool as a plain JSON operation, for GPT Actions. Errors are RFC 7807 problem+json.'
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    paths,
+    components
+  };
+}
+
+/**
+ * Compares bridge routes ({ '/find-hotels': { operationId } }) with BRIDGE_OPERATIONS.
+ * Returns a list of human-readable problems; empty means in sync.
+ */
+function checkBridgeRoutes(routes, prefix = '/api/bridge') {
+  const problems = [];
+  for (const [sub, route] of Object.entries(routes)) {
+    const op = BRIDGE_OPERATIONS.find((o) => o.operationId === route.operationId);
+    if (!op) problems.push(`route ${prefix}${sub} (${route.operationId}) has no OpenAPI operation`);
+    else if (op.path !== prefix + sub) problems.push(`route ${prefix}${sub} is documented as ${op.path}`);
+  }
+  for (const op of BRIDGE_OPERATIONS) {
+    if (!Object.values(routes).some((r) => r.operationId === op.operationId)) {
+      problems.push(`operation ${op.operationId} (${op.path}) has no bridge route`);
+    }
+  }
+  return problems;
+}
+
+module.exports = { buildOpenApi, buildToolsOpenApi, toolOperationId, checkBridgeRoutes };
@@ -0,0 +1,159 @@
+// lib/party.js
+// Builds and validates Amello roomConfigurations so occupancy mistakes are explained
+// locally instead of surfacing as opaque upstream 422s.
+// A party is { adults, childrenAges, rooms }; it can also be parsed from text such as
+// "2 adults, kids aged 4 and 9, 2 rooms" or "2 Erwachsene, Kinder 4 und 9, 2 Zimmer".
+
+const RULES = Object.freeze({
+  maxRooms: 9,
+  maxAdultsPerRoom: 4,
+  maxChildrenPerRoom: 4,
+  maxGuestsPerRoom: 6,
+  maxChildAge: 17
+});
+
+class PartyError extends Error {
+  constructor(violations) {
+    super(`Invalid travellers: ${violations.map((v) => `${v.propertyPath}: ${v.message}`).join('; ')}`);
+    this.name = 'PartyError';
+    this.status = 422;
+    this.violations = violations; // [{ propertyPath, message }], same shape as Amello's ld+json errors
+  }
+}
+
+// ---- text parsing ----
+const NUM_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  a: 1, an: 1, single: 1, ein: 1, eine: 1, einem: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6
+};
+const num = (w) => (/^\d+$/.test(w) ? Number(w) : NUM_WORDS[w]);
+
+/** Best-effort parse of a party description. Unknown parts are left undefined. */
+function parseParty(text) {
+  const t = ` ${String(text).toLowerCase()} `;
+  const count = (re) => {
+    const m = t.match(re);
+    return m ? num(m[1]) : undefined;
+  };
+  const ADULTS = /\b(\d+|[a-zäöüß]+)\s+(?:adults?|erwachsene[rn]?|persons?|people|personen)\b/;
+  const ROOMS = /\b(\d+|[a-zäöüß]+)\s+(?:rooms?|zimmer)\b/;
+  const adults = count(ADULTS);
+  const rooms = count(ROOMS);
+
+  // Drop the adult/room counts so "kids aged 4 and 9, 2 rooms" does not read 2 as an age.
+  const rest = t.replace(new RegExp(ADULTS.source, 'g'), ';').replace(new RegExp(ROOMS.source, 'g'), ';');
+  let childrenAges;
+  const ages = rest.match(/(?:kids?|child(?:ren)?|kinder?|sons?|daughters?)[^.;]*?(?:aged?|alter|im alter von|von)?\s*((?:\d{1,2}\s*(?:,|and|und|&|\s)\s*)*\d{1,2})(?:\s*(?:years?|jahre?|y\.?o\.?))?/);
+  if (ages) childrenAges = ages[1].match(/\d{1,2}/g).map(Number);
+  const kidCount = count(/\b(\d+|[a-zäöüß]+)\s+(?:kids?|child(?:ren)?|kinder?)\b/);
+  if (!childrenAges && kidCount) childrenAges = null; // count known, ages missing
+
+  return { adults, childrenAges, rooms, childCount: childrenAges ? childrenAges.length : kidCount };
+}
+
+// ---- building ----
+/**
+ * Splits a party across rooms and assigns traveller ids (1..n).
+ * Adults are spread evenly (every room gets one), then each child goes to the
+ * room with the fewest guests. Throws PartyError when the rules cannot be met.
+ */
+function buildRoomConfigurations({ adults, childrenAges = [], rooms } = {}) {
+  const violations = [];
+  const kids = childrenAges || [];
+  if (!Number.isInteger(adults) || adults < 1) violations.push({ propertyPath: 'adults', message: 'at least one adult is required' });
+  kids.forEach((age, i) => {
+    if (!Number.isInteger(age) || age < 0 || age > RULES.maxChildAge) {
+      violations.push({ propertyPath: `childrenAges[${i}]`, message: `child ages must be whole years between 0 and ${RULES.maxChildAge} (got ${age})` });
+    }
+  });
+  const guests = (adults || 0) + kids.length;
+  const n = rooms ?? Math.max(1, Math.ceil(Math.max(adults / RULES.maxAdultsPerRoom, guests / RULES.maxGuestsPerRoom)));
+  if (!Number.isInteger(n) || n < 1 || n > RULES.maxRooms) {
+    violations.push({ propertyPath: 'rooms', message: `rooms must be between 1 and ${RULES.maxRooms}` });
+  } else if (adults < n) {
+    violations.push({ propertyPath: 'rooms', message: `${n} rooms need at least ${n} adults (one per room), got ${adults}` });
+  }
+  if (violations.length) throw new PartyError(violations);
+
+  const configs = Array.from({ length: n }, (_, i) => ({
+    travellers: { id: i + 1, adultCount: Math.floor(adults / n) + (i < adults % n ? 1 : 0), childrenAges: [] }
+  }));
+  for (const age of [...kids].sort((a, b) => a - b)) {
+    const room = configs.reduce((a, c) => {
+      const size = (x) => x.travellers.adultCount + x.travellers.childrenAges.length;
+      return size(c) < size(a) ? c : a;
+    });
+    room.travellers.childrenAges.push(age);
+  }
+  for (const c of configs) if (!c.travellers.childrenAges.length) delete c.travellers.childrenAges;
+
+  const check = validateRoomConfigurations(configs);
+  if (!check.ok) throw new PartyError(check.violations);
+  return configs;
+}
+
+// ---- validation ----
+/**
+ * Checks roomConfigurations against the occupancy and child-age rules.
+ * Returns { ok, violations }. An empty array is allowed unless opts.allowEmpty is false
+ * (hotel/offer uses it to request framework data only).
+ */
+function validateRoomConfigurations(configs, { allowEmpty = true } = {}) {
+  const violations = [];
+  const at = (i, f) => `roomConfigurations[${i}].travellers${f ? '.' + f : ''}`;
+  if (!Array.isArray(configs)) {
+    return { ok: false, violations: [{ propertyPath: 'roomConfigurations', message: 'must be an array' }] };
+  }
+  if (!configs.length && !allowEmpty) violations.push({ propertyPath: 'roomConfigurations', message: 'at least one room is required' });
+  if (configs.length > RULES.maxRooms) violations.push({ propertyPath: 'roomConfigurations', message: `at most ${RULES.maxRooms} rooms per request` });
+
+  const ids = new Set();
+  configs.forEach((c, i) => {
+    const t = c?.travellers;
+    if (!t || typeof t !== 'object') { violations.push({ propertyPath: at(i), message: 'is required' }); return; }
+    if (!Number.isInteger(t.id) || t.id < 1) violations.push({ propertyPath: at(i, 'id'), message: 'must be a positive integer' });
+    else if (ids.has(t.id)) violations.push({ propertyPath: at(i, 'id'), message: `duplicate id ${t.id}; every room needs its own id` });
+    else ids.add(t.id);
+
+    const adults = t.adultCount;
+    const kids = t.childrenAges || [];
+    if (!Number.isInteger(adults) || adults < 1) violations.push({ propertyPath: at(i, 'adultCount'), message: 'each room needs at least one adult' });
+    else if (adults > RULES.maxAdultsPerRoom) violations.push({ propertyPath: at(i, 'adultCount'), message: `at most ${RULES.maxAdultsPerRoom} adults per room` });
+    if (kids.length > RULES.maxChildrenPerRoom) violations.push({ propertyPath: at(i, 'childrenAges'), message: `at most ${RULES.maxChildrenPerRoom} children per room` });
+    kids.forEach((age, k) => {
+      if (!Number.isInteger(age) || age < 0 || age > RULES.maxChildAge) {
+        violations.push({ propertyPath: at(i, `childrenAges[${k}]`), message: `child ages must be whole years between 0 and ${RULES.maxChildAge}; guests aged ${RULES.maxChildAge + 1}+ count as adults` });
+      }
+    });
+    if ((adults || 0) + kids.length > RULES.maxGuestsPerRoom) {
+      violations.push({ propertyPath: at(i), message: `at most ${RULES.maxGuestsPerRoom} guests per room; split the party into more rooms` });
+    }
+  });
+  return { ok: violations.length === 0, violations };
+}
+
+/** Throws PartyError when validateRoomConfigurations fails. */
+function assertRoomConfigurations(configs, opts) {
+  const { ok, violations } = validateRoomConfigurations(configs, opts);
+  if (!ok) throw new PartyError(violations);
+}
+
+/** One-line description, e.g. "2 rooms: 2 adults + child (4); 1 adult + child (9)". */
+function describeRooms(configs) {
+  const parts = configs.map(({ travellers: t }) => {
+    const a = `${t.adultCount} adult${t.adultCount === 1 ? '' : 's'}`;
+    const k = t.childrenAges?.length ? ` + ${t.childrenAges.length === 1 ? 'child' : 'children'} (${t.childrenAges.join(', ')})` : '';
+    return a + k;
+  });
+  return `${configs.length} room${configs.length === 1 ? '' : 's'}: ${parts.join('; ')}`;
+}
+
+module.exports = {
+  RULES,
+  PartyError,
+  parseParty,
+  buildRoomConfigurations,
+  validateRoomConfigurations,
+  assertRoomConfigurations,
+  describeRooms
+};
@@ -0,0 +1,112 @@
+// lib/problem.js
+// RFC 7807 application/problem+json responses for the bridge routes and /api/mcp-bridge.
+// Field-level violations use the same { propertyPath, message, code } shape as
+// Amello's ld+json ConstraintViolationList, so local and upstream errors look alike.
+
+const PROBLEM_TYPES = {
+  validation: '/problems/validation-error',
+  malformed: '/problems/malformed-json',
+  upstream: '/problems/upstream-error',
+  unavailable: '/problems/upstream-unavailable',
+  unauthorized: '/problems/unauthorized',
+  forbidden: '/problems/forbidden',
+  rateLimited: '/problems/rate-limited',
+  bookingNotFound: '/problems/booking-not-found',
+  bookingUnavailable: '/problems/booking-unavailable',
+  watchNotFound: '/problems/watch-not-found',
+  watchLimit: '/problems/watch-limit',
+  toolError: '/problems/tool-error'
+};
+
+class ProblemError extends Error {
+  constructor(status, title, { type = 'about:blank', detail, violations, headers } = {}) {
+    super(detail || title);
+    this.name = 'ProblemError';
+    this.status = status;
+    this.title = title;
+    this.type = type;
+    this.detail = detail;
+    this.violations = violations;
+    this.headers = headers;
+  }
+}
+
+// zod path ['roomConfigurations', 0, 'travellers'] -> "roomConfigurations[0].travellers"
+function propertyPath(path) {
+  return path.reduce((acc, k) => (typeof k === 'number' ? `${acc}[${k}]` : acc ? `${acc}.${k}` : String(k)), '');
+}
+
+function zodViolations(error, prefix = '') {
+  return error.issues.map((i) => ({
+    propertyPath: propertyPath(prefix ? [prefix, ...i.path] : i.path) || prefix || '(root)',
+    message: i.message,
+    code: i.code
+  }));
+}
+
+function validationProblem(violations, detail = 'The request did not pass validation.') {
+  return new ProblemError(422, 'Validation failed', { type: PROBLEM_TYPES.validation, detail, violations });
+}
+
+/**
+ * Parses value with a zod schema; returns the parsed data or throws a 422 ProblemError
+ * listing every violation. `prefix` namespaces paths (e.g. "query").
+ */
+function parseOrProblem(schema, value, prefix) {
+  const r = schema.safeParse(value);
+  if (!r.success) throw validationProblem(zodViolations(r.error, prefix));
+  return r.data;
+}
+
+/**
+ * Maps an upstream 400/422 payload (ld+json ConstraintViolationList or hydra:Error)
+ * to a problem object. Returns null for anything else.
+ */
+function upstreamProblem(status, data) {
+  if (status !== 400 && status !== 422) return null;
+  const body = data && typeof data === 'object' ? data : {};
+  const violations = Array.isArray(body.violations)
+    ? body.violations.map((v) => ({ propertyPath: v.propertyPath || '(root)', message: v.message || v.title, code: v.code }))
+    : undefined;
+  return {
+    type: PROBLEM_TYPES.upstream,
+    title: body['hydra:title'] || body.title || (status === 422 ? 'Validation failed' : 'Invalid input'),
+    status,
+    detail: body['hydra:description'] || body.detail || (typeof data === 'string' ? data : undefined),
+    violations,
+    source: 'amello'
+  };
+}
+
+/** The problem+json body for a problem (or ProblemError); headers stay out of it. */
+function problemBody(problem, instance) {
+  return {
+    type: problem.type || 'about:blank',
+    title: problem.title,
+    status: problem.status,
+    ...(problem.detail ? { detail: problem.detail } : {}),
+    ...(instance ? { instance } : {}),
+    ...(problem.violations?.length ? { violations: problem.violations } : {}),
+    ...(problem.source ? { source: problem.source } : {}),
+    ...(problem.retryAfter != null ? { retryAfter: problem.retryAfter } : {})
+  };
+}
+
+function sendProblem(res, problem, instance) {
+  for (const [k, v] of Object.entries(problem.headers || {})) res.setHeader(k, v);
+  res.statusCode = problem.status;
+  res.setHeader('Content-Type', 'application/problem+json');
+  res.end(JSON.stringify(problemBody(problem, instance)));
+}
+
+module.exports = {
+  PROBLEM_TYPES,
+  ProblemError,
+  propertyPath,
+  zodViolations,
+  validationProblem,
+  parseOrProblem,
+  upstreamProblem,
+  problemBody,
+  sendProblem
+};
@@ -0,0 +1,360 @@
+// lib/ratelimit.js
+// Token-bucket rate limits and daily quotas per client and per tool / bridge route.
+// Resources use the same names as auth scopes: "tool:<name>" and "bridge:<operationId>".
+// Clients are the API key id (lib/auth.js) or, for anonymous callers, the IP address.
+// X-Forwarded-For is only believed behind TRUST_PROXY trusted hops (1 on Vercel, whose edge
+// appends the client address); otherwise the socket address is used, so a caller cannot pick
+// a fresh identity per request.
+// Env:
+//   RATE_LIMIT        (off disables limits and quotas)
+//   RATE_LIMITS       (JSON, merged over the defaults below:
+//                      { "<resource>" | "tool:*" | "default": { "capacity": n, "perMinute": n } })
+//   RATE_QUOTAS       (JSON daily call quotas, merged over the defaults: { "<resource>": n })
+//   RATE_FAILURE_LIMITS (JSON failed-attempt limits, merged over the defaults:
+//                      { "<resource>": { "max": n, "windowS": n } })
+//   RATE_LIMIT_STORE  (memory | redis; default memory; redis uses KV_REST_API_URL / KV_REST_API_TOKEN)
+//   TRUST_PROXY       (number of trusted proxy hops in front of the server; default 1 on Vercel, else 0)
+
+const { restRedisClient } = require('./cache');
+const { log } = require('./log');
+
+// capacity = burst size; perMinute = refill rate.
+const DEFAULT_LIMITS = {
+  default: { capacity: 60, perMinute: 60 },
+  'tool:amello.find_hotels_post': { capacity: 10, perMinute: 20 },
+  'tool:amello.hotel_offer_post': { capacity: 10, perMinute: 20 },
+  'tool:amello.find_cheapest_stay': { capacity: 2, perMinute: 2 },
+  'tool:amello.compare_destinations': { capacity: 3, perMinute: 3 },
+  'bridge:findHotels': { capacity: 10, perMinute: 20 },
+  'bridge:hotelOffer': { capacity: 10, perMinute: 20 },
+  // lookups are keyed by a guessable reference, so they stay slow
+  'tool:amello.booking_lookup': { capacity: 3, perMinute: 2 },
+  'bridge:bookingLookup': { capacity: 3, perMinute: 2 }
+};
+// Fan-out tools cost many upstream calls each, so they also get a per-day budget.
+const DEFAULT_QUOTAS = {
+  'tool:amello.find_cheapest_stay': 50,
+  'tool:amello.compare_destinations': 100,
+  'tool:amello.booking_lookup': 20,
+  'bridge:bookingLookup': 20
+};
+// Failed attempts per client and fixed window; over `max` every call is refused until the
+// window ends. "booking:lookup" is shared by the booking tool and bridge route.
+const DEFAULT_FAILURE_LIMITS = {
+  'booking:lookup': { max: 5, windowS: 3600 }
+};
+
+function fromEnv(name, defaults) {
+  try {
+    return process.env[name] ? { ...defaults, ...JSON.parse(process.env[name]) } : { ...defaults };
+  } catch (e) {
+    log.warn('ratelimit_config_invalid', { env: name, error: e });
+    return { ...defaults };
+  }
+}
+
+const LIMITS = fromEnv('RATE_LIMITS', DEFAULT_LIMITS);
+const QUOTAS = fromEnv('RATE_QUOTAS', DEFAULT_QUOTAS);
+const FAILURE_LIMITS = fromEnv('RATE_FAILURE_LIMITS', DEFAULT_FAILURE_LIMITS);
+
+// exact resource, then "<kind>:*", then default
+function lookup(table, resource) {
+  const kind = resource.split(':')[0];
+  return table[resource] ?? table[`${kind}:*`] ?? table.default;
+}
+
+class RateLimitError extends Error {
+  constructor(result) {
+    super(result.kind === 'quota'
+      ? `Daily quota of ${result.limit} calls for ${result.resource} used up; resets in ${result.retryAfter}s`
+      : result.kind === 'failures'
+        ? `Too many failed attempts for ${result.resource}; retry in ${result.retryAfter}s`
+        : `Rate limit exceeded for ${result.resource}; retry in ${result.retryAfter}s`);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.result = result;
+    this.headers = rateLimitHeaders(result);
+  }
+}
+
+// =============================
+// STORES
+// Every store implements async take(key, { capacity, ratePerMs, now }) -> { allowed, tokens },
+// async give(key, { capacity }) (returns one token), async incr(key, ttlMs) -> count (the count
+// after incrementing), async decr(key) and async count(key) -> count.
+// =============================
+
+function memoryStore({ maxEntries = 10000 } = {}) {
+  const buckets = new Map();
+  const counters = new Map();
+  const trim = (map) => { while (map.size > maxEntries) map.delete(map.keys().next().value); };
+  return {
+    name: 'memory',
+    async take(key, { capacity, ratePerMs, now = Date.now() }) {
+      const b = buckets.get(key) || { tokens: capacity, ts: now };
+      const tokens = Math.min(capacity, b.tokens + (now - b.ts) * ratePerMs);
+      const allowed = tokens >= 1;
+      buckets.delete(key);
+      buckets.set(key, { tokens: allowed ? tokens - 1 : tokens, ts: now });
+      trim(buckets);
+      return { allowed, tokens: allowed ? tokens - 1 : tokens };
+    },
+    async give(key, { capacity }) {
+      const b = buckets.get(key);
+      if (b) b.tokens = Math.min(capacity, b.tokens + 1);
+    },
+    async incr(key, ttlMs) {
+      const now = Date.now();
+      const c = counters.get(key);
+      const next = c && c.until > now ? { count: c.count + 1, until: c.until } : { count: 1, until: now + ttlMs };
+      counters.set(key, next);
+      trim(counters);
+      return next.count;
+    },
+    async decr(key) {
+      const c = counters.get(key);
+      if (c && c.count > 0) c.count -= 1;
+    },
+    async count(key) {
+      const c = counters.get(key);
+      return c && c.until > Date.now() ? c.count : 0;
+    }
+  };
+}
+
+const TAKE_SCRIPT = `
+local b = redis.call('HMGET', KEYS[1], 't', 'ts')
+local cap, rate, now = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3])
+local tokens = math.min(cap, (tonumber(b[1]) or cap) + (now - (tonumber(b[2]) or now)) * rate)
+local allowed = 0
+if tokens >= 1 then tokens = tokens - 1; allowed = 1 end
+redis.call('HSET', KEYS[1], 't', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(cap / rate) + 1000)
+return { allowed, tostring(tokens) }`;
+
+const GIVE_SCRIPT = `
+local t = tonumber(redis.call('HGET', KEYS[1], 't'))
+if t then redis.call('HSET', KEYS[1], 't', tostring(math.min(tonumber(ARGV[1]), t + 1))) end
+return 1`;
+
+const INCR_SCRIPT = `
+local n = redis.call('INCR', KEYS[1])
+if n == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return n`;
+
+const DECR_SCRIPT = `
+if tonumber(redis.call('GET', KEYS[1]) or '0') > 0 then redis.call('DECR', KEYS[1]) end
+return 1`;
+
+const COUNT_SCRIPT = `return tonumber(redis.call('GET', KEYS[1]) or '0')`;
+
+// Any client with ioredis-style eval(script, numKeys, ...keysAndArgs), e.g. restRedisClient.
+function redisStore(client, { prefix = 'amello:rl:' } = {}) {
+  return {
+    name: 'redis',
+    async take(key, { capacity, ratePerMs, now = Date.now() }) {
+      const [allowed, tokens] = await client.eval(TAKE_SCRIPT, 1, prefix + key, capacity, ratePerMs, now);
+      return { allowed: Number(allowed) === 1, tokens: Number(tokens) };
+    },
+    async give(key, { capacity }) {
+      await client.eval(GIVE_SCRIPT, 1, prefix + key, capacity);
+    },
+    async incr(key, ttlMs) {
+      return Number(await client.eval(INCR_SCRIPT, 1, prefix + key, Math.max(1, Math.round(ttlMs))));
+    },
+    async decr(key) {
+      await client.eval(DECR_SCRIPT, 1, prefix + key);
+    },
+    async count(key) {
+      return Number(await client.eval(COUNT_SCRIPT, 1, prefix + key));
+    }
+  };
+}
+
+function storeFromEnv() {
+  if ((process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() !== 'redis') return memoryStore();
+  const url = process.env.KV_REST_API_URL;
+  const token = process.env.KV_REST_API_TOKEN;
+  if (!url || !token) throw new Error('RATE_LIMIT_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN');
+  return redisStore(restRedisClient({ url, token }));
+}
+
+let store;
+try { store = storeFromEnv(); } catch (e) {
+  log.warn('ratelimit_store_fallback', { store: 'memory', error: e });
+  store = memoryStore();
+}
+
+function setStore(next) { store = next; }
+function getStore() { return store; }
+
+function enabled() {
+  return (process.env.RATE_LIMIT || '').toLowerCase() !== 'off';
+}
+
+// =============================
+// CHECKS
+// =============================
+
+/**
+ * Client identity for limits: "key:<id>" for authenticated callers, "ip:<addr>" otherwise.
+ * Internal callers (api/chat.js, api/mcp-bridge.js) pass their own caller in X-Amello-Client.
+ */
+function clientId(req, principal) {
+  if (principal?.via === 'internal' && req.headers['x-amello-client']) return String(req.headers['x-amello-client']);
+  if (principal && principal.id !== 'anonymous') return `key:${principal.id}`;
+  return `ip:${clientIp(req)}`;
+}
+
+function trustedHops() {
+  const raw = String(process.env.TRUST_PROXY ?? '').trim().toLowerCase();
+  if (!raw) return process.env.VERCEL ? 1 : 0;
+  if (raw === 'on' || raw === 'true') return 1;
+  return Math.max(0, Math.floor(Number(raw)) || 0);
+}
+
+// Each trusted proxy appends the address it saw, so the client is `hops` entries from the end;
+// anything to the left of that was written by the caller.
+function clientIp(req) {
+  const hops = trustedHops();
+  if (hops > 0) {
+    const fwd = String(req.headers['x-forwarded-for'] || '').split(',').map((s) => s.trim()).filter(Boolean);
+    if (fwd.length) return fwd[Math.max(0, fwd.length - hops)];
+    if (req.headers['x-real-ip']) return String(req.headers['x-real-ip']);
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+// Daily quota counters are per UTC day.
+const quotaKey = (client, resource, now) => `quota:${client}:${resource}:${new Date(now).toISOString().slice(0, 10)}`;
+
+function secondsToUtcMidnight(now) {
+  const d = new Date(now);
+  return Math.ceil((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - now) / 1000);
+}
+
+/**
+ * Takes one token for (client, resource) and counts the call against its daily quota.
+ * A call refused by the quota gives its token back.
+ * Resolves to { allowed, kind: 'rate' | 'quota', resource, limit, remaining, reset, retryAfter, policy }.
+ */
+async function consume(client, resource) {
+  if (!enabled()) return { allowed: true, kind: 'none', resource };
+  const now = Date.now();
+  const { capacity, perMinute } = lookup(LIMITS, resource);
+  const ratePerMs = perMinute / 60000;
+  const bucketKey = `bucket:${client}:${resource}`;
+  const bucket = await store.take(bucketKey, { capacity, ratePerMs, now });
+  const rate = {
+    allowed: bucket.allowed,
+    kind: 'rate',
+    resource,
+    limit: capacity,
+    remaining: Math.max(0, Math.floor(bucket.tokens)),
+    reset: Math.ceil((capacity - bucket.tokens) / ratePerMs / 1000),
+    retryAfter: bucket.allowed ? 0 : Math.max(1, Math.ceil((1 - bucket.tokens) / ratePerMs / 1000)),
+    policy: `${capacity};w=${Math.round(capacity / ratePerMs / 1000)}`
+  };
+  if (!rate.allowed) return rate;
+
+  const quota = QUOTAS[resource];
+  if (!quota) return rate;
+  const reset = secondsToUtcMidnight(now);
+  const used = await store.incr(quotaKey(client, resource, now), reset * 1000);
+  if (used <= quota) return rate;
+  // a refused call uses up neither a token nor a quota slot
+  await store.give(bucketKey, { capacity });
+  await store.decr(quotaKey(client, resource, now));
+  return { allowed: false, kind: 'quota', resource, limit: quota, remaining: 0, reset, retryAfter: reset, policy: `${quota};w=86400` };
+}
+
+/**
+ * Undoes an allowed consume() for a call that was never made: the token goes back to the
+ * bucket and the call no longer counts against the daily quota.
+ */
+async function refund(client, resource) {
+  if (!enabled()) return;
+  const { capacity } = lookup(LIMITS, resource);
+  await store.give(`bucket:${client}:${resource}`, { capacity });
+  if (QUOTAS[resource]) await store.decr(quotaKey(client, resource, Date.now()));
+}
+
+/** consume() that throws RateLimitError when the call is not allowed. */
+async function enforce(client, resource) {
+  const result = await consume(client, resource);
+  if (!result.allowed) throw new RateLimitError(result);
+  return result;
+}
+
+// ---- failed attempts ----
+
+function failureWindow(resource, now) {
+  const { max, windowS } = FAILURE_LIMITS[resource];
+  const windowMs = windowS * 1000;
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { max, windowS, windowMs, start, reset: Math.ceil((start + windowMs - now) / 1000) };
+}
+
+function failureResult(resource, used, w) {
+  const allowed = used < w.max;
+  return {
+    allowed,
+    kind: 'failures',
+    resource,
+    limit: w.max,
+    remaining: Math.max(0, w.max - used),
+    reset: w.reset,
+    retryAfter: allowed ? 0 : w.reset,
+    policy: `${w.max};w=${w.windowS}`
+  };
+}
+
+/**
+ * Refuses (RateLimitError) a client that used up its failed attempts for resource in the
+ * current window. Resources without an entry in RATE_FAILURE_LIMITS are never refused.
+ */
+async function enforceFailures(client, resource) {
+  if (!enabled() || !FAILURE_LIMITS[resource]) return { allowed: true, kind: 'none', resource };
+  const w = failureWindow(resource, Date.now());
+  const result = failureResult(resource, await store.count(`fail:${client}:${resource}:${w.start}`), w);
+  if (!result.allowed) throw new RateLimitError(result);
+  return result;
+}
+
+/** Counts one failed attempt; resolves to the failure state after it. */
+async function recordFailure(client, resource) {
+  if (!enabled() || !FAILURE_LIMITS[resource]) return { allowed: true, kind: 'none', resource };
+  const w = failureWindow(resource, Date.now());
+  return failureResult(resource, await store.incr(`fail:${client}:${resource}:${w.start}`, w.windowMs), w);
+}
+
+// RateLimit-* (IETF draft) plus Retry-After when throttled.
+function rateLimitHeaders(result) {
+  if (!result || result.kind === 'none') return {};
+  const h = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.reset),
+    'RateLimit-Policy': result.policy
+  };
+  if (!result.allowed) h['Retry-After'] = String(result.retryAfter);
+  return h;
+}
+
+module.exports = {
+  consume,
+  refund,
+  enforce,
+  enforceFailures,
+  recordFailure,
+  clientId,
+  rateLimitHeaders,
+  RateLimitError,
+  memoryStore,
+  redisStore,
+  setStore,
+  getStore,
+  DEFAULT_LIMITS,
+  DEFAULT_QUOTAS,
+  DEFAULT_FAILURE_LIMITS
+};
@@ -0,0 +1,93 @@
+// lib/recorder.js
+// Record/replay for upstream calls made through lib/upstream.js requestJson.
+//   record: real responses are written to fixture files (one JSON file per request)
+//   replay: responses come from those files only; nothing goes over the network and a
+//           request without a recording fails with UpstreamError code REPLAY_MISS
+// Requests match on method, path, query (order-insensitive) and JSON body (key-order
+// insensitive), never on host or headers, so recordings from the production API replay
+// against any base URL and without credentials. Calls made with { record: false } (booking
+// lookups: e-mails, references, guest data) are never written.
+// Env:
+//   AMELLO_FIXTURE_MODE (off | record | replay; default off)
+//   AMELLO_FIXTURE_DIR  (default fixtures/upstream)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+// Only these response headers are stored; the rest (cookies, request ids, dates) would
+// make recordings noisy and could leak credentials.
+const KEPT_HEADERS = ['content-type', 'retry-after', 'cache-control', 'etag', 'last-modified'];
+
+function fixtureMode() {
+  const mode = (process.env.AMELLO_FIXTURE_MODE || 'off').toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : 'off';
+}
+
+function fixtureDir() {
+  return process.env.AMELLO_FIXTURE_DIR || DEFAULT_DIR;
+}
+
+// =============================
+// MATCHING
+// =============================
+
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map((k) => [k, canonical(value[k])]));
+}
+
+function parseBody(body) {
+  if (body == null || body === '') return null;
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+  try { return canonical(JSON.parse(text)); } catch { return text; }
+}
+
+/** The parts a recording is matched on: { method, path, query, body }. */
+function requestKey(url, init = {}) {
+  const u = new URL(url);
+  const query = [...u.searchParams.entries()].map(([k, v]) => `${k}=${v}`).sort();
+  return {
+    method: (init.method || 'GET').toUpperCase(),
+    path: u.pathname,
+    query,
+    body: parseBody(init.body)
+  };
+}
+
+/** Fixture file for a request, e.g. POST_api-v1-find-hotels_3f2a9c01d4e5b6a7.json. */
+function fixtureFile(key, dir = fixtureDir()) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex').slice(0, 16);
+  const slug = key.path.replace(/^\/+/, '').replace(/[^A-Za-z0-9]+/g, '-').slice(0, 80) || 'root';
+  return path.join(dir, `${key.method}_${slug}_${hash}.json`);
+}
+
+// =============================
+// RECORD / REPLAY
+// =============================
+
+/** Resolves to the recorded { status, headers, data } or null. */
+async function replay(url, init) {
+  const file = fixtureFile(requestKey(url, init));
+  try {
+    const { response } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    return { status: response.status, headers: response.headers || {}, data: response.data };
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function record(url, init, res) {
+  const key = requestKey(url, init);
+  const file = fixtureFile(key);
+  const headers = Object.fromEntries(KEPT_HEADERS.filter((h) => res.headers?.[h] != null).map((h) => [h, res.headers[h]]));
+  const entry = { request: key, response: { status: res.status, headers, data: res.data }, recordedAt: new Date().toISOString() };
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, JSON.stringify(entry, null, 2) + '\n');
+  return file;
+}
+
+module.exports = { fixtureMode, fixtureDir, requestKey, fixtureFile, replay, record };
@@ -0,0 +1,581 @@
+// lib/schemas.js
+// Schema registry: the zod schemas used by the MCP tools (api/mcp.js) and the bridge
+// routes (api/bridge/[...route].js), plus BRIDGE_OPERATIONS, which ties each bridge
+// route to its request/response schemas. lib/openapi.js generates the OpenAPI document
+// from both, so the spec cannot drift from what the code validates.
+// zod is imported lazily, like the SDK in api/mcp.js.
+
+const { VIEWS } = require('./views');
+const { WEEKDAYS, MAX_BUDGET: FLEX_MAX_BUDGET } = require('./flex-search');
+const { MAX_LIMIT: CATALOG_MAX_LIMIT } = require('./catalog');
+const { RULES: PARTY_RULES } = require('./party');
+const { PASSTHROUGH: PASSTHROUGH_HEADERS } = require('./headers');
+const { WATCH_TOOLS, MIN_INTERVAL_MIN: WATCH_MIN_INTERVAL } = require('./watch');
+
+function defineSchemas(z) {
+  const LocaleEnum = z.enum(['de_DE', 'en_DE']);
+  const IsoDate = z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD')
+    .refine((s) => !Number.isNaN(Date.parse(`${s}T00:00:00Z`)) && new Date(`${s}T00:00:00Z`).toISOString().startsWith(s), 'Not a calendar date');
+  const CurrencyCode = z.string().regex(/^[A-Za-z]{3}$/, 'Expected an ISO 4217 code such as EUR');
+
+  const CurrencySchema = z.object({
+    code: z.string(),
+    favorite: z.boolean().optional(),
+    cobos: z.boolean().optional(),
+    juniper: z.boolean().optional(),
+    name: z.string().optional(),
+    symbol: z.string().optional(),
+    decimalPlaces: z.number().optional()
+  });
+
+  const MoneySchema = z.object({
+    value: z.number().describe('Amount in minor units (12345 = 123.45 when decimals is 2)'),
+    decimals: z.number(),
+    currency: CurrencySchema.partial(),
+    inMinorUnits: z.string().optional()
+  }).partial();
+
+  const TravellersSchema = z.object({
+    id: z.number().int().min(1).describe('Unique per room, e.g. 1, 2, 3'),
+    adultCount: z.number().int().min(1).max(PARTY_RULES.maxAdultsPerRoom),
+    childrenAges: z.array(z.number().int().min(0).max(PARTY_RULES.maxChildAge)).max(PARTY_RULES.maxChildrenPerRoom).optional()
+  });
+
+  const RoomConfigInputSchema = z.object({
+    travellers: TravellersSchema
+  });
+  const MultiroomConfigsSchema = z.array(RoomConfigInputSchema).max(PARTY_RULES.maxRooms);
+
+  // 1) POST /api/v1/hotel/offer
+  const HotelOfferBodySchema = z.object({
+    hotelId: z.string(),
+    departureDate: IsoDate,    // YYYY-MM-DD
+    returnDate: IsoDate,       // YYYY-MM-DD, after departureDate
+    currency: CurrencyCode,    // e.g., 'EUR'
+    roomConfigurations: MultiroomConfigsSchema, // [] allowed => framework only
+    locale: LocaleEnum
+  });
+
+  // 2) POST /api/v1/find-hotels
+  const DestinationSchema = z.object({
+    id: z.string(),       // e.g., "AT"
+    type: z.string()      // e.g., "country-code"
+  });
+  const FindHotelsBodySchema = z.object({
+    destination: DestinationSchema,
+    departureDate: IsoDate,    // YYYY-MM-DD
+    returnDate: IsoDate,       // YYYY-MM-DD, after departureDate
+    currency: CurrencyCode,    // e.g., 'EUR'
+    roomConfigurations: MultiroomConfigsSchema,
+    locale: LocaleEnum
+  });
+
+  // 2b) flexible-date search: find-hotels fanned out over a date window
+  const WeekdayEnum = z.enum(WEEKDAYS);
+  const FlexSearchBodySchema = FindHotelsBodySchema.omit({ departureDate: true, returnDate: true }).extend({
+    window: z.object({ from: IsoDate, to: IsoDate }), // earliest departure .. latest return
+    nights: z.number().int().min(1).max(30).optional(),
+    minNights: z.number().int().min(1).max(30).optional(),
+    maxNights: z.number().int().min(1).max(30).optional(),
+    checkInDays: z.array(WeekdayEnum).optional(),   // e.g. ['fri', 'sat']
+    checkOutDays: z.array(WeekdayEnum).optional(),
+    maxRequests: z.number().int().min(1).max(FLEX_MAX_BUDGET).optional().default(20),
+    concurrency: z.number().int().min(1).max(5).optional().default(3),
+    top: z.number().int().min(1).max(20).optional().default(5),
+    rankBy: z.enum(['total', 'perNight']).optional().default('total')
+  });
+
+  // 2c) several destinations, same dates and rooms
+  const CompareDestinationsBodySchema = FindHotelsBodySchema.omit({ destination: true }).extend({
+    destinations: z.array(DestinationSchema).min(2).max(8)
+  });
+
+  // 3) GET /api/v1/hotels
+  const HotelsGetQuerySchema = z.object({
+    locale: LocaleEnum,
+    page: z.number().int().min(1).optional().default(1)
+  });
+
+  // 3b) catalog search over all pages of GET /api/v1/hotels
+  const HotelsSearchQuerySchema = z.object({
+    locale: LocaleEnum,
+    name: z.string().optional(),      // substring of the hotel name
+    country: z.string().optional(),   // country code ("AT") or name
+    city: z.string().optional(),
+    region: z.string().optional(),    // e.g. "Tirol"
+    location: z.string().optional(),  // matches city, region or country
+    minStars: z.number().min(0).max(5).optional(),
+    amenities: z.array(z.string()).optional(), // all must match
+    limit: z.number().int().min(1).max(CATALOG_MAX_LIMIT).optional().default(20),
+    refresh: z.boolean().optional()   // rebuild the index instead of reusing it
+  });
+
+  // 4) GET /api/v1/currencies
+  const CurrenciesGetQuerySchema = z.object({
+    locale: LocaleEnum
+  });
+
+  // 5) currency conversion (rate source from AMELLO_RATE_SOURCE)
+  const ConvertPriceInputSchema = z.object({
+    amount: z.number().optional(),   // major units, e.g. 123.45
+    from: z.string().optional(),     // currency code of "amount"
+    price: MoneySchema.optional(),   // or an Amello money object straight from a tool result
+    to: z.string(),
+    locale: LocaleEnum.optional().default('de_DE')
+  });
+
+  const NormalizedMoneySchema = z.object({
+    amount: z.number(),
+    currency: z.string(),
+    formatted: z.string()
+  });
+
+  // 6) traveller party -> roomConfigurations
+  const BuildPartyInputSchema = z.object({
+    description: z.string().optional(), // e.g. "2 adults, kids aged 4 and 9, 2 rooms"
+    adults: z.number().int().min(1).optional(),
+    childrenAges: z.array(z.number().int().min(0).max(PARTY_RULES.maxChildAge)).optional(),
+    rooms: z.number().int().min(1).max(PARTY_RULES.maxRooms).optional()
+  });
+
+  // 7) booking lookup (lib/booking.js); dashes and spaces in the reference are ignored
+  const BookingLookupBodySchema = z.object({
+    bookingReference: z.string().regex(/^[A-Za-z0-9][A-Za-z0-9 -]{4,30}[A-Za-z0-9]$/, 'Expected a booking reference such as 45666CK000940'),
+    email: z.string().email(),   // the e-mail address the booking was made with
+    locale: LocaleEnum.optional().default('de_DE')
+  });
+
+  // 8) price watches (lib/watch.js); prices are in major units of query.currency.
+  // "tool" picks the schema for "query", so a find-hotels query keeps its fields even with a hotelId.
+  const WatchOptionsShape = {
+    label: z.string().max(120).optional(),
+    belowPrice: z.number().positive().optional().describe('Alert when the cheapest total falls to or below this'),
+    dropPercent: z.number().gt(0).max(100).optional().describe('Alert when the price drops this many percent'),
+    webhookUrl: z.string().url().optional().describe('https URL that receives alerts as signed JSON POSTs'),
+    intervalMinutes: z.number().int().min(WATCH_MIN_INTERVAL).max(10080).optional()
+  };
+  const WatchCreateBodySchema = z.discriminatedUnion('tool', [
+    z.object({
+      tool: z.literal('amello.hotel_offer_post').describe('Which search the watch repeats'),
+      query: HotelOfferBodySchema.describe('The request body of amello.hotel_offer_post'),
+      ...WatchOptionsShape
+    }),
+    z.object({
+      tool: z.literal('amello.find_hotels_post').describe('Which search the watch repeats'),
+      query: FindHotelsBodySchema.describe('The request body of amello.find_hotels_post'),
+      hotelId: z.string().optional().describe('Watch this hotel instead of the cheapest result'),
+      ...WatchOptionsShape
+    })
+  ]);
+  // The same fields as one object for amello.watch_create: MCP tool inputs must be objects (a
+  // union lists no properties in tools/list). Both bodies pass unknown keys through, and the
+  // tool re-parses its input with WatchCreateBodySchema.
+  const WatchCreateInputSchema = z.object({
+    tool: z.enum(WATCH_TOOLS).describe('Which search the watch repeats'),
+    query: z.union([HotelOfferBodySchema.passthrough(), FindHotelsBodySchema.passthrough()]).describe('The request body of that tool'),
+    hotelId: z.string().optional().describe('find-hotels only: watch this hotel instead of the cheapest result'),
+    ...WatchOptionsShape
+  });
+  const WatchListQuerySchema = z.object({
+    historyLimit: z.number().int().min(0).max(100).optional().default(20)
+  });
+  const WatchDeleteBodySchema = z.object({
+    watchId: z.string()
+  });
+
+  // Extra upstream request headers on the MCP tools; lib/headers.js drops everything else
+  const CallerHeadersSchema = z.record(z.string()).optional()
+    .describe(`Optional extra request headers; only ${[...PASSTHROUGH_HEADERS].join(', ')} are passed on`);
+
+  // Output projection for find-hotels / hotel-offer (see lib/views.js)
+  const ViewOptionsShape = {
+    view: z.enum(VIEWS).optional().default('raw'), // 'summary' is far smaller than 'raw'
+    fields: z.array(z.string()).optional(),       // dot paths per hotel/offer for view 'fields'
+    maxItems: z.number().int().min(1).optional()  // cap hotels (find) or offers (offer)
+  };
+  // The same options with the rules a shape cannot carry: view 'fields' without any field
+  // would return empty rows
+  const ViewOptionsSchema = z.object(ViewOptionsShape).superRefine((v, ctx) => {
+    if (v.view === 'fields' && !v.fields?.length) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['fields'], message: 'view "fields" needs at least one dot path in "fields"' });
+    }
+  });
+  // raw keeps { status, headers, data }; summary/fields return a compact shape
+  const ViewOutputSchema = z.object({
+    status: z.number(),
+    view: z.enum(VIEWS).optional(),
+    truncated: z.record(z.object({ total: z.number(), returned: z.number() })).optional()
+  }).passthrough();
+
+  // Reported by cached catalog tools (hotels, currencies)
+  const CacheInfoSchema = z.object({
+    status: z.enum(['hit', 'miss', 'revalidated', 'stale', 'bypass']),
+    ageSeconds: z.number(),
+    ttlSeconds: z.number()
+  });
+
+  // =============================
+  // RESPONSES
+  // Upstream payloads are only partly modelled: the fields the summaries rely on
+  // are typed, everything else passes through.
+  // =============================
+  const OfferSchema = z.object({
+    id: z.string().optional(),
+    board: z.any().optional(),
+    totalPrice: MoneySchema.optional(),
+    freeCancellation: z.boolean().optional()
+  }).passthrough();
+
+  const HotelSchema = z.object({
+    id: z.string().optional(),
+    name: z.string().optional(),
+    stars: z.number().optional(),
+    rating: z.number().optional()
+  }).passthrough();
+
+  const FindHotelsResponseSchema = z.object({
+    data: z.object({
+      results: z.array(z.object({
+        hotel: HotelSchema.optional(),
+        offers: z.array(OfferSchema).optional(),
+        cheapestPrice: MoneySchema.optional()
+      }).passthrough())
+    }).passthrough(),
+    filters: z.any().optional()
+  }).passthrough();
+
+  const HotelOfferResponseSchema = z.object({
+    hotel: HotelSchema.optional(),
+    offers: z.array(OfferSchema).optional(),
+    filters: z.any().optional(),
+    roomConfigurations: MultiroomConfigsSchema.optional()
+  }).passthrough();
+
+  const HotelCollectionSchema = z.array(z.object({ data: HotelSchema }));
+  const CurrencyCollectionSchema = z.array(z.object({ data: z.array(CurrencySchema) }));
+
+  const HotelSearchResultSchema = z.object({
+    index: z.object({
+      locale: LocaleEnum,
+      pages: z.number(),
+      hotels: z.number(),
+      complete: z.boolean(),
+      builtAt: z.string()
+    }),
+    total: z.number(),
+    returned: z.number(),
+    truncated: z.boolean(),
+    results: z.array(z.object({
+      hotelId: z.string().optional(),
+      name: z.string(),
+      city: z.string().optional(),
+      region: z.string().optional(),
+      country: z.string().optional(),
+      countryCode: z.string().optional(),
+      stars: z.number().optional(),
+      rating: z.any().optional(),
+      amenities: z.array(z.string()),
+      image: z.string().optional(),
+      score: z.number()
+    }))
+  });
+
+  const BookingSummarySchema = z.object({
+    bookingReference: z.string(),
+    status: z.string().optional(),
+    hotel: z.object({
+      hotelId: z.string().optional(),
+      name: z.string().optional(),
+      city: z.string().optional(),
+      country: z.string().optional()
+    }),
+    departureDate: z.string().optional(),
+    returnDate: z.string().optional(),
+    nights: z.number().optional(),
+    rooms: z.array(z.object({
+      name: z.string().optional(),
+      board: z.string().optional(),
+      adults: z.number(),
+      childrenAges: z.array(z.number())
+    })),
+    travellers: z.object({
+      adults: z.number(),
+      children: z.number(),
+      leadGuest: z.string().optional().describe('First name and initial, e.g. "Max M."')
+    }),
+    price: NormalizedMoneySchema.optional(),
+    cancellation: z.object({
+      status: z.enum(['cancelled', 'free', 'non-refundable', 'unknown']),
+      cancelled: z.boolean(),
+      freeCancellationUntil: z.string().optional(),
+      cancelledAt: z.string().optional(),
+      fee: NormalizedMoneySchema.optional()
+    }),
+    contact: z.object({ email: z.string().describe('Masked, e.g. "m***@example.com"') })
+  });
+
+  const PricePointSchema = z.object({
+    at: z.string(),
+    status: z.number(),
+    amount: z.number().nullable(),
+    currency: z.string(),
+    hotelId: z.string().optional(),
+    error: z.string().optional()
+  });
+
+  const WatchSchema = z.object({
+    id: z.string(),
+    label: z.string().nullable(),
+    tool: z.enum(WATCH_TOOLS),
+    query: z.record(z.any()),
+    hotelId: z.string().nullable(),
+    belowPrice: z.number().nullable(),
+    dropPercent: z.number().nullable(),
+    webhook: z.string().nullable().describe('Origin of the webhook URL'),
+    intervalMinutes: z.number(),
+    status: z.enum(['active', 'expired']),
+    createdAt: z.string(),
+    lastCheckedAt: z.string().nullable(),
+    nextCheckAt: z.string(),
+    price: z.object({
+      currency: z.string(),
+      current: z.number().nullable(),
+      baseline: z.number().nullable().describe('First price seen'),
+      lowest: z.number().nullable()
+    }),
+    lastAlert: z.object({
+      at: z.string(),
+      amount: z.number(),
+      currency: z.string(),
+      reasons: z.array(z.object({ type: z.enum(['below', 'drop']) }).passthrough()),
+      delivered: z.boolean().optional()
+    }).passthrough().nullable(),
+    history: z.array(PricePointSchema)
+  });
+
+  const WatchListSchema = z.object({ watches: z.array(WatchSchema) });
+  const WatchDeletedSchema = z.object({ deleted: z.boolean(), watchId: z.string() });
+
+  const ViolationSchema = z.object({
+    propertyPath: z.string(),
+    message: z.string(),
+    code: z.string().optional()
+  });
+
+  const ProblemSchema = z.object({
+    type: z.string(),
+    title: z.string(),
+    status: z.number().int(),
+    detail: z.string().optional(),
+    instance: z.string().optional(),
+    violations: z.array(ViolationSchema).optional(),
+    source: z.enum(['amello']).optional()
+  }).describe('RFC 7807 problem details');
+
+  return {
+    LocaleEnum,
+    IsoDate,
+    CurrencyCode,
+    MoneySchema,
+    TravellersSchema,
+    RoomConfigInputSchema,
+    MultiroomConfigsSchema,
+    HotelOfferBodySchema,
+    DestinationSchema,
+    FindHotelsBodySchema,
+    WeekdayEnum,
+    FlexSearchBodySchema,
+    CompareDestinationsBodySchema,
+    HotelsGetQuerySchema,
+    HotelsSearchQuerySchema,
+    CurrenciesGetQuerySchema,
+    ConvertPriceInputSchema,
+    NormalizedMoneySchema,
+    BuildPartyInputSchema,
+    BookingLookupBodySchema,
+    WatchCreateBodySchema,
+    WatchCreateInputSchema,
+    WatchListQuerySchema,
+    WatchDeleteBodySchema,
+    CallerHeadersSchema,
+    ViewOptionsShape,
+    ViewOptionsSchema,
+    ViewOutputSchema,
+    CacheInfoSchema,
+    CurrencySchema,
+    OfferSchema,
+    HotelSchema,
+    FindHotelsResponseSchema,
+    HotelOfferResponseSchema,
+    HotelCollectionSchema,
+    CurrencyCollectionSchema,
+    HotelSearchResultSchema,
+    BookingSummarySchema,
+    PricePointSchema,
+    WatchSchema,
+    WatchListSchema,
+    WatchDeletedSchema,
+    ViolationSchema,
+    ProblemSchema
+  };
+}
+
+// =============================
+// BRIDGE OPERATIONS
+// One entry per /api/bridge route. Schema fields name entries of defineSchemas();
+// `tool` is the MCP tool with the same behaviour.
+// =============================
+const EXAMPLE_ROOMS = [{ travellers: { id: 1, adultCount: 2, childrenAges: [4] } }];
+
+const BRIDGE_OPERATIONS = [
+  {
+    operationId: 'findHotels',
+    method: 'post',
+    path: '/api/bridge/find-hotels',
+    tool: 'amello.find_hotels_post',
+    summary: 'Find hotels by region (multiroom)',
+    body: 'FindHotelsBodySchema',
+    response: { schema: 'FindHotelsResponseSchema', description: 'FindHotelsMultiroom resource (data.results[], filters)' },
+    errors: [400, 422, 429, 503],
+    example: {
+      destination: { id: 'AT', type: 'country-code' },
+      departureDate: '2026-03-06',
+      returnDate: '2026-03-10',
+      currency: 'EUR',
+      roomConfigurations: EXAMPLE_ROOMS,
+      locale: 'de_DE'
+    }
+  },
+  {
+    operationId: 'hotelOffer',
+    method: 'post',
+    path: '/api/bridge/hotel-offer',
+    tool: 'amello.hotel_offer_post',
+    summary: 'Get hotel offers (or framework data when roomConfigurations=[])',
+    body: 'HotelOfferBodySchema',
+    response: { schema: 'HotelOfferResponseSchema', description: 'HotelOffers resource (offers, filters, roomConfiguration echoes)' },
+    errors: [400, 422, 429, 503],
+    example: {
+      hotelId: 'AT-TIR-0001',
+      departureDate: '2026-03-06',
+      returnDate: '2026-03-10',
+      currency: 'EUR',
+      roomConfigurations: EXAMPLE_ROOMS,
+      locale: 'en_DE'
+    }
+  },
+  {
+    operationId: 'listHotels',
+    method: 'get',
+    path: '/api/bridge/hotels',
+    tool: 'amello.hotels_get',
+    summary: 'List hotels (one page, cached)',
+    query: 'HotelsGetQuerySchema',
+    response: { schema: 'HotelCollectionSchema', description: 'Hotel collection' },
+    errors: [422, 429, 503],
+    example: { locale: 'de_DE', page: 1 }
+  },
+  {
+    operationId: 'searchHotels',
+    method: 'get',
+    path: '/api/bridge/hotels/search',
+    tool: 'amello.hotels_search',
+    summary: 'Search the full hotel catalog (all pages) with filters',
+    query: 'HotelsSearchQuerySchema',
+    response: { schema: 'HotelSearchResultSchema', description: 'Ranked hotel matches' },
+    errors: [422, 429, 503],
+    example: { locale: 'de_DE', region: 'Tirol', minStars: 4, amenities: ['Spa'], limit: 10 }
+  },
+  {
+    operationId: 'listCurrencies',
+    method: 'get',
+    path: '/api/bridge/currencies',
+    tool: 'amello.currencies_get',
+    summary: 'List currencies (cached)',
+    query: 'CurrenciesGetQuerySchema',
+    response: { schema: 'CurrencyCollectionSchema', description: 'Currency collection' },
+    errors: [422, 429, 503],
+    example: { locale: 'de_DE' }
+  },
+  {
+    operationId: 'bookingLookup',
+    method: 'post',
+    path: '/api/bridge/booking',
+    tool: 'amello.booking_lookup',
+    summary: 'Look up an existing booking by reference and guest e-mail',
+    body: 'BookingLookupBodySchema',
+    response: { schema: 'BookingSummarySchema', description: 'Normalized booking summary (personal data masked)' },
+    errors: [400, 404, 422, 429, 501, 503],
+    example: { bookingReference: '45666CK000940', email: 'guest@example.com', locale: 'de_DE' }
+  },
+  {
+    operationId: 'listWatches',
+    method: 'get',
+    path: '/api/bridge/watches',
+    tool: 'amello.watch_list',
+    summary: 'List your price watches with recent price history',
+    query: 'WatchListQuerySchema',
+    response: { schema: 'WatchListSchema', description: 'Your watches, oldest first' },
+    errors: [422, 429],
+    example: { historyLimit: 10 }
+  },
+  {
+    operationId: 'createWatch',
+    method: 'post',
+    path: '/api/bridge/watches/create',
+    tool: 'amello.watch_create',
+    summary: 'Watch a hotel offer or hotel search for price drops',
+    body: 'WatchCreateBodySchema',
+    response: { schema: 'WatchSchema', description: 'The new watch (first check on the next run)' },
+    errors: [400, 409, 422, 429],
+    example: {
+      tool: 'amello.hotel_offer_post',
+      query: {
+        hotelId: 'AT-TIR-0001',
+        departureDate: '2026-03-06',
+        returnDate: '2026-03-10',
+        currency: 'EUR',
+        roomConfigurations: EXAMPLE_ROOMS,
+        locale: 'de_DE'
+      },
+      belowPrice: 900,
+      dropPercent: 10,
+      webhookUrl: 'https://example.com/hooks/amello'
+    }
+  },
+  {
+    operationId: 'deleteWatch',
+    method: 'post',
+    path: '/api/bridge/watches/delete',
+    tool: 'amello.watch_delete',
+    summary: 'Delete one of your price watches',
+    body: 'WatchDeleteBodySchema',
+    response: { schema: 'WatchDeletedSchema', description: 'Deletion confirmation' },
+    errors: [400, 404, 422, 429]
+  }
+];
+
+function bridgeOperation(operationId) {
+  return BRIDGE_OPERATIONS.find((op) => op.operationId === operationId) || null;
+}
+
+let _schemas = null;
+async function loadSchemas() {
+  if (!_schemas) {
+    const { z } = await import('zod');
+    _schemas = defineSchemas(z);
+  }
+  return _schemas;
+}
+
+// Cross-field rule zod objects cannot express without losing .shape/.omit:
+// the stay must end after it starts.
+function stayViolations(body) {
+  if (!body?.departureDate || !body?.returnDate) return [];
+  return body.returnDate > body.departureDate
+    ? []
+    : [{ propertyPath: 'returnDate', message: 'returnDate must be after departureDate' }];
+}
+
+module.exports = { loadSchemas, stayViolations, BRIDGE_OPERATIONS, bridgeOperation };
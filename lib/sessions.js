@@ -0,0 +1,150 @@
+// lib/sessions.js
+// Server-side chat sessions for api/chat.js: the stored history (user, assistant and tool
+// messages) is replayed on every turn so the model remembers hotels, dates and party.
+// A session belongs to the client that started it and is unknown to everyone else.
+// Long histories are compacted: old tool results are shortened first, then the oldest
+// turns are folded into a plain-text summary that goes into the system prompt.
+// Stores are the ones from lib/cache.js (same get/set/delete interface).
+// Env:
+//   CHAT_SESSION_STORE     (memory | file | redis; default memory)
+//   CHAT_SESSION_DIR       (file store directory, default <tmpdir>/amello-chat-sessions)
+//   CHAT_SESSION_TTL_S     (idle lifetime, default 86400)
+//   CHAT_HISTORY_MAX_CHARS (compaction threshold for the serialized history, default 60000)
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { memoryStore, fileStore, redisStore, restRedisClient } = require('./cache');
+const { log } = require('./log');
+
+const TTL_MS = Number(process.env.CHAT_SESSION_TTL_S || 86400) * 1000;
+const MAX_CHARS = Number(process.env.CHAT_HISTORY_MAX_CHARS || 60000);
+const TOOL_RESULT_KEEP_CHARS = 1500;
+const SUMMARY_MAX_CHARS = 8000;
+const ID_RE = /^[A-Za-z0-9-]{8,64}$/;
+
+function storeFromEnv() {
+  const backend = (process.env.CHAT_SESSION_STORE || 'memory').toLowerCase();
+  if (backend === 'file') {
+    return fileStore({ dir: process.env.CHAT_SESSION_DIR || path.join(os.tmpdir(), 'amello-chat-sessions') });
+  }
+  if (backend === 'redis') {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (!url || !token) throw new Error('CHAT_SESSION_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN');
+    return redisStore(restRedisClient({ url, token }), { prefix: 'amello:chat:' });
+  }
+  return memoryStore({ maxEntries: 1000 });
+}
+
+let store;
+try { store = storeFromEnv(); } catch (e) {
+  log.warn('session_store_fallback', { store: 'memory', error: e });
+  store = memoryStore({ maxEntries: 1000 });
+}
+
+function setStore(next) { store = next; }
+function getStore() { return store; }
+
+// =============================
+// SESSIONS
+// =============================
+
+/** owner is the client that may use the session (lib/ratelimit.js clientId: key id or IP). */
+function newSession(owner) {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), owner, createdAt: now, updatedAt: now, system: null, summary: '', messages: [] };
+}
+
+/**
+ * Resolves to the stored session or null (unknown, expired or malformed id, or a session
+ * that belongs to another owner, so ids of other users' sessions reveal nothing).
+ */
+async function loadSession(id, owner) {
+  if (!id || !ID_RE.test(String(id))) return null;
+  const session = await store.get(String(id));
+  return session && owner && session.owner === owner ? session : null;
+}
+
+async function saveSession(session) {
+  session.updatedAt = new Date().toISOString();
+  await store.set(session.id, session, TTL_MS);
+  return session;
+}
+
+/** Deletes the session if it belongs to owner; resolves to whether it did. */
+async function deleteSession(id, owner) {
+  if (!(await loadSession(id, owner))) return false;
+  await store.delete(String(id));
+  return true;
+}
+
+// =============================
+// COMPACTION
+// =============================
+
+const size = (messages) => JSON.stringify(messages).length;
+const clip = (text, n) => (text.length > n ? text.slice(0, n) + '…' : text);
+
+// A turn starts at a user message, so assistant tool_calls always stay with their tool results.
+function splitTurns(messages) {
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === 'user' || !turns.length) turns.push([]);
+    turns[turns.length - 1].push(m);
+  }
+  return turns;
+}
+
+function summarizeTurn(turn) {
+  const user = turn.find((m) => m.role === 'user');
+  const tools = turn.flatMap((m) => (m.tool_calls || []).map((c) => c.function?.name)).filter(Boolean);
+  const answer = [...turn].reverse().find((m) => m.role === 'assistant' && m.content);
+  return [
+    `- User: ${clip(String(user?.content || ''), 300)}`,
+    tools.length ? `  Tools: ${[...new Set(tools)].join(', ')}` : null,
+    answer ? `  Assistant: ${clip(String(answer.content), 500)}` : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Keeps the serialized history under maxChars: shortens tool results outside the
+ * latest turn, then moves the oldest turns into session.summary. Mutates and returns session.
+ */
+function compactHistory(session, maxChars = MAX_CHARS) {
+  if (size(session.messages) <= maxChars) return session;
+  const turns = splitTurns(session.messages);
+  for (const turn of turns.slice(0, -1)) {
+    for (const m of turn) {
+      if (m.role === 'tool' && typeof m.content === 'string' && m.content.length > TOOL_RESULT_KEEP_CHARS) {
+        m.content = m.content.slice(0, TOOL_RESULT_KEEP_CHARS) + '…[truncated]';
+      }
+    }
+  }
+  while (turns.length > 1 && size(turns.flat()) > maxChars) {
+    const folded = summarizeTurn(turns.shift());
+    const summary = session.summary ? `${session.summary}\n${folded}` : folded;
+    session.summary = summary.length > SUMMARY_MAX_CHARS ? '…' + summary.slice(-SUMMARY_MAX_CHARS) : summary;
+  }
+  session.messages = turns.flat();
+  return session;
+}
+
+/** Messages for the model: system prompt (plus summary of folded turns) and the history. */
+function promptMessages(session, systemPrompt) {
+  const system = session.summary
+    ? `${systemPrompt}\n\nEarlier in this conversation (summary):\n${session.summary}`
+    : systemPrompt;
+  return [{ role: 'system', content: system }, ...session.messages];
+}
+
+module.exports = {
+  newSession,
+  loadSession,
+  saveSession,
+  deleteSession,
+  compactHistory,
+  promptMessages,
+  setStore,
+  getStore
+};
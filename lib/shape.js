@@ -0,0 +1,33 @@
+// lib/shape.js
+// Defensive accessors for Amello payloads, whose field names vary between
+// endpoints (hotelId vs id, board vs boardType, ...).
+
+// Value at a dot path ("offers.0.price"), or undefined.
+function getPath(obj, path) {
+  return String(path).split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// First non-empty value among several dot paths.
+function pick(obj, ...paths) {
+  for (const p of paths) {
+    const v = getPath(obj, p);
+    if (v !== undefined && v !== null && v !== '') return v;
+  }
+  return undefined;
+}
+
+// Display text for a scalar or a { name | label | title | code } object.
+function asText(v) {
+  if (v == null) return undefined;
+  if (typeof v === 'object') return asText(v.name ?? v.label ?? v.title ?? v.code);
+  return String(v);
+}
+
+// Unwraps the { data: {...} } envelope Amello puts around collection items.
+function unwrap(item) {
+  return item && typeof item === 'object' && item.data && typeof item.data === 'object' && !Array.isArray(item.data)
+    ? item.data
+    : item;
+}
+
+module.exports = { getPath, pick, asText, unwrap };
@@ -0,0 +1,71 @@
+// lib/tracing.js
+// Wires lib/log.js and lib/metrics.js into the handlers:
+//   instrument(route, handler)  wraps an api/* handler: picks up or creates the correlation id,
+//                               echoes it as X-Correlation-Id, and logs + counts the request
+//   instrumentTools(server)     times every MCP tool registered afterwards (log line + metrics)
+//   annotate(fields)            adds fields (route, client, ...) to the current request's logs
+
+const { log, runWithContext, currentContext, newCorrelationId, validCorrelationId, CORRELATION_HEADER } = require('./log');
+const { recordRequest, recordToolCall } = require('./metrics');
+
+/** Merges fields into the current request context (no-op outside a request). */
+function annotate(fields) {
+  const ctx = currentContext();
+  Object.assign(ctx, fields);
+  return ctx;
+}
+
+/** Switches the current request to another correlation id (e.g. one found in JSON-RPC _meta). */
+function adoptCorrelationId(res, value) {
+  const id = validCorrelationId(value);
+  if (!id) return;
+  annotate({ correlationId: id });
+  if (!res.headersSent) res.setHeader('X-Correlation-Id', id);
+}
+
+function instrument(route, handler) {
+  return async function instrumented(req, res) {
+    const ctx = { correlationId: validCorrelationId(req.headers[CORRELATION_HEADER]) || newCorrelationId(), route };
+    const started = Date.now();
+    res.setHeader('X-Correlation-Id', ctx.correlationId);
+    // 'close' also fires when the client goes away mid-stream; 499 marks those (nginx convention).
+    res.once('close', () => {
+      const durationMs = Date.now() - started;
+      const status = res.writableFinished ? res.statusCode : 499;
+      recordRequest({ route: ctx.route, method: req.method, status, durationMs });
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      log[level]('request', { ...ctx, method: req.method, path: String(req.url || '').split('?')[0], status, durationMs });
+    });
+    return runWithContext(ctx, () => handler(req, res));
+  };
+}
+
+function instrumentTools(server) {
+  const register = server.registerTool.bind(server);
+  server.registerTool = (name, config, cb) => register(name, config, async (...args) => {
+    const started = Date.now();
+    let outcome = 'exception';
+    let error;
+    try {
+      const result = await cb(...args);
+      outcome = result?.isError ? 'tool_error' : 'ok';
+      return result;
+    } catch (e) {
+      error = e;
+      throw e;
+    } finally {
+      const durationMs = Date.now() - started;
+      recordToolCall({ tool: name, outcome, durationMs });
+      log[outcome === 'ok' ? 'info' : 'warn']('tool_call', {
+        tool: name,
+        outcome,
+        durationMs,
+        ...(config?.inputSchema ? { arguments: args[0] } : {}),
+        ...(error ? { error } : {})
+      });
+    }
+  });
+  return server;
+}
+
+module.exports = { instrument, instrumentTools, annotate, adoptCorrelationId };
@@ -0,0 +1,271 @@
+// lib/upstream.js
+// Shared Amello API client used by api/mcp.js and api/bridge/[...route].js.
+// Adds per-call timeouts, bounded retries with jittered backoff and a circuit breaker
+// on top of plain fetch, and returns the same { status, headers, data } shape doJson did.
+// Env:
+//   AMELLO_BASE_URL            (default https://prod-api.amello.plusline.net)
+//   AMELLO_AUTH_SCHEME         (bearer | x-api-key | none; default bearer)
+//   AMELLO_API_KEY             (if required)
+//   AMELLO_EXTRA_HEADERS       (JSON string, optional)
+//   AMELLO_TIMEOUT_MS          (per attempt, default 15000)
+//   AMELLO_RETRIES             (extra attempts after the first, default 2)
+//   AMELLO_RETRY_MAX_DELAY_MS  (cap for backoff and Retry-After, default 8000)
+//   AMELLO_BREAKER_THRESHOLD   (consecutive failures before opening, default 5)
+//   AMELLO_BREAKER_COOLDOWN_MS (how long the circuit stays open, default 30000)
+// Every call is logged and counted (lib/log.js, lib/metrics.js); Amello requests carry the
+// current X-Correlation-Id. AMELLO_FIXTURE_MODE=record|replay records responses to / serves
+// them from fixture files instead (lib/recorder.js).
+
+const path = require('path');
+const { log, correlationHeaders } = require('./log');
+const { recordUpstream } = require('./metrics');
+const recorder = require('./recorder');
+
+const AMELLO_BASE_URL = (process.env.AMELLO_BASE_URL || 'https://prod-api.amello.plusline.net').replace(/\/+$/, '');
+const AUTH_SCHEME = (process.env.AMELLO_AUTH_SCHEME || 'bearer').toLowerCase(); // 'bearer' | 'x-api-key' | 'none'
+const API_KEY = process.env.AMELLO_API_KEY || '';
+let EXTRA_HEADERS = {};
+try {
+  EXTRA_HEADERS = process.env.AMELLO_EXTRA_HEADERS ? JSON.parse(process.env.AMELLO_EXTRA_HEADERS) : {};
+} catch { EXTRA_HEADERS = {}; }
+
+const TIMEOUT_MS = Number(process.env.AMELLO_TIMEOUT_MS || 15000);
+const RETRIES = Number(process.env.AMELLO_RETRIES ?? 2);
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = Number(process.env.AMELLO_RETRY_MAX_DELAY_MS || 8000);
+const BREAKER_THRESHOLD = Number(process.env.AMELLO_BREAKER_THRESHOLD || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.AMELLO_BREAKER_COOLDOWN_MS || 30000);
+
+// Statuses that are worth another attempt. 429/503 mean the upstream refused the
+// request before doing any work, so they are retried even for non-idempotent calls.
+const RETRY_ANY = new Set([429, 503]);
+const RETRY_IDEMPOTENT = new Set([429, 502, 503, 504]);
+
+class UpstreamError extends Error {
+  constructor(message, { status = 502, code = 'UPSTREAM_ERROR', cause } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status; // HTTP status the bridge should answer with
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+class CircuitOpenError extends UpstreamError {
+  constructor(retryInMs) {
+    const secs = Math.max(1, Math.ceil(retryInMs / 1000));
+    super(`Amello API is unavailable (circuit open after repeated failures); retry in ${secs}s`, {
+      status: 503,
+      code: 'CIRCUIT_OPEN'
+    });
+    this.name = 'CircuitOpenError';
+    this.retryAfter = secs;
+  }
+}
+
+// ---- circuit breaker (per warm instance) ----
+const breaker = {
+  state: 'closed', // 'closed' | 'open' | 'half-open'
+  failures: 0,
+  openedAt: 0,
+  probing: false
+};
+
+function breakerCheck() {
+  if (breaker.state === 'closed') return;
+  const elapsed = Date.now() - breaker.openedAt;
+  if (breaker.state === 'open' && elapsed >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half-open';
+    breaker.probing = false;
+  }
+  if (breaker.state === 'open') throw new CircuitOpenError(BREAKER_COOLDOWN_MS - elapsed);
+  // half-open: let exactly one probe through, fail fast for the rest
+  if (breaker.probing) throw new CircuitOpenError(1000);
+  breaker.probing = true;
+}
+
+function breakerSuccess() {
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.probing = false;
+}
+
+function breakerFailure() {
+  breaker.failures += 1;
+  breaker.probing = false;
+  if (breaker.state === 'half-open' || breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+function breakerStatus() {
+  return { state: breaker.state, failures: breaker.failures, openedAt: breaker.openedAt || null };
+}
+
+function resetBreaker() {
+  breakerSuccess();
+  breaker.openedAt = 0;
+}
+
+// ---- tiny helpers ----
+// Metric label for a URL: Amello paths as-is, other hosts (ECB rates) prefixed with the host;
+// id-like segments collapse to ":id" so labels stay bounded.
+function endpointOf(url) {
+  try {
+    const u = new URL(url);
+    const path = u.pathname.split('/').map((seg) => (/\d/.test(seg) && seg.length >= 6 ? ':id' : seg)).join('/');
+    return String(url).startsWith(AMELLO_BASE_URL) ? path : `${u.host}${path}`;
+  } catch {
+    return 'invalid';
+  }
+}
+
+function authHeaders() {
+  const h = {};
+  if (AUTH_SCHEME === 'bearer' && API_KEY) h['Authorization'] = `Bearer ${API_KEY}`;
+  else if (AUTH_SCHEME === 'x-api-key' && API_KEY) h['X-API-Key'] = API_KEY;
+  return h;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// "Full jitter": a random delay between 0 and the exponential ceiling.
+function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+// Retry-After is either delta-seconds or an HTTP date. Returns ms or null.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+async function readBody(res, outHeaders) {
+  const ct = (outHeaders['content-type'] || '').toLowerCase();
+  if (ct.includes('application/json') || ct.includes('ld+json')) {
+    const text = await res.text();
+    try { return JSON.parse(text); } catch { return text; }
+  }
+  return res.text();
+}
+
+async function attempt(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  if (init.signal) init.signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    const outHeaders = {};
+    res.headers.forEach((v, k) => { outHeaders[k] = v; });
+    const data = await readBody(res, outHeaders);
+    return { status: res.status, headers: outHeaders, data };
+  } catch (e) {
+    if (init.signal?.aborted) throw e;
+    if (controller.signal.aborted) {
+      throw new UpstreamError(`Amello API did not respond within ${timeoutMs}ms`, { status: 504, code: 'TIMEOUT', cause: e });
+    }
+    throw new UpstreamError(`Amello API request failed: ${e?.message || e}`, { status: 502, code: 'NETWORK_ERROR', cause: e });
+  } finally {
+    clearTimeout(timer);
+    if (init.signal) init.signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Calls the Amello API and resolves to { status, headers, data }.
+ * Non-2xx responses resolve normally (callers forward them); only timeouts,
+ * network failures and an open circuit reject with an UpstreamError.
+ *
+ * opts.timeoutMs   per-attempt timeout
+ * opts.retries     max extra attempts
+ * opts.idempotent  allow retrying network errors, timeouts and 502/504
+ *                  (defaults to true for GET/HEAD)
+ * opts.record      false keeps the call out of fixture recordings (personal data)
+ */
+async function requestJson(url, init = {}, opts = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  const endpoint = endpointOf(url);
+  const started = Date.now();
+  let attempts = 0;
+  const done = (status, extra) => {
+    const durationMs = Date.now() - started;
+    recordUpstream({ endpoint, method, status, durationMs });
+    log[typeof status === 'number' && status < 500 ? 'info' : 'warn']('upstream', { method, endpoint, status, attempts, durationMs, ...extra });
+  };
+  if (String(url).startsWith(AMELLO_BASE_URL)) init = { ...init, headers: { ...correlationHeaders(), ...(init.headers || {}) } };
+  const mode = recorder.fixtureMode();
+  try {
+    if (mode === 'replay') {
+      const res = await recorder.replay(url, { ...init, method });
+      if (!res) {
+        const file = path.basename(recorder.fixtureFile(recorder.requestKey(url, { ...init, method })));
+        throw new UpstreamError(`No recorded response for ${method} ${endpoint} (expected ${file} in ${recorder.fixtureDir()})`, {
+          status: 502,
+          code: 'REPLAY_MISS'
+        });
+      }
+      done(res.status, { replayed: true });
+      return res;
+    }
+    const res = await requestWithRetries(url, init, opts, method, () => { attempts += 1; });
+    if (mode === 'record' && opts.record !== false) await recorder.record(url, { ...init, method }, res);
+    done(res.status);
+    return res;
+  } catch (e) {
+    done(e.code || 'ERROR', { error: e });
+    throw e;
+  }
+}
+
+// The retry / circuit-breaker loop behind requestJson; onAttempt counts attempts for the log line.
+async function requestWithRetries(url, init, opts, method, onAttempt) {
+  const timeoutMs = opts.timeoutMs ?? TIMEOUT_MS;
+  const retries = Math.max(0, opts.retries ?? RETRIES);
+  const idempotent = opts.idempotent ?? (method === 'GET' || method === 'HEAD');
+  const retryable = idempotent ? RETRY_IDEMPOTENT : RETRY_ANY;
+
+  for (let i = 0; ; i++) {
+    breakerCheck();
+    let res;
+    onAttempt();
+    try {
+      res = await attempt(url, { ...init, method }, timeoutMs);
+    } catch (e) {
+      if (!(e instanceof UpstreamError)) { breaker.probing = false; throw e; } // caller aborted
+      breakerFailure();
+      if (!idempotent || i >= retries) throw e;
+      await sleep(backoffDelay(i));
+      continue;
+    }
+
+    if (res.status >= 500) breakerFailure();
+    else breakerSuccess();
+
+    if (!retryable.has(res.status) || i >= retries) return res;
+
+    const retryAfter = parseRetryAfter(res.headers['retry-after']);
+    // Upstream asked us to wait longer than we are willing to; hand its answer back.
+    if (retryAfter !== null && retryAfter > RETRY_MAX_DELAY_MS) return res;
+    await sleep(retryAfter ?? backoffDelay(i));
+  }
+}
+
+module.exports = {
+  AMELLO_BASE_URL,
+  EXTRA_HEADERS,
+  authHeaders,
+  requestJson,
+  parseRetryAfter,
+  breakerStatus,
+  resetBreaker,
+  UpstreamError,
+  CircuitOpenError
+};
@@ -0,0 +1,188 @@
+// lib/views.js
+// Compact projections of find-hotels and hotel-offer responses for LLM callers.
+// view 'raw'     -> the upstream { status, headers, data }, optionally with lists capped
+// view 'summary' -> one normalized row per hotel / offer, no headers
+// view 'fields'  -> only the requested dot paths of each hotel / offer
+// Every capped list is reported under `truncated` as { total, returned }.
+
+const { getPath, pick, asText, unwrap } = require('./shape');
+
+const VIEWS = ['raw', 'summary', 'fields'];
+const DEFAULT_SUMMARY_ITEMS = 10;
+
+// ---- money (compare only; formatting happens elsewhere) ----
+function moneyOf(v) {
+  if (v == null) return undefined;
+  if (typeof v === 'number') return { value: v, decimals: 0 };
+  if (typeof v === 'object' && typeof v.value === 'number') return v;
+  return undefined;
+}
+
+function moneyAmount(m) {
+  return m ? m.value / 10 ** (m.decimals || 0) : Infinity;
+}
+
+function cheapest(list) {
+  let best;
+  for (const m of list) if (m && (!best || moneyAmount(m) < moneyAmount(best))) best = m;
+  return best;
+}
+
+// ---- offers ----
+function offerTotal(o) {
+  return moneyOf(pick(o, 'totalPrice', 'price.total', 'total', 'price', 'amount', 'pricing.total'));
+}
+
+function cancellationOf(o) {
+  const free = pick(o, 'freeCancellation', 'cancellation.free', 'refundable', 'isRefundable');
+  const until = asText(pick(o, 'freeCancellationUntil', 'cancellation.until', 'cancellationDeadline'));
+  const label = asText(pick(o, 'cancellationPolicy', 'cancellation.type', 'cancellation', 'cancellationType'));
+  if (typeof free === 'boolean') {
+    if (!free) return label || 'non-refundable';
+    return until ? `free cancellation until ${until}` : (label || 'free cancellation');
+  }
+  return label;
+}
+
+function offersOf(container) {
+  const list = pick(container, 'offers', 'rooms', 'roomOffers', 'rates');
+  return Array.isArray(list) ? list.map(unwrap) : [];
+}
+
+function summarizeOffer(o) {
+  return {
+    offerId: asText(pick(o, 'offerId', 'id', 'code')),
+    room: asText(pick(o, 'room.name', 'roomName', 'roomType', 'room', 'name')),
+    board: asText(pick(o, 'board', 'boardType', 'mealPlan', 'catering')),
+    cancellation: cancellationOf(o),
+    total: offerTotal(o)
+  };
+}
+
+// ---- hotels ----
+function hotelOf(r) {
+  return unwrap(pick(r, 'hotel', 'property') || r);
+}
+
+function imageOf(h) {
+  const v = pick(h, 'image.url', 'image', 'imageUrl', 'images.0.url', 'images.0', 'mainImage.url', 'thumbnail.url', 'thumbnail');
+  return typeof v === 'string' ? v : undefined;
+}
+
+function summarizeHotel(r) {
+  const row = unwrap(r);
+  const h = hotelOf(row);
+  const offers = offersOf(row);
+  const rows = offers.map(summarizeOffer);
+  const best = rows.reduce((a, b) => (!a || moneyAmount(b.total) < moneyAmount(a.total) ? b : a), null);
+  const direct = moneyOf(pick(row, 'cheapestPrice', 'minPrice', 'cheapestOffer.totalPrice', 'price.total', 'totalPrice', 'price'));
+  return {
+    hotelId: asText(pick(h, 'hotelId', 'id', 'code')) ?? asText(pick(row, 'hotelId')),
+    name: asText(pick(h, 'name', 'title')),
+    cheapestTotal: cheapest([direct, best?.total]),
+    board: best?.board ?? asText(pick(row, 'cheapestOffer.board', 'board', 'boardType')),
+    cancellation: best?.cancellation ?? cancellationOf(pick(row, 'cheapestOffer') || row),
+    rating: pick(h, 'rating', 'reviewScore', 'review.score', 'stars'),
+    image: imageOf(h)
+  };
+}
+
+// ---- list capping ----
+function cap(list, max, truncated, key) {
+  if (!Array.isArray(list)) return list;
+  if (max && list.length > max) {
+    truncated[key] = { total: list.length, returned: max };
+    return list.slice(0, max);
+  }
+  return list;
+}
+
+function projectFields(item, fields) {
+  const out = {};
+  for (const f of fields) out[f] = getPath(item, f);
+  return out;
+}
+
+function resultsOf(data) {
+  const list = pick(data, 'data.results', 'results', 'hotels');
+  return Array.isArray(list) ? list : [];
+}
+
+// Upstream errors (400/422 ld+json) are passed through untouched in every view.
+function errorView(res, view) {
+  return { status: res.status, view, error: res.data };
+}
+
+/**
+ * Projects a POST /api/v1/find-hotels response.
+ * opts: { view, fields, maxItems, maxOffers }
+ */
+function viewFindHotels(res, { view = 'raw', fields, maxItems, maxOffers } = {}) {
+  if (res.status >= 400) return view === 'raw' ? res : errorView(res, view);
+  const truncated = {};
+  const results = resultsOf(res.data);
+
+  if (view === 'raw') {
+    if (!maxItems && !maxOffers) return res;
+    const capped = cap(results, maxItems, truncated, 'results').map((r, i) => {
+      const offers = offersOf(unwrap(r));
+      if (!maxOffers || offers.length <= maxOffers) return r;
+      truncated[`results.${i}.offers`] = { total: offers.length, returned: maxOffers };
+      const row = unwrap(r);
+      const key = ['offers', 'rooms', 'roomOffers', 'rates'].find((k) => Array.isArray(row[k]));
+      const next = { ...row, [key]: row[key].slice(0, maxOffers) };
+      return row === r ? next : { ...r, data: next };
+    });
+    const data = Array.isArray(res.data?.data?.results)
+      ? { ...res.data, data: { ...res.data.data, results: capped } }
+      : { ...res.data, results: capped };
+    return { ...res, data, truncated };
+  }
+
+  const max = maxItems || DEFAULT_SUMMARY_ITEMS;
+  const hotels = view === 'fields'
+    ? cap(results.map(unwrap), max, truncated, 'hotels').map((r) => projectFields(r, fields || []))
+    : cap(results.map(summarizeHotel).sort((a, b) => moneyAmount(a.cheapestTotal) - moneyAmount(b.cheapestTotal)), max, truncated, 'hotels');
+  return { status: res.status, view, count: results.length, hotels, truncated };
+}
+
+/**
+ * Projects a POST /api/v1/hotel/offer response.
+ * opts: { view, fields, maxItems } (maxItems caps the offer list)
+ */
+function viewHotelOffer(res, { view = 'raw', fields, maxItems } = {}) {
+  if (res.status >= 400) return view === 'raw' ? res : errorView(res, view);
+  const truncated = {};
+  const body = unwrap(res.data) || {};
+  const offers = offersOf(body);
+
+  if (view === 'raw') {
+    if (!maxItems || offers.length <= maxItems) return res;
+    const key = ['offers', 'rooms', 'roomOffers', 'rates'].find((k) => Array.isArray(body[k]));
+    const capped = { ...body, [key]: cap(body[key], maxItems, truncated, 'offers') };
+    const data = body === res.data ? capped : { ...res.data, data: capped };
+    return { ...res, data, truncated };
+  }
+
+  const max = maxItems || DEFAULT_SUMMARY_ITEMS;
+  const h = hotelOf(body);
+  const list = view === 'fields'
+    ? cap(offers, max, truncated, 'offers').map((o) => projectFields(o, fields || []))
+    : cap(offers.map(summarizeOffer).sort((a, b) => moneyAmount(a.total) - moneyAmount(b.total)), max, truncated, 'offers');
+  return {
+    status: res.status,
+    view,
+    hotel: {
+      hotelId: asText(pick(h, 'hotelId', 'id', 'code')),
+      name: asText(pick(h, 'name', 'title')),
+      rating: pick(h, 'rating', 'reviewScore', 'review.score', 'stars'),
+      image: imageOf(h)
+    },
+    count: offers.length,
+    cheapestTotal: cheapest(offers.map(offerTotal)),
+    offers: list,
+    truncated
+  };
+}
+
+module.exports = { VIEWS, viewFindHotels, viewHotelOffer, summarizeHotel, summarizeOffer, moneyAmount };
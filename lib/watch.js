@@ -0,0 +1,513 @@
+// lib/watch.js
+// Price watches: a remembered amello.hotel_offer_post or amello.find_hotels_post query that
+// /api/watch/run (a cron job) re-runs every intervalMinutes. Each check appends the cheapest
+// price to the watch's history; an alert fires when the price
+//   - falls to or below belowPrice (once per crossing; re-armed when it climbs back above), or
+//   - is dropPercent or more below the reference price (the first price, then the price of
+//     the last drop alert)
+// and is POSTed to the watch's webhookUrl, signed with WATCH_WEBHOOK_SECRET. A failed delivery
+// leaves the alert state untouched, so the next check tries again. Watches stop once the stay
+// has started (status "expired").
+// Watches belong to the client that created them (lib/ratelimit.js clientId); list and delete
+// only see the caller's own. Used by api/mcp.js (amello.watch_*), api/bridge/[...route].js
+// (/watches*) and api/watch/run.js.
+// Every store implements async get(id), put(watch), delete(id) and list().
+// Env:
+//   WATCH_STORE              (file | memory | redis; default file; use redis on Vercel,
+//                             via KV_REST_API_URL + KV_REST_API_TOKEN)
+//   WATCH_DIR                (file store directory, default <tmpdir>/amello-watches)
+//   WATCH_INTERVAL_MIN       (default check interval, default 360)
+//   WATCH_MIN_INTERVAL_MIN   (shortest interval a watch may ask for, default 60)
+//   WATCH_MAX_PER_CLIENT     (default 20)
+//   WATCH_HISTORY_MAX        (price points kept per watch, default 100)
+//   WATCH_RUN_LIMIT          (watches checked per run, default 25)
+//   WATCH_RUN_CONCURRENCY    (checks in flight per run, default 2)
+//   WATCH_WEBHOOK_SECRET     (optional; signs webhook bodies)
+//   WATCH_WEBHOOK_TIMEOUT_MS (default 5000)
+//   WATCH_WEBHOOK_ALLOW_LOCAL (on = allow http:// and local/private webhook hosts; for development)
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { findHotels, hotelOffer } = require('./amello');
+const { summarizeHotel, viewHotelOffer, moneyAmount } = require('./views');
+const { restRedisClient } = require('./cache');
+const { mapLimit } = require('./concurrency');
+const { log } = require('./log');
+const { inc } = require('./metrics');
+
+const WATCH_TOOLS = ['amello.hotel_offer_post', 'amello.find_hotels_post'];
+const INTERVAL_MIN = Number(process.env.WATCH_INTERVAL_MIN || 360);
+const MIN_INTERVAL_MIN = Number(process.env.WATCH_MIN_INTERVAL_MIN || 60);
+const MAX_PER_CLIENT = Number(process.env.WATCH_MAX_PER_CLIENT || 20);
+const HISTORY_MAX = Number(process.env.WATCH_HISTORY_MAX || 100);
+const RUN_LIMIT = Number(process.env.WATCH_RUN_LIMIT || 25);
+const RUN_CONCURRENCY = Number(process.env.WATCH_RUN_CONCURRENCY || 2);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WATCH_WEBHOOK_TIMEOUT_MS || 5000);
+const ID_RE = /^[A-Za-z0-9-]{8,64}$/;
+const MINUTE_MS = 60000;
+
+class WatchError extends Error {
+  constructor(status, message, violations) {
+    super(message);
+    this.name = 'WatchError';
+    this.status = status; // 404 unknown watch, 409 too many watches, 422 invalid watch
+    if (violations) this.violations = violations; // [{ propertyPath, message }]
+  }
+}
+
+// =============================
+// STORES
+// =============================
+
+function memoryWatchStore() {
+  const map = new Map();
+  return {
+    name: 'memory',
+    async get(id) { return map.has(id) ? structuredClone(map.get(id)) : null; },
+    async put(watch) { map.set(watch.id, structuredClone(watch)); },
+    async delete(id) { map.delete(id); },
+    async list() { return [...map.values()].map((w) => structuredClone(w)); }
+  };
+}
+
+// One JSON file per watch; writes go through a temp file so a crash never leaves half a watch.
+function fileWatchStore({ dir = process.env.WATCH_DIR || path.join(os.tmpdir(), 'amello-watches') } = {}) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  const read = async (file) => {
+    try { return JSON.parse(await fs.readFile(file, 'utf8')); } catch { return null; }
+  };
+  return {
+    name: 'file',
+    dir,
+    get: (id) => read(fileFor(id)),
+    async put(watch) {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(watch.id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(watch, null, 2));
+      await fs.rename(tmp, fileFor(watch.id));
+    },
+    async delete(id) { await fs.rm(fileFor(id), { force: true }); },
+    async list() {
+      let names = [];
+      try { names = await fs.readdir(dir); } catch { return []; }
+      const watches = await Promise.all(names.filter((n) => n.endsWith('.json')).map((n) => read(path.join(dir, n))));
+      return watches.filter(Boolean);
+    }
+  };
+}
+
+// All watches in one Redis hash; the client needs eval (ioredis, or restRedisClient from lib/cache.js).
+function redisWatchStore(client, { key = 'amello:watches' } = {}) {
+  const call = (script, ...args) => client.eval(script, 1, key, ...args);
+  return {
+    name: 'redis',
+    async get(id) {
+      const raw = await call("return redis.call('HGET', KEYS[1], ARGV[1])", id);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async put(watch) { await call("return redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])", watch.id, JSON.stringify(watch)); },
+    async delete(id) { await call("return redis.call('HDEL', KEYS[1], ARGV[1])", id); },
+    async list() { return ((await call("return redis.call('HVALS', KEYS[1])")) || []).map((raw) => JSON.parse(raw)); }
+  };
+}
+
+function storeFromEnv() {
+  const backend = (process.env.WATCH_STORE || 'file').toLowerCase();
+  if (backend === 'memory') return memoryWatchStore();
+  if (backend === 'redis') {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (!url || !token) throw new Error('WATCH_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN');
+    return redisWatchStore(restRedisClient({ url, token }));
+  }
+  return fileWatchStore();
+}
+
+let store;
+try { store = storeFromEnv(); } catch (e) {
+  log.warn('watch_store_fallback', { store: 'file', error: e });
+  store = fileWatchStore();
+}
+
+function setStore(next) { store = next; }
+function getStore() { return store; }
+
+// =============================
+// VALIDATION
+// =============================
+
+const today = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+const allowLocal = () => /^(on|true|1)$/i.test(process.env.WATCH_WEBHOOK_ALLOW_LOCAL || '');
+
+function ipv4Private(ip) {
+  const [a, b, c] = ip.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224
+    || (a === 100 && (b & 0xc0) === 64)      // 100.64.0.0/10 carrier-grade NAT
+    || (a === 169 && b === 254) || (a === 172 && (b & 0xf0) === 16) || (a === 192 && b === 168)
+    || (a === 192 && b === 0 && c === 0) || (a === 198 && (b & 0xfe) === 18);
+}
+
+// Eight 16-bit groups; a trailing dotted IPv4 part becomes the last two.
+function ipv6Groups(ip) {
+  let addr = ip;
+  const v4 = addr.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const [a, b, c, d] = v4[1].split('.').map(Number);
+    addr = addr.slice(0, -v4[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = addr.split('::');
+  const parse = (part) => (part ? part.split(':').map((g) => parseInt(g, 16)) : []);
+  const h = parse(head);
+  const t = tail === undefined ? [] : parse(tail);
+  return [...h, ...Array(8 - h.length - t.length).fill(0), ...t];
+}
+
+/** True for loopback, private, link-local, carrier-grade NAT, unspecified and multicast addresses. */
+function privateAddress(ip) {
+  const addr = String(ip).replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIPv4(addr)) return ipv4Private(addr);
+  if (!net.isIPv6(addr)) return false;
+  const g = ipv6Groups(addr);
+  const embedded = `${g[6] >> 8}.${g[6] & 0xff}.${g[7] >> 8}.${g[7] & 0xff}`;
+  // ::, ::1, IPv4-compatible, IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) carry an IPv4 address
+  if (g.slice(0, 5).every((x) => x === 0) && (g[5] === 0 || g[5] === 0xffff)) return ipv4Private(embedded);
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every((x) => x === 0)) return ipv4Private(embedded);
+  return (g[0] & 0xfe00) === 0xfc00 || (g[0] & 0xffc0) === 0xfe80 || (g[0] & 0xffc0) === 0xfec0 || (g[0] & 0xff00) === 0xff00;
+}
+
+// Local webhook targets would let any caller make this server probe its own network. This sees
+// the URL only; host names are checked again against their DNS answers when delivering.
+function webhookViolation(raw) {
+  let url;
+  try { url = new URL(raw); } catch { return 'Not a valid URL'; }
+  if (allowLocal()) {
+    return /^https?:$/.test(url.protocol) ? null : 'Only http(s) URLs are allowed';
+  }
+  if (url.protocol !== 'https:') return 'Only https URLs are allowed';
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const local = net.isIP(host) ? privateAddress(host)
+    : host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local');
+  return local ? 'Local and private addresses are not allowed' : null;
+}
+
+function watchViolations({ tool, query, hotelId, belowPrice, dropPercent, webhookUrl }, now) {
+  const v = [];
+  const add = (propertyPath, message) => v.push({ propertyPath, message });
+  if (tool === 'amello.hotel_offer_post' && !query?.hotelId) add('query.hotelId', 'A hotel offer watch needs query.hotelId');
+  if (tool === 'amello.hotel_offer_post' && hotelId) add('hotelId', 'Only find-hotels watches take hotelId; put it in query.hotelId');
+  if (tool === 'amello.find_hotels_post' && !query?.destination) add('query.destination', 'A find-hotels watch needs query.destination');
+  if (!query?.roomConfigurations?.length) add('query.roomConfigurations', 'A watch needs at least one room to get prices');
+  if (query?.departureDate && query.departureDate <= today(now)) add('query.departureDate', 'The stay must start after today');
+  if (query?.departureDate && query?.returnDate && query.returnDate <= query.departureDate) {
+    add('query.returnDate', 'returnDate must be after departureDate');
+  }
+  if (belowPrice == null && dropPercent == null) add('belowPrice', 'Set belowPrice, dropPercent or both');
+  if (webhookUrl) {
+    const problem = webhookViolation(webhookUrl);
+    if (problem) add('webhookUrl', problem);
+  }
+  return v;
+}
+
+// =============================
+// WATCHES
+// =============================
+
+// The caller's view of a watch: no owner, webhook reduced to its origin, recent history only.
+function publicWatch(w, { historyLimit = 20 } = {}) {
+  const { client, webhookUrl, state, history, ...rest } = w;
+  return {
+    ...rest,
+    webhook: webhookUrl ? new URL(webhookUrl).origin : null,
+    history: history.slice(-historyLimit)
+  };
+}
+
+/**
+ * Creates a watch for `client`. input: { tool, query, hotelId?, label?, belowPrice?,
+ * dropPercent?, webhookUrl?, intervalMinutes? } (query is the tool's request body).
+ * Throws WatchError(422) for an invalid watch, WatchError(409) over WATCH_MAX_PER_CLIENT.
+ */
+async function createWatch(input, { client, now = Date.now() } = {}) {
+  const violations = watchViolations(input, now);
+  if (violations.length) throw new WatchError(422, 'Invalid watch', violations);
+  const owned = (await store.list()).filter((w) => w.client === client);
+  if (owned.length >= MAX_PER_CLIENT) {
+    throw new WatchError(409, `At most ${MAX_PER_CLIENT} watches per client; delete one first`);
+  }
+
+  const at = new Date(now).toISOString();
+  const watch = {
+    id: crypto.randomUUID(),
+    client,
+    label: input.label || null,
+    tool: input.tool,
+    query: input.query,
+    hotelId: input.hotelId || null,
+    belowPrice: input.belowPrice ?? null,
+    dropPercent: input.dropPercent ?? null,
+    webhookUrl: input.webhookUrl || null,
+    intervalMinutes: Math.max(MIN_INTERVAL_MIN, input.intervalMinutes || INTERVAL_MIN),
+    status: 'active',
+    createdAt: at,
+    lastCheckedAt: null,
+    nextCheckAt: at, // first check on the next run
+    price: { currency: String(input.query.currency).toUpperCase(), current: null, baseline: null, lowest: null },
+    lastAlert: null,
+    state: { reference: null, below: false },
+    history: []
+  };
+  await store.put(watch);
+  log.info('watch_created', { watchId: watch.id, tool: watch.tool });
+  return publicWatch(watch);
+}
+
+/** The caller's watches, oldest first. */
+async function listWatches({ client, historyLimit } = {}) {
+  const owned = (await store.list()).filter((w) => w.client === client);
+  owned.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return owned.map((w) => publicWatch(w, { historyLimit }));
+}
+
+/** Deletes one of the caller's watches; WatchError(404) when it is unknown or someone else's. */
+async function deleteWatch(watchId, { client } = {}) {
+  const watch = ID_RE.test(String(watchId || '')) ? await store.get(String(watchId)) : null;
+  if (!watch || watch.client !== client) throw new WatchError(404, `No watch ${watchId}`);
+  await store.delete(watch.id);
+  log.info('watch_deleted', { watchId: watch.id });
+  return { deleted: true, watchId: watch.id };
+}
+
+// =============================
+// CHECKS
+// =============================
+
+/** Cheapest price for a watch's query: { status, amount, currency, hotelId } (amount null when none). */
+async function currentPrice(watch) {
+  const currency = watch.price.currency;
+  if (watch.tool === 'amello.hotel_offer_post') {
+    const res = await hotelOffer(watch.query);
+    if (res.status >= 400) return { status: res.status, amount: null, currency, error: res.data };
+    const best = viewHotelOffer(res, { view: 'summary' }).cheapestTotal;
+    return { status: res.status, amount: best ? moneyAmount(best) : null, currency: best?.currency?.code || currency, hotelId: watch.query.hotelId };
+  }
+  const res = await findHotels(watch.query);
+  if (res.status >= 400) return { status: res.status, amount: null, currency, error: res.data };
+  const rows = (res.data?.data?.results || res.data?.results || []).map(summarizeHotel)
+    .filter((h) => h.cheapestTotal && (!watch.hotelId || h.hotelId === watch.hotelId));
+  const best = rows.reduce((a, h) => (!a || moneyAmount(h.cheapestTotal) < moneyAmount(a.cheapestTotal) ? h : a), null);
+  return best
+    ? { status: res.status, amount: moneyAmount(best.cheapestTotal), currency: best.cheapestTotal.currency?.code || currency, hotelId: best.hotelId }
+    : { status: res.status, amount: null, currency };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Alerts a new price triggers, given the watch's state. Returns { reasons, state }:
+ * reasons [{ type: 'below', threshold } | { type: 'drop', percent, from }], state the
+ * alert state to keep once the alert is delivered.
+ */
+function evaluateAlerts(watch, amount) {
+  const reasons = [];
+  const state = { ...watch.state };
+  if (watch.belowPrice != null) {
+    const below = amount <= watch.belowPrice;
+    if (below && !state.below) reasons.push({ type: 'below', threshold: watch.belowPrice });
+    state.below = below;
+  }
+  if (state.reference == null) state.reference = amount;
+  else if (watch.dropPercent != null) {
+    const percent = ((state.reference - amount) / state.reference) * 100;
+    if (percent >= watch.dropPercent) {
+      reasons.push({ type: 'drop', percent: round2(percent), from: state.reference });
+      state.reference = amount;
+    }
+  }
+  return { reasons, state };
+}
+
+/** Signature header value for a webhook body (for receivers and tests). */
+function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// dns.lookup for webhook connections. The check runs on the addresses the connection will
+// actually use, so a host that resolved to a public address at creation time (or answers
+// differently on every query) cannot reach a local one.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => privateAddress(a.address));
+    if (blocked) {
+      const e = new Error(`${hostname} resolves to a local or private address (${blocked.address})`);
+      e.code = 'EWEBHOOKBLOCKED';
+      return callback(e);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POSTs body and resolves to the response status. Redirects are not followed: they could
+// point anywhere.
+function postWebhook(url, { headers, body }) {
+  const u = new URL(url);
+  const client = u.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(u, {
+      method: 'POST',
+      headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+      ...(allowLocal() ? {} : { lookup: guardedLookup })
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS} ms`)), WEBHOOK_TIMEOUT_MS);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function deliver(watch, payload) {
+  const problem = webhookViolation(watch.webhookUrl);
+  if (problem) return { delivered: false, error: problem };
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const secret = process.env.WATCH_WEBHOOK_SECRET;
+  try {
+    const status = await postWebhook(watch.webhookUrl, {
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'amello-mcp-watch',
+        'x-amello-event': payload.event,
+        'x-amello-watch-id': watch.id,
+        'x-amello-timestamp': timestamp,
+        ...(secret ? { 'x-amello-signature': signWebhook(secret, timestamp, body) } : {})
+      },
+      body
+    });
+    return { delivered: status >= 200 && status < 300, status };
+  } catch (e) {
+    return { delivered: false, error: e.message };
+  }
+}
+
+/** Re-checks one watch, records the price and sends alerts. Resolves to a run result row. */
+async function checkWatch(watch, { now = Date.now() } = {}) {
+  const at = new Date(now).toISOString();
+  if (watch.query.departureDate <= today(now)) {
+    watch.status = 'expired';
+    await store.put(watch);
+    return { watchId: watch.id, outcome: 'expired' };
+  }
+
+  let price;
+  try {
+    price = await currentPrice(watch);
+  } catch (e) {
+    price = { status: e.status || 502, amount: null, currency: watch.price.currency, error: e.message };
+  }
+  watch.lastCheckedAt = at;
+  watch.nextCheckAt = new Date(now + watch.intervalMinutes * MINUTE_MS).toISOString();
+  watch.history.push({
+    at,
+    status: price.status,
+    amount: price.amount,
+    currency: price.currency,
+    ...(price.hotelId ? { hotelId: price.hotelId } : {}),
+    ...(price.error ? { error: typeof price.error === 'string' ? price.error : 'Upstream error' } : {})
+  });
+  watch.history = watch.history.slice(-HISTORY_MAX);
+
+  if (price.amount == null) {
+    await store.put(watch);
+    inc('amello_watch_checks_total', 'Price watch checks by outcome', { outcome: price.error ? 'error' : 'no_price' });
+    return { watchId: watch.id, outcome: price.error ? 'error' : 'no_price', status: price.status };
+  }
+
+  const previous = watch.price.current;
+  watch.price.current = price.amount;
+  watch.price.baseline ??= price.amount;
+  watch.price.lowest = watch.price.lowest == null ? price.amount : Math.min(watch.price.lowest, price.amount);
+
+  const { reasons, state } = evaluateAlerts(watch, price.amount);
+  let delivery = null;
+  if (reasons.length) {
+    const alert = { at, amount: price.amount, currency: price.currency, reasons };
+    if (watch.webhookUrl) {
+      delivery = await deliver(watch, {
+        event: 'price.alert',
+        watch: { watchId: watch.id, label: watch.label, tool: watch.tool, hotelId: price.hotelId || watch.hotelId, query: watch.query },
+        price: { amount: price.amount, currency: price.currency, previous, baseline: watch.price.baseline, lowest: watch.price.lowest },
+        reasons,
+        checkedAt: at
+      });
+      log.info('watch_webhook', { watchId: watch.id, delivered: delivery.delivered, status: delivery.status, error: delivery.error });
+      inc('amello_watch_alerts_total', 'Price watch alerts by webhook delivery', { delivered: String(delivery.delivered) });
+    }
+    watch.lastAlert = { ...alert, ...(delivery || {}) };
+    if (!delivery || delivery.delivered) watch.state = state;
+  } else {
+    watch.state = state;
+  }
+  await store.put(watch);
+  inc('amello_watch_checks_total', 'Price watch checks by outcome', { outcome: 'ok' });
+  return { watchId: watch.id, outcome: 'ok', amount: price.amount, currency: price.currency, alerts: reasons, ...(delivery ? { delivery } : {}) };
+}
+
+/**
+ * Checks the watches that are due (oldest due first, at most `limit`) and resolves to
+ * { checked, alerts, due, results }. Watches still due after this run wait for the next one.
+ */
+async function runDueWatches({ now = Date.now(), limit = RUN_LIMIT, concurrency = RUN_CONCURRENCY } = {}) {
+  const at = new Date(now).toISOString();
+  const due = (await store.list())
+    .filter((w) => w.status === 'active' && w.nextCheckAt <= at)
+    .sort((a, b) => a.nextCheckAt.localeCompare(b.nextCheckAt));
+  const batch = due.slice(0, limit);
+  const results = await mapLimit(batch, concurrency, async (watch) => {
+    try {
+      return await checkWatch(watch, { now });
+    } catch (e) {
+      log.error('watch_check_failed', { watchId: watch.id, error: e });
+      return { watchId: watch.id, outcome: 'error', error: e.message };
+    }
+  });
+  return {
+    checked: results.length,
+    due: due.length,
+    alerts: results.reduce((n, r) => n + (r.alerts?.length ? 1 : 0), 0),
+    results
+  };
+}
+
+module.exports = {
+  createWatch,
+  listWatches,
+  deleteWatch,
+  runDueWatches,
+  checkWatch,
+  evaluateAlerts,
+  signWebhook,
+  webhookViolation,
+  privateAddress,
+  memoryWatchStore,
+  fileWatchStore,
+  redisWatchStore,
+  setStore,
+  getStore,
+  WatchError,
+  WATCH_TOOLS,
+  MIN_INTERVAL_MIN,
+  MAX_PER_CLIENT
+};
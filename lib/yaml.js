@@ -0,0 +1,48 @@
+// lib/yaml.js
+// JSON-compatible value -> YAML text (block style), enough to serve the OpenAPI document.
+
+const PLAIN = /^[A-Za-z_][\w ./-]*$/;
+const RESERVED = /^(true|false|null|yes|no|on|off|~|-?\d[\d_.eE+-]*)$/i;
+
+function scalar(v) {
+  if (v === null || v === undefined) return 'null';
+  if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+  const s = String(v);
+  if (PLAIN.test(s) && !RESERVED.test(s) && !s.endsWith(' ')) return s;
+  return JSON.stringify(s); // double-quoted YAML is a superset of JSON strings
+}
+
+function key(k) {
+  return PLAIN.test(k) && !RESERVED.test(k) ? k : JSON.stringify(k);
+}
+
+function isEmpty(v) {
+  return (Array.isArray(v) && !v.length) || (v && typeof v === 'object' && !Array.isArray(v) && !Object.keys(v).length);
+}
+
+function emit(v, indent) {
+  const pad = '  '.repeat(indent);
+  if (Array.isArray(v)) {
+    return v.map((item) => {
+      if (item && typeof item === 'object' && !isEmpty(item)) {
+        const body = emit(item, indent + 1).replace(/^\s+/, '');
+        return `${pad}- ${body}`;
+      }
+      return `${pad}- ${isEmpty(item) ? JSON.stringify(item) : scalar(item)}`;
+    }).join('\n');
+  }
+  return Object.entries(v)
+    .filter(([, x]) => x !== undefined)
+    .map(([k, x]) => {
+      if (x && typeof x === 'object' && !isEmpty(x)) return `${pad}${key(k)}:\n${emit(x, indent + 1)}`;
+      return `${pad}${key(k)}: ${isEmpty(x) ? JSON.stringify(x) : scalar(x)}`;
+    })
+    .join('\n');
+}
+
+function toYaml(value) {
+  if (value === null || typeof value !== 'object') return scalar(value) + '\n';
+  return emit(value, 0) + '\n';
+}
+
+module.exports = { toYaml };
@@ -0,0 +1,50 @@
+// scripts/api-keys.js
+// Manages inbound API keys in the configured key store (MCP_KEY_STORE=file or redis).
+//   node scripts/api-keys.js create <id> --scopes "tool:amello.*,bridge:*" [--hmac]
+//   node scripts/api-keys.js revoke <id>
+//   node scripts/api-keys.js list            (file store only)
+// The plain key (and HMAC secret) is printed once; the store keeps only the hash.
+// For the env store, paste the printed record into MCP_API_KEYS instead.
+
+const crypto = require('crypto');
+const { getKeyStore, generateKey, hashKey } = require('../lib/auth');
+
+function flag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? undefined : args[i + 1] ?? true;
+}
+
+async function main() {
+  const [cmd, id, ...rest] = process.argv.slice(2);
+  const store = getKeyStore();
+  if (!store) throw new Error('No key store configured (see MCP_KEY_STORE in lib/auth.js)');
+
+  if (cmd === 'create' && id) {
+    const key = generateKey();
+    const record = {
+      id,
+      hash: hashKey(key),
+      scopes: String(flag(rest, 'scopes') || '').split(',').map((s) => s.trim()).filter(Boolean),
+      ...(flag(rest, 'hmac') ? { hmacSecret: crypto.randomBytes(32).toString('hex') } : {})
+    };
+    if (store.save) await store.save(record);
+    else console.error(`[keys] ${store.name} store is read-only; add this record to MCP_API_KEYS:`);
+    console.log(JSON.stringify({ ...record, key }, null, 2));
+    return;
+  }
+  if (cmd === 'revoke' && id) {
+    if (!(await store.revoke(id))) throw new Error(`No key with id "${id}"`);
+    console.log(`revoked ${id}${store.name === 'env' ? ' (this process only; remove it from MCP_API_KEYS)' : ''}`);
+    return;
+  }
+  if (cmd === 'list' && store.list) {
+    for (const r of await store.list()) console.log(`${r.id}\t${r.revoked ? 'revoked' : 'active'}\t${r.scopes.join(',')}`);
+    return;
+  }
+  throw new Error('Usage: api-keys.js create <id> --scopes a,b [--hmac] | revoke <id> | list');
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// Fails (exit 1) when a bridge route has no OpenAPI operation, an operation has no
+// route, or the document cannot be generated from the schema registry.
+// Usage: npm run check:openapi
+
+const { buildOpenApi, checkBridgeRoutes } = require('../lib/openapi');
+const { routes } = require('../api/bridge/[...route].js');
+
+(async () => {
+  const problems = checkBridgeRoutes(routes);
+  const oas = await buildOpenApi();
+  for (const [path, item] of Object.entries(oas.paths)) {
+    for (const [method, op] of Object.entries(item)) {
+      if (!op.operationId) problems.push(`${method.toUpperCase()} ${path} has no operationId`);
+      if (!op.responses?.['200']?.content) problems.push(`${method.toUpperCase()} ${path} has no typed 200 response`);
+    }
+  }
+  if (problems.length) {
+    console.error('OpenAPI check failed:\n' + problems.map((p) => `  - ${p}`).join('\n'));
+    process.exit(1);
+  }
+  console.log(`OpenAPI check passed (${Object.keys(oas.paths).length} paths).`);
+})().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
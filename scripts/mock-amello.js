@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+// scripts/mock-amello.js
+// Local stand-in for the Amello API, for tests and offline development:
+//   node scripts/mock-amello.js [--port 4010] [--host 127.0.0.1]
+//   AMELLO_BASE_URL=http://127.0.0.1:4010 npm start
+// Serves GET /api/v1/hotels (paged), GET /api/v1/currencies, POST /api/v1/find-hotels,
+// POST /api/v1/hotel/offer and POST /api/v1/booking/lookup (point AMELLO_BOOKING_PATH at it)
+// from fixtures/mock-amello/*.json, with prices computed from the stay length and party.
+// Errors look like the real API's application/ld+json responses:
+//   400  malformed JSON, wrong types, unsupported locale or page
+//   404  a booking lookup whose number and e-mail match no booking
+//   422  constraint violations (missing fields, returnDate before departureDate, unknown
+//        destination / hotelId / currency, a room without adults), with "violations"
+// Every request is kept in server.requests (method, path, query, headers, body) for tests.
+
+const http = require('node:http');
+const path = require('node:path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const LOCALES = ['de_DE', 'en_DE'];
+const DAY_MS = 86400000;
+
+// Offer variants per hotel: price factor on the base rate, board, cancellation terms.
+const OFFER_VARIANTS = [
+  { code: 'dbl-bb', room: 'Doppelzimmer', board: 'Frühstück', factor: 1, freeCancellationDays: 1 },
+  { code: 'dbl-hb', room: 'Doppelzimmer', board: 'Halbpension', factor: 1.25, freeCancellationDays: 7 },
+  { code: 'ste-ai', room: 'Suite', board: 'All inclusive', factor: 1.6, freeCancellationDays: null }
+];
+
+// =============================
+// ERRORS
+// =============================
+
+class MockError extends Error {
+  constructor(status, description, violations) {
+    super(description);
+    this.status = status;
+    this.violations = violations;
+  }
+}
+
+function ldError(err) {
+  const body = {
+    '@context': err.violations ? '/api/contexts/ConstraintViolationList' : '/api/contexts/Error',
+    '@type': err.violations ? 'ConstraintViolationList' : 'hydra:Error',
+    'hydra:title': 'An error occurred',
+    'hydra:description': err.message
+  };
+  if (err.violations) body.violations = err.violations;
+  return body;
+}
+
+const violation = (propertyPath, message) => ({ propertyPath, message, code: null });
+
+// =============================
+// PRICING
+// =============================
+
+function money(minorEur, currency, rates) {
+  const decimals = currency.decimalPlaces ?? 2;
+  const major = (minorEur / 100) * (rates[currency.code] || 1);
+  const value = Math.round(major * 10 ** decimals);
+  return {
+    value,
+    decimals,
+    currency: { code: currency.code, symbol: currency.symbol, decimalPlaces: decimals },
+    inMinorUnits: String(value)
+  };
+}
+
+// Children count half an adult; every room is priced separately.
+function guestFactor(roomConfigurations) {
+  return roomConfigurations.reduce((sum, rc) => {
+    const t = rc.travellers || {};
+    return sum + (t.adultCount || 0) + 0.5 * (t.childrenAges || []).length;
+  }, 0);
+}
+
+function offersFor(hotel, stay, ctx) {
+  if (!stay.roomConfigurations.length) return [];
+  const base = hotel.nightlyRate * stay.nights * guestFactor(stay.roomConfigurations);
+  return OFFER_VARIANTS.map((v) => {
+    const until = v.freeCancellationDays == null ? null
+      : new Date(Date.parse(stay.departureDate) - v.freeCancellationDays * DAY_MS).toISOString().slice(0, 10);
+    return {
+      offerId: `${hotel.id}-${v.code}-${stay.departureDate}-${stay.nights}n`,
+      room: { name: v.room },
+      board: v.board,
+      freeCancellation: until != null,
+      ...(until ? { freeCancellationUntil: until } : {}),
+      totalPrice: money(Math.round(base * v.factor), stay.currency, ctx.rates)
+    };
+  });
+}
+
+function publicHotel(h) {
+  const { nightlyRate, ...rest } = h;
+  return rest;
+}
+
+// =============================
+// VALIDATION
+// =============================
+
+function parseBody(raw) {
+  try {
+    return JSON.parse(raw || '');
+  } catch (e) {
+    throw new MockError(400, `Syntax error: ${e.message}`);
+  }
+}
+
+function checkLocale(locale) {
+  if (!LOCALES.includes(locale)) throw new MockError(400, `Unsupported locale "${locale}"; use one of ${LOCALES.join(', ')}`);
+}
+
+// Shared by find-hotels and hotel/offer: types first (400), then constraints (422).
+function validateStay(body, ctx) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new MockError(400, 'The request body must be a JSON object');
+  if (body.roomConfigurations !== undefined && !Array.isArray(body.roomConfigurations)) {
+    throw new MockError(400, 'The type of the "roomConfigurations" attribute must be "array"');
+  }
+  const violations = [];
+  for (const f of ['departureDate', 'returnDate', 'currency', 'locale']) {
+    if (!body[f]) violations.push(violation(f, 'This value should not be blank.'));
+  }
+  if (body.locale && !LOCALES.includes(body.locale)) violations.push(violation('locale', 'The value you selected is not a valid choice.'));
+  const currency = ctx.currencies.find((c) => c.code === String(body.currency || '').toUpperCase());
+  if (body.currency && !currency) violations.push(violation('currency', `Currency "${body.currency}" is not supported.`));
+  const from = Date.parse(body.departureDate);
+  const to = Date.parse(body.returnDate);
+  if (body.departureDate && Number.isNaN(from)) violations.push(violation('departureDate', 'This value is not a valid date.'));
+  if (body.returnDate && Number.isNaN(to)) violations.push(violation('returnDate', 'This value is not a valid date.'));
+  if (!Number.isNaN(from) && !Number.isNaN(to) && to <= from) {
+    violations.push(violation('returnDate', 'The return date must be after the departure date.'));
+  }
+  (body.roomConfigurations || []).forEach((rc, i) => {
+    if (!(rc?.travellers?.adultCount >= 1)) {
+      violations.push(violation(`roomConfigurations[${i}].travellers.adultCount`, 'This value should be greater than or equal to 1.'));
+    }
+  });
+  return {
+    violations,
+    stay: {
+      departureDate: body.departureDate,
+      nights: Math.round((to - from) / DAY_MS),
+      currency,
+      roomConfigurations: body.roomConfigurations || []
+    }
+  };
+}
+
+// =============================
+// ROUTES
+// =============================
+
+function listHotels(query, ctx) {
+  const locale = query.get('locale');
+  checkLocale(locale);
+  const page = Number(query.get('page') || 1);
+  if (!Number.isInteger(page) || page < 1) throw new MockError(400, 'Page should not be less than 1');
+  const start = (page - 1) * ctx.pageSize;
+  return { status: 200, body: ctx.hotels.slice(start, start + ctx.pageSize).map((h) => ({ data: publicHotel(h) })) };
+}
+
+function listCurrencies(query, ctx) {
+  checkLocale(query.get('locale'));
+  return { status: 200, body: [{ data: ctx.currencies }] };
+}
+
+function findHotels(body, ctx) {
+  const { violations, stay } = validateStay(body, ctx);
+  if (body.destination !== undefined && (typeof body.destination !== 'object' || Array.isArray(body.destination))) {
+    throw new MockError(400, 'The type of the "destination" attribute must be "object"');
+  }
+  const dest = body.destination;
+  if (!dest?.id) violations.push(violation('destination.id', 'This value should not be blank.'));
+  else if (dest.type !== 'country-code') violations.push(violation('destination.type', `Unknown destination type "${dest.type}".`));
+  else if (!ctx.hotels.some((h) => h.countryCode === dest.id)) violations.push(violation('destination.id', `Unknown destination "${dest.id}".`));
+  if (violations.length) throw new MockError(422, violations.map((v) => `${v.propertyPath}: ${v.message}`).join('\n'), violations);
+
+  const results = ctx.hotels.filter((h) => h.countryCode === dest.id).map((h) => {
+    const offers = offersFor(h, stay, ctx);
+    const cheapest = offers.reduce((a, o) => (!a || o.totalPrice.value < a.totalPrice.value ? o : a), null);
+    return { hotel: publicHotel(h), offers, ...(cheapest ? { cheapestPrice: cheapest.totalPrice } : {}) };
+  });
+  return {
+    status: 200,
+    body: { data: { results }, filters: { boards: [...new Set(OFFER_VARIANTS.map((v) => v.board))] } }
+  };
+}
+
+function hotelOffer(body, ctx) {
+  const { violations, stay } = validateStay(body, ctx);
+  const hotel = ctx.hotels.find((h) => h.id === body.hotelId);
+  if (!body.hotelId) violations.push(violation('hotelId', 'This value should not be blank.'));
+  else if (!hotel) violations.push(violation('hotelId', `Hotel "${body.hotelId}" does not exist.`));
+  if (violations.length) throw new MockError(422, violations.map((v) => `${v.propertyPath}: ${v.message}`).join('\n'), violations);
+
+  return {
+    status: 200,
+    body: {
+      hotel: publicHotel(hotel),
+      offers: offersFor(hotel, stay, ctx),
+      filters: { boards: OFFER_VARIANTS.map((v) => v.board) },
+      roomConfigurations: stay.roomConfigurations
+    }
+  };
+}
+
+function bookingLookup(body, ctx) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new MockError(400, 'The request body must be a JSON object');
+  const violations = ['bookingNumber', 'email'].filter((f) => !body[f]).map((f) => violation(f, 'This value should not be blank.'));
+  if (violations.length) throw new MockError(422, violations.map((v) => `${v.propertyPath}: ${v.message}`).join('\n'), violations);
+  const booking = ctx.bookings.find((b) => b.bookingNumber === body.bookingNumber);
+  if (!booking || booking.contact.email.toLowerCase() !== String(body.email).toLowerCase()) {
+    throw new MockError(404, 'Booking not found');
+  }
+  const { hotelId, ...rest } = booking;
+  return { status: 200, body: { data: { ...rest, hotel: publicHotel(ctx.hotels.find((h) => h.id === hotelId)) } } };
+}
+
+const ROUTES = {
+  'GET /api/v1/hotels': (req, ctx) => listHotels(req.query, ctx),
+  'GET /api/v1/currencies': (req, ctx) => listCurrencies(req.query, ctx),
+  'POST /api/v1/find-hotels': (req, ctx) => findHotels(parseBody(req.body), ctx),
+  'POST /api/v1/hotel/offer': (req, ctx) => hotelOffer(parseBody(req.body), ctx),
+  'POST /api/v1/booking/lookup': (req, ctx) => bookingLookup(parseBody(req.body), ctx)
+};
+
+// =============================
+// SERVER
+// =============================
+
+/**
+ * Creates (but does not start) the mock server.
+ * opts: { hotels, currencies, rates, bookings, pageSize } override the fixture data.
+ */
+function createMockAmello(opts = {}) {
+  const ctx = {
+    hotels: opts.hotels || require(path.join(FIXTURES, 'mock-amello', 'hotels.json')),
+    currencies: opts.currencies || require(path.join(FIXTURES, 'mock-amello', 'currencies.json')),
+    rates: opts.rates || require(path.join(FIXTURES, 'rates.json')).rates,
+    bookings: opts.bookings || require(path.join(FIXTURES, 'mock-amello', 'bookings.json')),
+    pageSize: opts.pageSize || 2
+  };
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const entry = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      };
+      requests.push(entry);
+      const send = (status, body, type = 'application/json') => {
+        res.statusCode = status;
+        res.setHeader('Content-Type', `${type}; charset=utf-8`);
+        res.end(JSON.stringify(body));
+      };
+      const route = ROUTES[`${req.method} ${url.pathname}`];
+      if (!route) {
+        const known = Object.keys(ROUTES).some((k) => k.endsWith(` ${url.pathname}`));
+        return send(known ? 405 : 404, ldError(new MockError(known ? 405 : 404, known ? 'Method Not Allowed' : 'Not Found')), 'application/ld+json');
+      }
+      try {
+        const out = route({ query: url.searchParams, body: entry.body }, ctx);
+        send(out.status, out.body);
+      } catch (e) {
+        if (!(e instanceof MockError)) return send(500, ldError(new MockError(500, e.message)), 'application/ld+json');
+        send(e.status, ldError(e), 'application/ld+json');
+      }
+    });
+  });
+  server.requests = requests;
+  return server;
+}
+
+/** Starts a mock on host:port (port 0 picks a free one); resolves to { server, url, close }. */
+function startMockAmello({ port = 0, host = '127.0.0.1', ...opts } = {}) {
+  const server = createMockAmello(opts);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({ server, url, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+}
+
+module.exports = { createMockAmello, startMockAmello };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? fallback : args[i + 1];
+  };
+  startMockAmello({ port: Number(flag('port', 4010)), host: flag('host', '127.0.0.1') })
+    .then(({ url }) => console.error(`[mock-amello] listening on ${url}`))
+    .catch((e) => {
+      console.error('[mock-amello] failed to start:', e.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,123 @@
+// test/booking.test.js
+// POST /api/bridge/booking (lib/booking.js) against the mock Amello server: the summary,
+// uniform "not found" answers, the failed-lookup lock and masking in logs.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockAmello, startApp, request } = require('./support/helpers');
+
+let mock, app;
+
+before(async () => {
+  process.env.TRUST_PROXY = '1';
+  process.env.AMELLO_BOOKING_PATH = '/api/v1/booking/lookup';
+  process.env.RATE_LIMIT = 'on';
+  process.env.RATE_LIMITS = JSON.stringify({ 'bridge:bookingLookup': { capacity: 100, perMinute: 100 } });
+  process.env.RATE_FAILURE_LIMITS = JSON.stringify({ 'booking:lookup': { max: 3, windowS: 3600 } });
+  mock = await useMockAmello();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  await mock.close();
+});
+
+// each test is its own client (a trusted proxy's X-Forwarded-For), so failed lookups do not
+// add up across tests
+const lookup = (body, ip) => request(`${app.url}/api/bridge/booking`, { method: 'POST', body, headers: { 'x-forwarded-for': ip } });
+
+test('a booking is summarized with personal data masked', async () => {
+  const r = await lookup({ bookingReference: '45666-ck-000940', email: 'Max.Mustermann@example.com' }, '10.0.0.1');
+  assert.equal(r.status, 200);
+  assert.equal(r.body.bookingReference, '45666CK000940');
+  assert.deepEqual(r.body.hotel, { hotelId: 'AT-TIR-001', name: 'Alpenhof Kitzbühel', city: 'Kitzbühel', country: 'Österreich' });
+  assert.equal(r.body.nights, 4);
+  assert.deepEqual(r.body.rooms, [{ name: 'Doppelzimmer', board: 'Frühstück', adults: 2, childrenAges: [6] }]);
+  assert.deepEqual(r.body.travellers, { adults: 2, children: 1, leadGuest: 'Max M.' });
+  assert.equal(r.body.price.amount, 1490);
+  assert.equal(r.body.price.currency, 'EUR');
+  assert.deepEqual(r.body.cancellation, { status: 'free', cancelled: false, freeCancellationUntil: '2030-06-30' });
+  assert.deepEqual(r.body.contact, { email: 'm***@example.com' });
+  assert.doesNotMatch(JSON.stringify(r.body), /Mustermann|\+49/);
+  // the reference travels in the body, never in a URL
+  const sent = mock.server.requests.find((q) => q.path === '/api/v1/booking/lookup');
+  assert.deepEqual(JSON.parse(sent.body), { bookingNumber: '45666CK000940', email: 'Max.Mustermann@example.com', locale: 'de_DE' });
+  assert.ok(mock.server.requests.every((q) => !/45666/.test(q.path + JSON.stringify(q.query))));
+});
+
+test('a cancelled booking reports its cancellation', async () => {
+  const r = await lookup({ bookingReference: '51200KT000117', email: 'jana@example.org' }, '10.0.0.2');
+  assert.equal(r.status, 200);
+  assert.equal(r.body.cancellation.status, 'cancelled');
+  assert.equal(r.body.cancellation.cancelled, true);
+  assert.equal(r.body.cancellation.fee.amount, 0);
+});
+
+test('an unknown reference and a wrong e-mail get the same answer', async () => {
+  const wrongEmail = await lookup({ bookingReference: '45666CK000940', email: 'someone@example.com' }, '10.0.0.3');
+  const unknownRef = await lookup({ bookingReference: '99999ZZ999999', email: 'max.mustermann@example.com' }, '10.0.0.3');
+  for (const r of [wrongEmail, unknownRef]) {
+    assert.equal(r.status, 404);
+    assert.equal(r.body.type, '/problems/booking-not-found');
+  }
+  assert.equal(wrongEmail.body.detail, unknownRef.body.detail);
+});
+
+test('invalid input is rejected locally', async () => {
+  const seen = mock.server.requests.length;
+  const r = await lookup({ bookingReference: '45666CK000940', email: 'not-an-email' }, '10.0.0.4');
+  assert.equal(r.status, 422);
+  assert.deepEqual(r.body.violations.map((v) => v.propertyPath), ['email']);
+  assert.equal((await lookup({ bookingReference: "1' OR 1=1", email: 'a@b.de' }, '10.0.0.4')).status, 422);
+  assert.equal(mock.server.requests.length, seen);
+});
+
+test('too many failed lookups lock the client out, not everyone', async () => {
+  const miss = (n) => lookup({ bookingReference: `12345AB00000${n}`, email: 'guess@example.com' }, '10.0.0.5');
+  for (const n of [1, 2, 3]) assert.equal((await miss(n)).status, 404);
+  const seen = mock.server.requests.length;
+  const locked = await lookup({ bookingReference: '45666CK000940', email: 'max.mustermann@example.com' }, '10.0.0.5');
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  assert.match(locked.body.detail, /Too many failed attempts/);
+  assert.equal(mock.server.requests.length, seen, 'a locked client must not reach the upstream');
+
+  const other = await lookup({ bookingReference: '45666CK000940', email: 'max.mustermann@example.com' }, '10.0.0.6');
+  assert.equal(other.status, 200);
+});
+
+test('a forged X-Forwarded-For does not make a new client', async () => {
+  const forged = (ip) => lookup({ bookingReference: '12345AB000009', email: 'guess@example.com' }, `${ip}, 10.0.0.7`);
+  for (const ip of ['1.1.1.1', '2.2.2.2', '3.3.3.3']) assert.equal((await forged(ip)).status, 404);
+  assert.equal((await forged('4.4.4.4')).status, 429);
+
+  const { clientId } = require('../lib/ratelimit');
+  const req = { headers: { 'x-forwarded-for': '9.9.9.9' }, socket: { remoteAddress: '127.0.0.1' } };
+  process.env.TRUST_PROXY = '0';
+  try {
+    assert.equal(clientId(req), 'ip:127.0.0.1');
+  } finally {
+    process.env.TRUST_PROXY = '1';
+  }
+  assert.equal(clientId(req), 'ip:9.9.9.9');
+});
+
+test('without AMELLO_BOOKING_PATH a lookup is 501 and nothing is sent', async () => {
+  const seen = mock.server.requests.length;
+  delete process.env.AMELLO_BOOKING_PATH;
+  try {
+    const r = await lookup({ bookingReference: '45666CK000940', email: 'max.mustermann@example.com' }, '10.0.0.8');
+    assert.equal(r.status, 501);
+    assert.equal(r.body.type, '/problems/booking-unavailable');
+  } finally {
+    process.env.AMELLO_BOOKING_PATH = '/api/v1/booking/lookup';
+  }
+  assert.equal(mock.server.requests.length, seen);
+});
+
+test('booking references are masked and e-mails redacted in logs', () => {
+  const { redact } = require('../lib/log');
+  const line = redact({ tool: 'amello.booking_lookup', arguments: { bookingReference: '45666CK000940', email: 'max@example.com' } });
+  assert.deepEqual(line.arguments, { bookingReference: '*********0940', email: '[redacted]' });
+});
@@ -0,0 +1,105 @@
+// test/bridge.test.js
+// The REST bridge (api/bridge/[...route].js) end to end against the mock Amello server.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockAmello, startApp, listen, withBodyParser, request, findHotelsBody, hotelOfferBody } = require('./support/helpers');
+
+let mock, app;
+
+before(async () => {
+  mock = await useMockAmello();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  await mock.close();
+});
+
+const bridge = (route, opts) => request(`${app.url}/api/bridge${route}`, opts);
+
+test('find-hotels returns the upstream results', async () => {
+  const r = await bridge('/find-hotels', { method: 'POST', body: findHotelsBody() });
+  assert.equal(r.status, 200);
+  const hotels = r.body.data.results.map((x) => x.hotel.id);
+  assert.deepEqual(hotels, ['AT-TIR-001', 'AT-SBG-002', 'AT-KTN-003']);
+  assert.ok(r.headers.get('x-correlation-id'));
+  const forwarded = mock.server.requests.at(-1);
+  assert.equal(forwarded.headers['x-correlation-id'], r.headers.get('x-correlation-id'));
+});
+
+test('find-hotels rejects an invalid body locally with a 422 problem', async () => {
+  const seen = mock.server.requests.length;
+  const r = await bridge('/find-hotels', { method: 'POST', body: findHotelsBody({ returnDate: '2030-06-01' }) });
+  assert.equal(r.status, 422);
+  assert.match(r.headers.get('content-type'), /application\/problem\+json/);
+  assert.equal(r.body.type, '/problems/validation-error');
+  assert.ok(r.body.violations.some((v) => v.propertyPath === 'returnDate'));
+  assert.equal(mock.server.requests.length, seen, 'invalid input must not go upstream');
+});
+
+test('find-hotels maps an upstream 422 to a problem with source amello', async () => {
+  const r = await bridge('/find-hotels', { method: 'POST', body: findHotelsBody({ destination: { id: 'ZZ', type: 'country-code' } }) });
+  assert.equal(r.status, 422);
+  assert.equal(r.body.type, '/problems/upstream-error');
+  assert.equal(r.body.source, 'amello');
+  assert.deepEqual(r.body.violations.map((v) => v.propertyPath), ['destination.id']);
+  assert.equal(r.body.instance, '/api/bridge/find-hotels');
+});
+
+test('malformed JSON is a 400 problem', async () => {
+  const r = await bridge('/find-hotels', { method: 'POST', body: '{"destination":' });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.type, '/problems/malformed-json');
+});
+
+test('malformed JSON is a 400 problem behind a platform body parser too', async () => {
+  const parsed = await listen(withBodyParser(require('../api/bridge/[...route]')));
+  try {
+    const r = await request(`${parsed.url}/api/bridge/find-hotels`, { method: 'POST', body: '{"destination":' });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.type, '/problems/malformed-json');
+  } finally {
+    await parsed.close();
+  }
+});
+
+test('hotel-offer returns offers, and a 422 for an unknown hotel', async () => {
+  const ok = await bridge('/hotel-offer', { method: 'POST', body: hotelOfferBody() });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.hotel.id, 'AT-TIR-001');
+  assert.equal(ok.body.offers.length, 3);
+
+  const missing = await bridge('/hotel-offer', { method: 'POST', body: hotelOfferBody({ hotelId: 'XX-NOPE-999' }) });
+  assert.equal(missing.status, 422);
+  assert.equal(missing.body.source, 'amello');
+  assert.equal(missing.body.violations[0].propertyPath, 'hotelId');
+});
+
+test('hotels and currencies are proxied through the cache', async () => {
+  const first = await bridge('/hotels?locale=de_DE&page=1');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.length, 2);
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  const again = await bridge('/hotels?locale=de_DE&page=1');
+  assert.equal(again.headers.get('x-cache'), 'HIT');
+
+  const currencies = await bridge('/currencies?locale=en_DE');
+  assert.equal(currencies.status, 200);
+  assert.ok(currencies.body[0].data.some((c) => c.code === 'EUR'));
+});
+
+test('hotels/search walks the catalog', async () => {
+  const r = await bridge('/hotels/search?locale=de_DE&country=DE');
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.results.map((h) => h.hotelId).sort(), ['DE-BY-004', 'DE-SH-005']);
+});
+
+test('unknown routes and wrong methods are problems', async () => {
+  const missing = await bridge('/nope');
+  assert.equal(missing.status, 404);
+  const wrong = await bridge('/find-hotels');
+  assert.equal(wrong.status, 405);
+  assert.equal(wrong.headers.get('allow'), 'POST');
+});
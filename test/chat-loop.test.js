@@ -0,0 +1,127 @@
+// test/chat-loop.test.js
+// lib/chat-loop.js with the OpenAI-compatible adapter against a scripted LLM, and tools
+// backed by lib/amello.js + lib/views.js against the mock Amello server.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockAmello, findHotelsBody, hotelOfferBody } = require('./support/helpers');
+const { startMockLlm, toolCall } = require('./support/mock-llm');
+
+let mock, chatLoop, llmLib, amello, views;
+
+before(async () => {
+  mock = await useMockAmello();
+  chatLoop = require('../lib/chat-loop');
+  llmLib = require('../lib/llm');
+  amello = require('../lib/amello');
+  views = require('../lib/views');
+});
+
+after(() => mock.close());
+
+const TOOLS = [
+  { name: 'amello.find_hotels_post', description: 'Search hotels', inputSchema: { type: 'object', properties: {} } },
+  { name: 'amello.hotel_offer_post', description: 'Offers for one hotel', inputSchema: { type: 'object', properties: {} } }
+];
+
+// Same shape as the MCP tools' results: JSON text plus structuredContent.
+async function callTool(name, args) {
+  const { view = 'summary', ...body } = args;
+  const out = name === 'amello.find_hotels_post'
+    ? views.viewFindHotels(await amello.findHotels(body), { view })
+    : name === 'amello.hotel_offer_post'
+      ? views.viewHotelOffer(await amello.hotelOffer(body), { view })
+      : null;
+  if (!out) return { content: [{ type: 'text', text: `Unknown tool ${name}` }], isError: true };
+  return { content: [{ type: 'text', text: JSON.stringify(out) }], structuredContent: out, ...(out.status >= 400 ? { isError: true } : {}) };
+}
+
+async function withLlm(script, fn) {
+  const llm = await startMockLlm(script);
+  try {
+    return await fn({ adapter: llmLib.openAIAdapter({ name: 'openai-compatible', url: llm.url, model: 'mock', requireKey: false }), model: 'mock' }, llm);
+  } finally {
+    await llm.close();
+  }
+}
+
+test('search, then offers, then a final answer', async () => {
+  await withLlm([
+    { tool_calls: [toolCall('amello.find_hotels_post', findHotelsBody())] },
+    (body) => {
+      const found = JSON.parse(body.messages.at(-1).content);
+      return { tool_calls: [toolCall('amello.hotel_offer_post', hotelOfferBody({ hotelId: found.hotels[0].hotelId }))] };
+    },
+    { content: 'Das **Hotel Kärnten** ist am günstigsten.' }
+  ], async (llm, server) => {
+    const events = [];
+    const messages = [{ role: 'user', content: 'Günstiges Hotel in Österreich?' }];
+    const out = await chatLoop.runToolLoop({ llm, messages, tools: TOOLS, callTool, stream: true, emit: (type, data) => events.push({ type, ...data }) });
+
+    assert.equal(out.stopReason, 'final');
+    assert.equal(out.reply, 'Das **Hotel Kärnten** ist am günstigsten.');
+    assert.deepEqual(out.usage, { inputTokens: 300, outputTokens: 60 });
+    assert.deepEqual(out.messages.map((m) => m.role), ['user', 'assistant', 'tool', 'assistant', 'tool', 'assistant']);
+    // the cheapest Austrian hotel in the fixtures is AT-KTN-003
+    assert.equal(JSON.parse(out.messages[4].content).hotel.hotelId, 'AT-KTN-003');
+    assert.deepEqual(events.filter((e) => e.type === 'tool_end').map((e) => [e.name, e.ok]), [
+      ['amello.find_hotels_post', true],
+      ['amello.hotel_offer_post', true]
+    ]);
+    assert.equal(events.filter((e) => e.type === 'token').map((e) => e.text).join(''), out.reply);
+    // tool names go over the wire in provider form
+    assert.deepEqual(server.server.requests[0].tools.map((t) => t.function.name), ['amello_find_hotels_post', 'amello_hotel_offer_post']);
+  });
+});
+
+test('upstream validation errors reach the model as tool errors', async () => {
+  await withLlm([
+    { tool_calls: [toolCall('amello.find_hotels_post', findHotelsBody({ destination: { id: 'ZZ', type: 'country-code' } }))] },
+    (body) => {
+      const last = body.messages.at(-1);
+      assert.equal(last.role, 'tool');
+      assert.match(last.content, /Unknown destination/);
+      return { content: 'Dieses Reiseziel kenne ich nicht.' };
+    }
+  ], async (llm) => {
+    const out = await chatLoop.runToolLoop({ llm, messages: [{ role: 'user', content: 'Hotels in ZZ' }], tools: TOOLS, callTool });
+    assert.equal(out.stopReason, 'final');
+    const step = out.trace.find((s) => s.type === 'tool');
+    assert.equal(step.ok, false);
+  });
+});
+
+test('broken tool arguments are repaired before the call', async () => {
+  const broken = JSON.stringify(findHotelsBody()).replace(/\}$/, ',');
+  await withLlm([
+    { tool_calls: [toolCall('amello.find_hotels_post', broken)] },
+    { content: 'Drei Hotels gefunden.' }
+  ], async (llm) => {
+    const out = await chatLoop.runToolLoop({ llm, messages: [{ role: 'user', content: 'Österreich' }], tools: TOOLS, callTool });
+    const step = out.trace.find((s) => s.type === 'tool');
+    assert.equal(step.repaired, true);
+    assert.equal(step.ok, true);
+    assert.doesNotThrow(() => JSON.parse(out.messages[1].tool_calls[0].function.arguments));
+  });
+});
+
+test('the iteration limit stops a model that keeps calling tools', async () => {
+  const again = { tool_calls: [toolCall('amello.find_hotels_post', findHotelsBody())] };
+  await withLlm([again, again, again], async (llm, server) => {
+    const limits = chatLoop.resolveLimits({ maxIterations: 2 });
+    const out = await chatLoop.runToolLoop({ llm, messages: [{ role: 'user', content: 'loop' }], tools: TOOLS, callTool, limits });
+    assert.equal(out.stopReason, 'max_iterations');
+    assert.equal(server.remaining(), 1);
+  });
+});
+
+test('repairArgs keeps every field of a cut-off object and drops trailing prose', () => {
+  const cases = [
+    ['{"a":{"b":1},"c":2,', { a: { b: 1 }, c: 2 }],
+    ['```json\n{"a":1,}\n```', { a: 1 }],
+    ['Here you go: {"a":"b}"} hope that helps', { a: 'b}' }],
+    ["{'x': 1,", { x: 1 }]
+  ];
+  for (const [text, args] of cases) assert.deepEqual(chatLoop.repairArgs(text), { args, repaired: true }, text);
+  assert.ok(chatLoop.repairArgs('not json at all').error);
+});
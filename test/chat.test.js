@@ -0,0 +1,142 @@
+// test/chat.test.js
+// api/chat.js with a scripted OpenAI-compatible LLM (test/support/mock-llm.js). Request
+// handling and sessions, and full turns through the real /api/mcp and the mock Amello server.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockAmello, startApp, request, findHotelsBody } = require('./support/helpers');
+const { startMockLlm, toolCall } = require('./support/mock-llm');
+
+const CHAT_KEY = 'amk_chat_test_key_000000000000';
+const NARROW_KEY = 'amk_chat_narrow_key_0000000000';
+let mock, app;
+
+before(async () => {
+  process.env.MCP_AUTH = 'required';
+  process.env.MCP_INTERNAL_KEY = 'amk_chat_internal_key_00000000';
+  process.env.MCP_API_KEYS = JSON.stringify([
+    { id: 'chat', key: CHAT_KEY, scopes: ['tool:amello.*'] },
+    { id: 'narrow', key: NARROW_KEY, scopes: ['tool:amello.build_party'] }
+  ]);
+  process.env.LLM_PROVIDER = 'openai-compatible';
+  process.env.LOCAL_LLM_MODEL = 'mock';
+  mock = await useMockAmello();
+  app = await startApp();
+  process.env.MCP_URL = `${app.url}/api/mcp`;
+});
+
+after(async () => {
+  await app.close();
+  await mock.close();
+});
+
+const auth = (key = CHAT_KEY) => ({ authorization: `Bearer ${key}` });
+const chat = (body, headers = auth()) => request(`${app.url}/api/chat`, { method: 'POST', body, headers });
+
+// Runs fn with LOCAL_LLM_URL pointing at a fresh scripted LLM.
+async function withLlm(script, fn) {
+  const llm = await startMockLlm(script);
+  process.env.LOCAL_LLM_URL = llm.url;
+  try {
+    return await fn(llm);
+  } finally {
+    await llm.close();
+  }
+}
+
+// "event: x\ndata: {...}" blocks -> [{ event, data }]
+function parseSse(text) {
+  return text.split('\n\n').filter((b) => b.startsWith('event:')).map((block) => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+test('bad requests are rejected before any model call', async () => {
+  assert.equal((await chat('{"message":')).status, 400);
+  const provider = await chat({ message: 'hi', provider: 'nope' });
+  assert.equal(provider.status, 400);
+  assert.match(provider.body.error, /Unknown LLM provider "nope"/);
+  const session = await chat({ message: 'hi', sessionId: 'missing-session' });
+  assert.equal(session.status, 404);
+  assert.equal((await request(`${app.url}/api/chat?sessionId=missing-session`, { headers: auth() })).status, 404);
+  assert.equal((await request(`${app.url}/api/chat`, { method: 'PUT', headers: auth() })).status, 405);
+});
+
+test('a streamed turn with a tool call, then a follow-up in the same session', async () => {
+  await withLlm([
+    { tool_calls: [toolCall('amello.find_hotels_post', { body: findHotelsBody(), view: 'summary' })] },
+    { content: 'Am günstigsten ist das Hotel in Kärnten.' },
+    (body) => {
+      // the stored history, tool result included, is replayed on the second turn
+      assert.ok(body.messages.some((m) => m.role === 'tool' && /AT-KTN-003/.test(m.content)));
+      return { content: 'Ja, mit Frühstück.' };
+    }
+  ], async () => {
+    const res = await fetch(`${app.url}/api/chat`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'text/event-stream', 'x-correlation-id': 'chat-test-0001', ...auth() },
+      body: JSON.stringify({ message: 'Günstiges Hotel in Österreich im Juli?' })
+    });
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    const events = parseSse(await res.text());
+    assert.deepEqual([...new Set(events.map((e) => e.event))], ['session', 'tool_start', 'tool_end', 'token', 'done']);
+    const toolEnd = events.find((e) => e.event === 'tool_end').data;
+    assert.equal(toolEnd.ok, true);
+    assert.equal(toolEnd.result.hotels[0].hotelId, 'AT-KTN-003');
+    const done = events.at(-1).data;
+    assert.equal(done.reply, 'Am günstigsten ist das Hotel in Kärnten.');
+    assert.equal(done.correlationId, 'chat-test-0001');
+    assert.equal(mock.server.requests.at(-1).headers['x-correlation-id'], 'chat-test-0001');
+
+    const next = await chat({ sessionId: done.sessionId, message: 'Ist Frühstück dabei?' });
+    assert.equal(next.status, 200);
+    assert.equal(next.body.reply, 'Ja, mit Frühstück.');
+    const history = await request(`${app.url}/api/chat?sessionId=${done.sessionId}`, { headers: auth() });
+    assert.deepEqual(history.body.messages.map((m) => m.role), ['user', 'assistant', 'tool', 'assistant', 'user', 'assistant']);
+  });
+});
+
+test('the chat needs a key and only offers and runs the tools it is scoped for', async () => {
+  const anonymous = await chat({ message: 'hi' }, {});
+  assert.equal(anonymous.status, 401);
+  assert.match(anonymous.headers.get('www-authenticate'), /^Bearer /);
+  assert.equal((await chat({ message: 'hi' }, auth('amk_wrong'))).status, 401);
+  assert.equal((await request(`${app.url}/api/chat?sessionId=missing-session`)).status, 401);
+
+  await withLlm([
+    (body) => {
+      assert.deepEqual(body.tools.map((t) => t.function.name), ['amello_build_party']);
+      return { tool_calls: [toolCall('amello.find_hotels_post', { body: findHotelsBody() })] };
+    },
+    { content: 'Dafür fehlt mir die Berechtigung.' }
+  ], async () => {
+    const requests = mock.server.requests.length;
+    const r = await chat({ message: 'Hotels in Österreich?' }, auth(NARROW_KEY));
+    assert.equal(r.status, 200);
+    const step = r.body.trace.find((s) => s.type === 'tool');
+    assert.equal(step.ok, false);
+    assert.match(step.error, /Key "narrow" lacks scope tool:amello_find_hotels_post/);
+    assert.equal(mock.server.requests.length, requests);
+  });
+});
+
+test('a session is only visible to the key that started it', async () => {
+  await withLlm([{ content: 'Hallo!' }], async () => {
+    const { body } = await chat({ message: 'Hallo' });
+    const url = `${app.url}/api/chat?sessionId=${body.sessionId}`;
+
+    assert.equal((await request(url, { headers: auth(NARROW_KEY) })).status, 404);
+    assert.equal((await chat({ sessionId: body.sessionId, message: 'Und?' }, auth(NARROW_KEY))).status, 404);
+    assert.equal((await request(url, { method: 'DELETE', headers: auth(NARROW_KEY) })).status, 200);
+
+    // the other key's DELETE did nothing
+    const mine = await request(url, { headers: auth() });
+    assert.equal(mine.status, 200);
+    assert.deepEqual(mine.body.messages.map((m) => m.role), ['user', 'assistant']);
+    assert.equal(mine.body.owner, undefined);
+    await request(url, { method: 'DELETE', headers: auth() });
+    assert.equal((await request(url, { headers: auth() })).status, 404);
+  });
+});
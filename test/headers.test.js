@@ -0,0 +1,85 @@
+// test/headers.test.js
+// lib/headers.js: which caller headers reach Amello and which response headers reach tool output.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockAmello, findHotelsBody } = require('./support/helpers');
+
+let mock, headers, amello;
+
+before(async () => {
+  process.env.AMELLO_API_KEY = 'server-key';
+  process.env.AMELLO_EXTRA_HEADERS = JSON.stringify({ 'X-Partner': 'amello-mcp' });
+  mock = await useMockAmello();
+  headers = require('../lib/headers');
+  amello = require('../lib/amello');
+});
+
+after(async () => {
+  await mock.close();
+});
+
+test('only allowlisted caller headers are passed on', () => {
+  const { headers: allowed, dropped } = headers.callerHeaders({
+    'Accept-Language': 'de-DE',
+    'Idempotency-Key': 'abc',
+    'X-Debug': '1',
+    'X-Injected': 'a\r\nSet-Cookie: x=1'
+  });
+  assert.deepEqual(allowed, { 'accept-language': 'de-DE', 'idempotency-key': 'abc' });
+  assert.deepEqual(dropped.sort(), ['x-debug', 'x-injected']);
+});
+
+test('credentials, hop-by-hop and extra headers cannot be overridden by a caller', () => {
+  const out = headers.upstreamHeaders({ accept: 'application/json' }, {
+    Authorization: 'Bearer stolen',
+    Host: 'evil.test',
+    'X-Forwarded-For': '1.2.3.4',
+    'x-partner': 'someone-else',
+    'Accept-Language': 'en-GB'
+  });
+  assert.deepEqual(out, {
+    accept: 'application/json',
+    'accept-language': 'en-GB',
+    authorization: 'Bearer server-key',
+    'x-partner': 'amello-mcp'
+  });
+});
+
+test('the policy holds on the wire', async () => {
+  const res = await amello.findHotels(findHotelsBody(), {
+    headers: { authorization: 'Bearer stolen', 'Accept-Language': 'fr-FR', 'X-Evil': '1' }
+  });
+  assert.equal(res.status, 200);
+  const sent = mock.server.requests.at(-1).headers;
+  assert.equal(sent.authorization, 'Bearer server-key');
+  assert.equal(sent['accept-language'], 'fr-FR');
+  assert.equal(sent['x-evil'], undefined);
+});
+
+test('cached GETs are keyed by the caller\'s Accept-Language', async () => {
+  const { cachedRequestJson } = require('../lib/cache');
+  const { AMELLO_BASE_URL } = require('../lib/upstream');
+  const url = `${AMELLO_BASE_URL}/api/v1/currencies?locale=en_DE`;
+  const get = (lang) => cachedRequestJson('currencies', url, {
+    method: 'GET',
+    headers: headers.upstreamHeaders({ accept: 'application/json' }, { 'Accept-Language': lang })
+  });
+  const seen = mock.server.requests.length;
+  assert.equal((await get('de-DE')).cache.status, 'miss');
+  assert.equal((await get('en-GB')).cache.status, 'miss');
+  assert.equal((await get('EN-GB')).cache.status, 'hit');
+  assert.equal(mock.server.requests.length, seen + 2);
+});
+
+test('response headers are filtered and sensitive ones redacted', () => {
+  const raw = {
+    'Content-Type': 'application/json',
+    ETag: '"v1"',
+    'Set-Cookie': 'session=secret',
+    'X-Internal-Trace': 'node-7'
+  };
+  assert.deepEqual(headers.responseHeaders(raw), { 'content-type': 'application/json', etag: '"v1"' });
+  const res = headers.exposeResponse({ status: 200, headers: raw, data: { ok: true } });
+  assert.deepEqual(res, { status: 200, headers: { 'content-type': 'application/json', etag: '"v1"' }, data: { ok: true } });
+});
@@ -0,0 +1,200 @@
+// test/mcp-bridge.test.js
+// /api/mcp-bridge and /api/mcp-bridge-openapi against a scripted JSON-RPC endpoint standing
+// in for /api/mcp: catalog filtering, single and batch calls, per-call errors and the
+// concurrency limit. The real /api/mcp is covered by test/mcp.test.js.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, listen, request } = require('./support/helpers');
+
+const FULL_KEY = 'amk_test_full_0123456789';
+const NARROW_KEY = 'amk_test_narrow_0123456789';
+
+const TOOLS = [
+  {
+    name: 'amello.build_party',
+    title: 'Build roomConfigurations from a traveller party',
+    description: 'Turns "2 adults and a 6 year old" into roomConfigurations.',
+    inputSchema: { $schema: 'http://json-schema.org/draft-07/schema#', type: 'object', properties: { adults: { type: 'integer' } }, required: ['adults'] }
+  },
+  { name: 'amello.currencies_get', title: 'GET /api/v1/currencies', description: 'x'.repeat(400), inputSchema: { type: 'object', properties: {} } },
+  { name: 'amello.slow', description: 'Answers after a while', inputSchema: { type: 'object' } },
+  { name: 'amello.watch_delete', description: 'Deletes a watch', inputSchema: { type: 'object' } }
+];
+
+let mcp, app;
+let inFlight = 0;
+let maxInFlight = 0;
+
+// tools/list, and tools/call answers chosen by tool name
+async function fakeMcp(req, res) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  const msg = JSON.parse(raw);
+  mcp.server.requests.push({ headers: req.headers, body: msg });
+  const reply = (result) => {
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: msg.id, result }));
+  };
+  if (msg.method === 'tools/list') return reply({ tools: TOOLS });
+
+  const { name, arguments: args } = msg.params;
+  if (name === 'amello.slow') {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((r) => setTimeout(r, 30));
+    inFlight--;
+    return reply({ content: [{ type: 'text', text: 'ok' }], structuredContent: { n: args.n } });
+  }
+  if (name === 'amello.build_party' && args.adults > 4) {
+    return reply({
+      content: [{ type: 'text', text: 'Rate limit exceeded for tool:amello.build_party' }],
+      isError: true,
+      _meta: { 'amello/rateLimit': { allowed: false, limit: 1, remaining: 0, reset: 60, retryAfter: 60, policy: '1;w=60' } }
+    });
+  }
+  if (name === 'amello.build_party' && typeof args.adults !== 'number') {
+    return reply({ content: [{ type: 'text', text: 'MCP error -32602: Input validation error: Expected number at adults' }], isError: true });
+  }
+  if (name === 'amello.build_party') return reply({ content: [], structuredContent: { roomConfigurations: [{ adults: args.adults }] } });
+  if (name === 'amello.watch_delete') {
+    return reply({ content: [{ type: 'text', text: `No watch ${args.watchId}` }], isError: true, _meta: { 'amello/status': 404 } });
+  }
+  if (name === 'amello.gone') {
+    res.setHeader('content-type', 'application/json');
+    return res.end(JSON.stringify({ jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: 'Method not found' } }));
+  }
+  res.statusCode = 500;
+  res.end('boom');
+}
+
+before(async () => {
+  process.env.MCP_AUTH = 'required';
+  process.env.MCP_API_KEYS = JSON.stringify([
+    { id: 'full', key: FULL_KEY, scopes: ['tool:amello.*'] },
+    { id: 'narrow', key: NARROW_KEY, scopes: ['tool:amello.build_party'] }
+  ]);
+  process.env.MCP_BRIDGE_MAX_BATCH = '5';
+  process.env.MCP_BRIDGE_CONCURRENCY = '2';
+  mcp = await listen(fakeMcp);
+  mcp.server.requests = [];
+  process.env.MCP_ENDPOINT = `${mcp.url}/api/mcp`;
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  await mcp.close();
+});
+
+const bridge = (path, { key = FULL_KEY, ...init } = {}) =>
+  request(`${app.url}/api/mcp-bridge${path}`, { ...init, headers: key ? { authorization: `Bearer ${key}` } : {} });
+
+test('the catalog lists only the tools a key may call', async () => {
+  const full = await bridge('');
+  assert.equal(full.status, 200);
+  assert.deepEqual(full.body.tools.map((t) => t.name), TOOLS.map((t) => t.name));
+  assert.deepEqual(full.body.batch, { maxCalls: 5, concurrency: 2 });
+  assert.equal(full.body.tools[0].path, '/api/mcp-bridge/amello.build_party');
+
+  const narrow = await bridge('', { key: NARROW_KEY });
+  assert.deepEqual(narrow.body.tools.map((t) => t.name), ['amello.build_party']);
+  assert.equal((await bridge('/amello.currencies_get', { key: NARROW_KEY })).status, 404);
+  assert.equal((await bridge('', { key: null })).status, 401);
+});
+
+test('a tool can be called by path with its arguments as the body', async () => {
+  const r = await bridge('/amello.build_party', { method: 'POST', body: { adults: 2 } });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { roomConfigurations: [{ adults: 2 }] });
+
+  const legacy = await bridge('', { method: 'POST', body: { name: 'amello.build_party', arguments: { adults: 3 } } });
+  assert.deepEqual(legacy.body, { roomConfigurations: [{ adults: 3 }] });
+});
+
+test('a batch returns per-call results and errors in order', async () => {
+  const r = await bridge('', {
+    method: 'POST',
+    key: NARROW_KEY,
+    body: [
+      { name: 'amello.build_party', arguments: { adults: 2 } },
+      { name: 'amello.currencies_get', arguments: {} },
+      { name: 'amello.build_party', arguments: { adults: 9 } },
+      { arguments: {} }
+    ]
+  });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.results.map((x) => [x.name, x.status]), [
+    ['amello.build_party', 200],
+    ['amello.currencies_get', 403],
+    ['amello.build_party', 429],
+    [null, 400]
+  ]);
+  assert.deepEqual(r.body.results[0].result, { roomConfigurations: [{ adults: 2 }] });
+  assert.equal(r.body.results[1].error.type, '/problems/forbidden');
+  assert.equal(r.body.results[2].error.type, '/problems/rate-limited');
+  assert.equal(r.body.results[2].error.retryAfter, 60);
+});
+
+test('failed calls are problems with the status of their MCP error', async () => {
+  const throttled = await bridge('/amello.build_party', { method: 'POST', body: { adults: 9 } });
+  assert.equal(throttled.status, 429);
+  assert.match(throttled.headers.get('content-type'), /application\/problem\+json/);
+  assert.equal(throttled.headers.get('retry-after'), '60');
+  assert.equal(throttled.body.instance, '/api/mcp-bridge/amello.build_party');
+
+  const invalid = await bridge('/amello.build_party', { method: 'POST', body: { adults: 'two' } });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.type, '/problems/validation-error');
+  assert.equal(invalid.body.detail, 'Input validation error: Expected number at adults');
+
+  const missing = await bridge('/amello.watch_delete', { method: 'POST', body: { watchId: 'nope' } });
+  assert.deepEqual([missing.status, missing.body.detail], [404, 'No watch nope']);
+
+  const gone = await bridge('', { method: 'POST', body: { name: 'amello.gone' } });
+  assert.equal(gone.status, 404);
+  assert.equal((await bridge('', { method: 'POST', key: null, body: { name: 'amello.gone' } })).body.type, '/problems/unauthorized');
+});
+
+test('batch calls run concurrently up to the limit and keep their order', async () => {
+  maxInFlight = 0;
+  const before = mcp.server.requests.length;
+  const calls = [1, 2, 3, 4, 5].map((n) => ({ name: 'amello.slow', arguments: { n } }));
+  const r = await bridge('', { method: 'POST', body: { calls } });
+  assert.deepEqual(r.body.results.map((x) => x.result.n), [1, 2, 3, 4, 5]);
+  assert.equal(maxInFlight, 2);
+  const ids = mcp.server.requests.slice(before).map((x) => x.body.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('an upstream failure fails only its own call', async () => {
+  const r = await bridge('', { method: 'POST', body: [{ name: 'amello.unknown' }, { name: 'amello.build_party', arguments: { adults: 1 } }] });
+  assert.equal(r.body.results[0].status, 500);
+  assert.match(r.body.results[0].error.detail, /HTTP 500/);
+  assert.equal(r.body.results[1].status, 200);
+});
+
+test('oversized, empty and malformed batches are rejected', async () => {
+  const six = Array.from({ length: 6 }, () => ({ name: 'amello.build_party', arguments: { adults: 1 } }));
+  assert.equal((await bridge('', { method: 'POST', body: six })).status, 400);
+  assert.equal((await bridge('', { method: 'POST', body: [] })).status, 400);
+  assert.equal((await bridge('', { method: 'POST', body: '{"calls": [' })).status, 400);
+});
+
+test('the OpenAPI document has one operation per tool', async () => {
+  const r = await request(`${app.url}/api/mcp-bridge-openapi`);
+  assert.equal(r.status, 200);
+  const op = r.body.paths['/api/mcp-bridge/amello.build_party'].post;
+  assert.equal(op.operationId, 'amello_build_party');
+  assert.deepEqual(op.requestBody.content['application/json'].schema, {
+    type: 'object', properties: { adults: { type: 'integer' } }, required: ['adults']
+  });
+  assert.ok(r.body.paths['/api/mcp-bridge/amello.slow'].post);
+  assert.ok(op.responses['422'].content['application/problem+json']);
+  assert.equal(r.body.paths['/api/mcp-bridge/amello.currencies_get'].post.description.length, 300);
+  assert.deepEqual(Object.keys(r.body.paths['/api/mcp-bridge']).sort(), ['get', 'post']);
+  assert.ok(r.body.components.securitySchemes.ApiKeyBearer);
+
+  const ids = Object.values(r.body.paths).flatMap((item) => Object.values(item).map((o) => o.operationId));
+  assert.equal(new Set(ids).size, ids.length);
+});
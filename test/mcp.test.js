@@ -0,0 +1,289 @@
+// test/mcp.test.js
+// /api/mcp over HTTP against the mock Amello server: auth (bearer and signed), rate limiting, correlation ids
+// and every tool. The throttling test uses its own key so its tool bucket is not shared.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockAmello, startApp, listen, withBodyParser, request, findHotelsBody, hotelOfferBody } = require('./support/helpers');
+
+const FULL_KEY = 'amk_test_full_0123456789';
+const NARROW_KEY = 'amk_test_narrow_0123456789';
+const THROTTLED_KEY = 'amk_test_throttled_0123456789';
+const HMAC_SECRET = 'hmac-test-secret';
+
+let mock, app;
+
+before(async () => {
+  process.env.MCP_AUTH = 'required';
+  process.env.MCP_API_KEYS = JSON.stringify([
+    { id: 'full', key: FULL_KEY, scopes: ['tool:amello.*'] },
+    { id: 'narrow', key: NARROW_KEY, scopes: ['tool:amello.currencies_get'] },
+    { id: 'throttled', key: THROTTLED_KEY, scopes: ['tool:amello.build_party'] },
+    { id: 'signed', key: 'amk_test_signed_0123456789', scopes: ['tool:amello.*'], hmacSecret: HMAC_SECRET }
+  ]);
+  process.env.AMELLO_BOOKING_PATH = '/api/v1/booking/lookup';
+  process.env.RATE_LIMIT = 'on';
+  process.env.RATE_LIMITS = JSON.stringify({ default: { capacity: 1000, perMinute: 1000 }, 'tool:amello.build_party': { capacity: 1, perMinute: 1 } });
+  mock = await useMockAmello();
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  await mock.close();
+});
+
+let nextId = 1;
+const call = (name, args) => ({ jsonrpc: '2.0', id: nextId++, method: 'tools/call', params: { name, arguments: args } });
+
+function rpc(body, key = FULL_KEY) {
+  return request(`${app.url}/api/mcp`, {
+    method: 'POST',
+    body,
+    headers: { accept: 'application/json, text/event-stream', ...(key ? { authorization: `Bearer ${key}` } : {}) }
+  });
+}
+
+// tools/call -> structuredContent (or the parsed text) of a successful call
+async function callTool(name, args) {
+  const r = await rpc(call(name, args));
+  assert.equal(r.status, 200);
+  assert.ok(r.body.result, JSON.stringify(r.body.error));
+  return r.body.result;
+}
+
+// ---- auth, limits and correlation ----
+
+test('GET answers a smoke-test payload', async () => {
+  const r = await request(`${app.url}/api/mcp`);
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { ok: true, endpoint: '/api/mcp', method: 'GET' });
+});
+
+test('tools/call without a key is a JSON-RPC 401', async () => {
+  const r = await rpc(call('amello.currencies_get', { query: { locale: 'de_DE' } }), null);
+  assert.equal(r.status, 401);
+  assert.equal(r.body.error.code, -32001);
+  assert.match(r.headers.get('www-authenticate'), /Bearer/);
+});
+
+test('a key without the tool scope is a JSON-RPC 403', async () => {
+  const r = await rpc(call('amello.find_hotels_post', { body: findHotelsBody() }), NARROW_KEY);
+  assert.equal(r.status, 403);
+  assert.equal(r.body.error.code, -32003);
+  assert.equal(r.body.error.data.scope, 'tool:amello.find_hotels_post');
+});
+
+// Signs exactly `raw`, so whitespace and key order must survive until the HMAC check.
+function signedRpc(raw, { signedBody = raw } = {}) {
+  const { signRequest } = require('../lib/auth');
+  const timestamp = Math.floor(Date.now() / 1000);
+  return request(`${app.url}/api/mcp`, {
+    method: 'POST',
+    body: raw,
+    headers: {
+      accept: 'application/json, text/event-stream',
+      'x-amello-key-id': 'signed',
+      'x-amello-timestamp': String(timestamp),
+      'x-amello-signature': signRequest({ secret: HMAC_SECRET, timestamp, method: 'POST', path: '/api/mcp', body: signedBody })
+    }
+  });
+}
+
+test('a signed request is checked against the body bytes as sent', async () => {
+  const raw = '{ "params": { "arguments": { "adults": 2 }, "name": "amello.build_party" },\n  "method": "tools/call", "id": 7, "jsonrpc": "2.0" }\n';
+  const ok = await signedRpc(raw);
+  assert.equal(ok.status, 200, JSON.stringify(ok.body));
+  assert.equal(ok.body.id, 7);
+
+  const tampered = await signedRpc(raw.replace('"adults": 2', '"adults": 3'), { signedBody: raw });
+  assert.equal(tampered.status, 401);
+  assert.match(tampered.body.error.message, /Invalid request signature/);
+});
+
+test('with a platform body parser, the stream is read before the parsed body', async () => {
+  const { Readable } = require('node:stream');
+  const { authenticate, signRequest } = require('../lib/auth');
+  const raw = '{ "jsonrpc": "2.0",  "id": 1, "method": "tools/list" }';
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signed = (req) => Object.assign(req, {
+    method: 'POST',
+    url: '/api/mcp',
+    headers: {
+      'x-amello-key-id': 'signed',
+      'x-amello-timestamp': String(timestamp),
+      'x-amello-signature': signRequest({ secret: HMAC_SECRET, timestamp, method: 'POST', path: '/api/mcp', body: raw })
+    }
+  });
+
+  // a lazy req.body getter (as on Vercel) is never touched while the stream is unread
+  const lazy = signed(Readable.from([raw]));
+  Object.defineProperty(lazy, 'body', { get() { throw new Error('req.body must not be read'); } });
+  assert.equal((await authenticate(lazy)).id, 'signed');
+  assert.equal(lazy.rawBody, raw);
+
+  // an already consumed stream leaves only the re-serialized body, which cannot be verified
+  const parsed = signed({ readableEnded: true, body: JSON.parse(raw) });
+  await assert.rejects(authenticate(parsed), { status: 401, message: /NODEJS_HELPERS=0/ });
+});
+
+test('a malformed body is a JSON-RPC parse error, with or without a platform body parser', async () => {
+  const parsed = await listen(withBodyParser(require('../api/mcp')));
+  try {
+    for (const url of [app.url, parsed.url]) {
+      const r = await request(`${url}/api/mcp`, { method: 'POST', body: '{"jsonrpc":', headers: { authorization: `Bearer ${FULL_KEY}` } });
+      assert.equal(r.status, 400);
+      assert.equal(r.body.error.code, -32700);
+      assert.equal(r.body.id, null);
+    }
+  } finally {
+    await parsed.close();
+  }
+});
+
+test('production needs MCP_AUTH=off to run without keys', () => {
+  const { authEnabled } = require('../lib/auth');
+  const saved = { ...process.env };
+  try {
+    delete process.env.MCP_AUTH;
+    delete process.env.MCP_API_KEYS;
+    assert.equal(authEnabled(), false);
+    process.env.NODE_ENV = 'production';
+    assert.equal(authEnabled(), true);
+    process.env.MCP_AUTH = 'off';
+    assert.equal(authEnabled(), false);
+  } finally {
+    for (const k of ['MCP_AUTH', 'MCP_API_KEYS', 'NODE_ENV']) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+  }
+});
+
+test('a throttled call in a batch becomes a tool error with retry information', async () => {
+  const batch = [call('amello.build_party', { adults: 2 }), call('amello.build_party', { adults: 1 })];
+  const r = await rpc(batch, THROTTLED_KEY);
+  assert.equal(r.status, 200);
+  const throttled = r.body.find((m) => m.result?.isError);
+  assert.match(throttled.result.content[0].text, /Rate limit exceeded for amello.build_party/);
+  assert.equal(throttled.result._meta['amello/rateLimit'].allowed, false);
+  assert.equal(r.body.find((m) => m !== throttled).error.code, -32000);
+
+  // the call that was not processed gave its token back
+  const retry = await rpc(call('amello.build_party', { adults: 2 }), THROTTLED_KEY);
+  assert.ok(retry.body.result.structuredContent, JSON.stringify(retry.body));
+});
+
+test('a correlation id in _meta is adopted when there is no header', async () => {
+  const msg = call('amello.currencies_get', { query: { locale: 'de_DE' } });
+  msg.params._meta = { 'amello/correlationId': 'test-correlation-0001' };
+  const r = await rpc(msg, null);
+  assert.equal(r.headers.get('x-correlation-id'), 'test-correlation-0001');
+});
+
+// ---- tools ----
+
+test('tools/list names every tool', async () => {
+  const r = await rpc({ jsonrpc: '2.0', id: nextId++, method: 'tools/list', params: {} });
+  const names = r.body.result.tools.map((x) => x.name);
+  for (const name of ['amello.find_hotels_post', 'amello.hotel_offer_post', 'amello.hotels_get', 'amello.hotels_search', 'amello.currencies_get', 'amello.build_party', 'amello.convert_price']) {
+    assert.ok(names.includes(name), name);
+  }
+});
+
+test('amello.find_hotels_post summary view', async () => {
+  const out = (await callTool('amello.find_hotels_post', { body: findHotelsBody(), view: 'summary' })).structuredContent;
+  assert.equal(out.status, 200);
+  assert.equal(out.count, 3);
+  assert.equal(out.hotels[0].hotelId, 'AT-KTN-003');
+});
+
+test('amello.find_hotels_post passes an upstream 422 through', async () => {
+  const out = (await callTool('amello.find_hotels_post', { body: findHotelsBody({ destination: { id: 'ZZ', type: 'country-code' } }), view: 'summary' })).structuredContent;
+  assert.equal(out.status, 422);
+  assert.equal(out.error.violations[0].propertyPath, 'destination.id');
+});
+
+test('stays that end before they start are rejected without an upstream call', async () => {
+  const seen = mock.server.requests.length;
+  const backwards = { departureDate: '2030-07-05', returnDate: '2030-07-01' };
+  for (const [name, body] of [['amello.find_hotels_post', findHotelsBody(backwards)], ['amello.hotel_offer_post', hotelOfferBody(backwards)]]) {
+    const out = await callTool(name, { body });
+    assert.equal(out.isError, true, name);
+    assert.match(out.content[0].text, /body\.returnDate: returnDate must be after departureDate/);
+    assert.equal(out._meta['amello/status'], 422);
+  }
+  const watch = await callTool('amello.watch_create', { tool: 'amello.hotel_offer_post', query: hotelOfferBody(backwards), dropPercent: 10 });
+  assert.equal(watch.isError, true);
+  assert.match(watch.content[0].text, /query\.returnDate/);
+  assert.equal(mock.server.requests.length, seen);
+});
+
+test('view "fields" needs at least one field', async () => {
+  const empty = await callTool('amello.find_hotels_post', { body: findHotelsBody(), view: 'fields', fields: [] });
+  assert.equal(empty.isError, true);
+  assert.match(empty.content[0].text, /- fields: view "fields" needs at least one dot path/);
+  const out = (await callTool('amello.find_hotels_post', { body: findHotelsBody(), view: 'fields', fields: ['hotelId'] })).structuredContent;
+  assert.equal(out.view, 'fields');
+});
+
+test('amello.hotel_offer_post summary view', async () => {
+  const out = (await callTool('amello.hotel_offer_post', { body: hotelOfferBody(), view: 'summary' })).structuredContent;
+  assert.equal(out.hotel.hotelId, 'AT-TIR-001');
+  assert.equal(out.count, 3);
+});
+
+test('amello.hotels_get, hotels_search and currencies_get', async () => {
+  const page = (await callTool('amello.hotels_get', { query: { locale: 'de_DE', page: 3 } })).structuredContent;
+  assert.deepEqual(page.data.map((x) => x.data.id), ['DE-SH-005', 'IT-TAA-006']);
+  const found = (await callTool('amello.hotels_search', { query: { locale: 'de_DE', country: 'IT' } })).structuredContent;
+  assert.deepEqual(found.results.map((h) => h.hotelId), ['IT-TAA-006']);
+  const currencies = (await callTool('amello.currencies_get', { query: { locale: 'en_DE' } })).structuredContent;
+  assert.ok(currencies.data[0].data.some((c) => c.code === 'JPY'));
+});
+
+test('hotels_search with refresh fetches the catalog pages again', async () => {
+  const pageRequests = () => mock.server.requests.filter((r) => r.path === '/api/v1/hotels').length;
+  const search = (refresh) => callTool('amello.hotels_search', { query: { locale: 'de_DE', country: 'IT', refresh } });
+  await search(false);
+  const before = pageRequests();
+  await search(false);
+  assert.equal(pageRequests(), before, 'the index is reused');
+  const refreshed = (await search(true)).structuredContent;
+  assert.ok(pageRequests() > before, 'refresh must not be answered from the response cache');
+  assert.deepEqual(refreshed.results.map((h) => h.hotelId), ['IT-TAA-006']);
+});
+
+test('amello.build_party and amello.convert_price', async () => {
+  const party = (await callTool('amello.build_party', { description: '2 adults and a child aged 6' })).structuredContent;
+  assert.equal(party.roomConfigurations[0].travellers.adultCount, 2);
+  const price = (await callTool('amello.convert_price', { amount: 100, from: 'EUR', to: 'EUR' })).structuredContent;
+  assert.equal(price.to.amount, 100);
+});
+
+test('amello.booking_lookup finds a booking and hides whether a reference exists', async () => {
+  const found = (await callTool('amello.booking_lookup', { bookingReference: '45666CK000940', email: 'max.mustermann@example.com' })).structuredContent;
+  assert.equal(found.hotel.hotelId, 'AT-TIR-001');
+  assert.equal(found.contact.email, 'm***@example.com');
+  const missing = await callTool('amello.booking_lookup', { bookingReference: '45666CK000940', email: 'other@example.com' });
+  assert.equal(missing.isError, true);
+  assert.match(missing.content[0].text, /No booking matches/);
+});
+
+test('amello.watch_create, watch_list and watch_delete manage the caller\'s watches', async () => {
+  const created = (await callTool('amello.watch_create', { tool: 'amello.hotel_offer_post', query: hotelOfferBody(), dropPercent: 10 })).structuredContent;
+  assert.equal(created.status, 'active');
+  const listed = (await callTool('amello.watch_list', {})).structuredContent;
+  assert.deepEqual(listed.watches.map((w) => w.id), [created.id]);
+  const invalid = await callTool('amello.watch_create', { tool: 'amello.find_hotels_post', query: hotelOfferBody() });
+  assert.equal(invalid.isError, true);
+  assert.match(invalid.content[0].text, /query\.destination/);
+  assert.equal(invalid._meta['amello/status'], 422);
+  // "tool" picks the query schema, so a find-hotels query with a hotelId keeps its destination
+  const search = (await callTool('amello.watch_create', {
+    tool: 'amello.find_hotels_post', query: { ...findHotelsBody(), hotelId: 'AT-TIR-001' }, hotelId: 'AT-TIR-001', belowPrice: 500
+  })).structuredContent;
+  assert.deepEqual(search.query.destination, findHotelsBody().destination);
+  await callTool('amello.watch_delete', { watchId: search.id });
+  assert.deepEqual((await callTool('amello.watch_delete', { watchId: created.id })).structuredContent, { deleted: true, watchId: created.id });
+});
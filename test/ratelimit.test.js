@@ -0,0 +1,91 @@
+// test/ratelimit.test.js
+// lib/ratelimit.js on the memory store: token buckets, daily quotas, refunds and the
+// quota rollover at UTC midnight. The clock is frozen with a Date.now mock.
+
+const { test, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/helpers');
+
+let ratelimit;
+let now;
+
+before(() => {
+  process.env.RATE_LIMIT = 'on';
+  process.env.RATE_LIMITS = JSON.stringify({
+    'tool:test.rate': { capacity: 2, perMinute: 1 },
+    // refills too slowly to matter within a test
+    'tool:test.quota': { capacity: 3, perMinute: 0.0001 }
+  });
+  process.env.RATE_QUOTAS = JSON.stringify({ 'tool:test.quota': 2 });
+  ratelimit = require('../lib/ratelimit');
+});
+
+beforeEach(() => {
+  ratelimit.setStore(ratelimit.memoryStore());
+  now = Date.UTC(2030, 6, 1, 23, 59, 0);
+  mock.method(Date, 'now', () => now);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('consume takes tokens until the bucket is empty, which refills over time', async () => {
+  const first = await ratelimit.consume('c1', 'tool:test.rate');
+  assert.deepEqual([first.allowed, first.kind, first.remaining], [true, 'rate', 1]);
+  assert.equal((await ratelimit.consume('c1', 'tool:test.rate')).allowed, true);
+
+  const refused = await ratelimit.consume('c1', 'tool:test.rate');
+  assert.deepEqual([refused.allowed, refused.kind, refused.retryAfter], [false, 'rate', 60]);
+  assert.equal((await ratelimit.consume('c2', 'tool:test.rate')).allowed, true, 'buckets are per client');
+
+  now += 60000;
+  assert.equal((await ratelimit.consume('c1', 'tool:test.rate')).allowed, true);
+});
+
+test('a call refused by the quota does not drain the bucket', async () => {
+  assert.equal((await ratelimit.consume('c1', 'tool:test.quota')).allowed, true);
+  assert.equal((await ratelimit.consume('c1', 'tool:test.quota')).allowed, true);
+  for (let i = 0; i < 3; i++) {
+    const refused = await ratelimit.consume('c1', 'tool:test.quota');
+    assert.deepEqual([refused.allowed, refused.kind, refused.limit, refused.retryAfter], [false, 'quota', 2, 60]);
+  }
+
+  // next UTC day: the quota starts over and the token left before the refusals is still there
+  now += 60000;
+  const next = await ratelimit.consume('c1', 'tool:test.quota');
+  assert.deepEqual([next.allowed, next.kind, next.remaining], [true, 'rate', 0]);
+});
+
+test('the daily quota rolls over at UTC midnight', async () => {
+  await ratelimit.consume('c1', 'tool:test.quota');
+  await ratelimit.consume('c1', 'tool:test.quota');
+  assert.equal((await ratelimit.consume('c1', 'tool:test.quota')).kind, 'quota');
+
+  now = Date.UTC(2030, 6, 2, 0, 0, 1);
+  ratelimit.setStore(ratelimit.memoryStore()); // full buckets; only the quota matters here
+  assert.equal((await ratelimit.consume('c1', 'tool:test.quota')).allowed, true);
+  assert.equal((await ratelimit.consume('c1', 'tool:test.quota')).allowed, true);
+  const refused = await ratelimit.consume('c1', 'tool:test.quota');
+  assert.equal(refused.kind, 'quota');
+  assert.equal(refused.retryAfter, 86399);
+});
+
+test('refund returns the token and the quota slot of a call that was not made', async () => {
+  await ratelimit.consume('c1', 'tool:test.quota');
+  await ratelimit.consume('c1', 'tool:test.quota');
+  await ratelimit.refund('c1', 'tool:test.quota');
+  await ratelimit.refund('c1', 'tool:test.quota');
+
+  const again = await ratelimit.consume('c1', 'tool:test.quota');
+  assert.deepEqual([again.allowed, again.remaining], [true, 2]);
+  assert.equal((await ratelimit.consume('c1', 'tool:test.quota')).allowed, true);
+  assert.equal((await ratelimit.consume('c1', 'tool:test.quota')).kind, 'quota');
+});
+
+test('with RATE_LIMIT=off nothing is counted', async () => {
+  process.env.RATE_LIMIT = 'off';
+  try {
+    for (let i = 0; i < 5; i++) assert.equal((await ratelimit.consume('c1', 'tool:test.rate')).allowed, true);
+  } finally {
+    process.env.RATE_LIMIT = 'on';
+  }
+});
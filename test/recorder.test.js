@@ -0,0 +1,76 @@
+// test/recorder.test.js
+// lib/recorder.js through lib/upstream.js: record against the mock, replay without it.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { useMockAmello, findHotelsBody } = require('./support/helpers');
+
+let mock, dir, recorder, amello, UpstreamError;
+
+before(async () => {
+  mock = await useMockAmello();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amello-fixtures-'));
+  process.env.AMELLO_FIXTURE_DIR = dir;
+  process.env.AMELLO_BOOKING_PATH = '/api/v1/booking/lookup';
+  recorder = require('../lib/recorder');
+  amello = require('../lib/amello');
+  ({ UpstreamError } = require('../lib/upstream'));
+});
+
+after(async () => {
+  process.env.AMELLO_FIXTURE_MODE = 'off';
+  await mock.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('request keys ignore query order, body key order and host', () => {
+  const a = recorder.requestKey('http://a.test/api/v1/hotels?page=2&locale=de_DE');
+  const b = recorder.requestKey('https://b.test/api/v1/hotels?locale=de_DE&page=2');
+  assert.deepEqual(a, b);
+  const post = (body) => recorder.requestKey('http://a.test/api/v1/find-hotels', { method: 'post', body });
+  assert.equal(recorder.fixtureFile(post('{"x":1,"y":{"b":2,"a":1}}'), dir), recorder.fixtureFile(post('{"y":{"a":1,"b":2},"x":1}'), dir));
+  assert.notEqual(recorder.fixtureFile(post('{"x":1}'), dir), recorder.fixtureFile(post('{"x":2}'), dir));
+});
+
+test('record writes one fixture per request, replay serves it without the network', async () => {
+  process.env.AMELLO_FIXTURE_MODE = 'record';
+  const live = await amello.findHotels(findHotelsBody());
+  assert.equal(live.status, 200);
+  const rejected = await amello.findHotels(findHotelsBody({ destination: { id: 'ZZ', type: 'country-code' } }));
+  assert.equal(rejected.status, 422);
+  const files = fs.readdirSync(dir);
+  assert.equal(files.length, 2);
+  assert.ok(files.every((f) => f.startsWith('POST_api-v1-find-hotels_')));
+  const stored = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+  assert.deepEqual(Object.keys(stored.response.headers), ['content-type']);
+
+  process.env.AMELLO_FIXTURE_MODE = 'replay';
+  const seen = mock.server.requests.length;
+  const replayed = await amello.findHotels({ ...findHotelsBody(), locale: 'de_DE' });
+  assert.equal(replayed.status, 200);
+  assert.deepEqual(replayed.data, live.data);
+  const replayedError = await amello.findHotels(findHotelsBody({ destination: { id: 'ZZ', type: 'country-code' } }));
+  assert.equal(replayedError.status, 422);
+  assert.equal(replayedError.data.violations[0].propertyPath, 'destination.id');
+  assert.equal(mock.server.requests.length, seen, 'replay must not reach the upstream');
+});
+
+test('replay fails with REPLAY_MISS for a request that was never recorded', async () => {
+  process.env.AMELLO_FIXTURE_MODE = 'replay';
+  await assert.rejects(
+    amello.findHotels(findHotelsBody({ currency: 'CHF' })),
+    (e) => e instanceof UpstreamError && e.code === 'REPLAY_MISS' && /POST \/api\/v1\/find-hotels/.test(e.message)
+  );
+});
+
+test('booking lookups are never recorded', async () => {
+  process.env.AMELLO_FIXTURE_MODE = 'record';
+  const before = fs.readdirSync(dir).length;
+  const { lookupBooking } = require('../lib/booking');
+  const r = await lookupBooking({ bookingReference: '45666CK000940', email: 'max.mustermann@example.com' }, { client: 'test:recorder' });
+  assert.equal(r.status, 200);
+  assert.equal(fs.readdirSync(dir).length, before);
+});
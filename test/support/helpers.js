@@ -0,0 +1,99 @@
+// test/support/helpers.js
+// Shared setup for the node:test suites. Every test file runs in its own process, so a
+// file points the app at its mock servers through env vars before requiring any app module.
+
+const http = require('node:http');
+const { startMockAmello } = require('../../scripts/mock-amello');
+
+// Quiet, deterministic defaults; a test may still override them before requiring modules.
+const TEST_ENV = {
+  LOG_LEVEL: 'silent',
+  RATE_LIMIT: 'off',
+  MCP_AUTH: 'off',
+  AMELLO_RETRIES: '0',
+  AMELLO_CACHE_BACKEND: 'memory',
+  AMELLO_RATE_SOURCE: 'fixture',
+  AMELLO_FIXTURE_MODE: 'off',
+  WATCH_STORE: 'memory'
+};
+for (const [k, v] of Object.entries(TEST_ENV)) if (process.env[k] === undefined) process.env[k] = v;
+
+/** Starts the Amello stand-in and points AMELLO_BASE_URL at it. */
+async function useMockAmello(opts) {
+  const mock = await startMockAmello(opts);
+  process.env.AMELLO_BASE_URL = mock.url;
+  return mock;
+}
+
+/** Starts the whole app (lib/http-server.js) on a free port; resolves to { url, server, close }. */
+function startApp() {
+  const { createHttpServer } = require('../../lib/http-server');
+  return serve(createHttpServer());
+}
+
+/** Serves a (req, res) handler on a free port; resolves to { url, server, close }. */
+function listen(handler) {
+  return serve(http.createServer(handler));
+}
+
+/**
+ * Wraps a handler the way Vercel's Node helpers do: the stream is read before the handler
+ * runs and req.body is a lazy getter that parses JSON bodies (and throws on malformed ones).
+ */
+function withBodyParser(handler) {
+  return (req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      Object.defineProperty(req, 'body', {
+        get() { return /json/.test(req.headers['content-type'] || '') && text ? JSON.parse(text) : text; }
+      });
+      handler(req, res);
+    });
+  };
+}
+
+function serve(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ url, server, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+}
+
+/** fetch() that resolves to { status, headers, body } with JSON bodies parsed. */
+async function request(url, { method = 'GET', body, headers = {} } = {}) {
+  const res = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const text = await res.text();
+  let parsed = text;
+  try { parsed = JSON.parse(text); } catch {}
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+// ---- request bodies that the mock accepts ----
+const ROOMS = [{ travellers: { id: 1, adultCount: 2, childrenAges: [6] } }];
+
+function findHotelsBody(overrides = {}) {
+  return {
+    destination: { id: 'AT', type: 'country-code' },
+    departureDate: '2030-07-01',
+    returnDate: '2030-07-05',
+    currency: 'EUR',
+    roomConfigurations: ROOMS,
+    locale: 'de_DE',
+    ...overrides
+  };
+}
+
+function hotelOfferBody(overrides = {}) {
+  const { destination, ...body } = findHotelsBody();
+  return { ...body, hotelId: 'AT-TIR-001', ...overrides };
+}
+
+module.exports = { useMockAmello, startApp, listen, withBodyParser, request, findHotelsBody, hotelOfferBody, ROOMS };
@@ -0,0 +1,69 @@
+// test/support/mock-llm.js
+// Scripted stand-in for an OpenAI-compatible /v1/chat/completions endpoint. Each request
+// takes the next turn from the script; a turn is an assistant message ({ content,
+// tool_calls }) or a function (requestBody) -> message that may assert on the request.
+// Streams SSE when asked to.
+// Requests are kept in server.requests (parsed bodies) for assertions.
+
+const http = require('node:http');
+
+/** Assistant turn that calls tools: toolCall('amello.find_hotels_post', {...}). */
+function toolCall(name, args, id = `call_${name.replace(/\W+/g, '_')}`) {
+  return { id, type: 'function', function: { name: name.replace(/[^A-Za-z0-9_-]/g, '_'), arguments: typeof args === 'string' ? args : JSON.stringify(args) } };
+}
+
+function startMockLlm(script) {
+  const turns = [...script];
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      requests.push(body);
+      const next = turns.shift();
+      if (!next) {
+        res.statusCode = 500;
+        return res.end(JSON.stringify({ error: { message: 'mock LLM script exhausted' } }));
+      }
+      let message;
+      try {
+        message = { role: 'assistant', content: '', ...(typeof next === 'function' ? next(body) : next) };
+      } catch (e) {
+        // a failed assertion in a scripted turn surfaces as a provider error in the test
+        res.statusCode = 500;
+        return res.end(JSON.stringify({ error: { message: `mock LLM turn failed: ${e.message}` } }));
+      }
+      const usage = { prompt_tokens: 100, completion_tokens: 20 };
+
+      if (!body.stream) {
+        res.setHeader('Content-Type', 'application/json');
+        return res.end(JSON.stringify({ choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }], usage }));
+      }
+      res.setHeader('Content-Type', 'text/event-stream');
+      const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+      // content in two pieces, tool-call arguments split too, so the client has to stitch them
+      const text = message.content || '';
+      for (const piece of text ? [text.slice(0, Math.ceil(text.length / 2)), text.slice(Math.ceil(text.length / 2))] : []) {
+        if (piece) send({ choices: [{ index: 0, delta: { content: piece } }] });
+      }
+      (message.tool_calls || []).forEach((c, index) => {
+        const args = c.function.arguments;
+        const cut = Math.ceil(args.length / 2);
+        send({ choices: [{ index: 0, delta: { tool_calls: [{ index, id: c.id, type: 'function', function: { name: c.function.name, arguments: args.slice(0, cut) } }] } }] });
+        send({ choices: [{ index: 0, delta: { tool_calls: [{ index, function: { arguments: args.slice(cut) } }] } }] });
+      });
+      send({ choices: [], usage });
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  server.requests = requests;
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+      resolve({ server, url, remaining: () => turns.length, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+}
+
+module.exports = { startMockLlm, toolCall };
@@ -0,0 +1,224 @@
+// test/watch.test.js
+// Price watches (lib/watch.js) through the bridge routes and /api/watch/run, with the file
+// store, the mock Amello server (prices changed between runs) and a local webhook receiver.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { useMockAmello, startApp, listen, request, findHotelsBody, hotelOfferBody } = require('./support/helpers');
+
+const CRON_SECRET = 'cron-secret-0123456789';
+const WEBHOOK_SECRET = 'hook-secret';
+const HOUR_MS = 3600000;
+
+let mock, app, hooks, dir, watch;
+const hotels = structuredClone(require('../fixtures/mock-amello/hotels.json'));
+const received = [];
+let hookStatus = 204;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amello-watches-'));
+  process.env.WATCH_STORE = 'file';
+  process.env.WATCH_DIR = dir;
+  process.env.WATCH_MAX_PER_CLIENT = '3';
+  process.env.WATCH_WEBHOOK_ALLOW_LOCAL = 'on';
+  process.env.WATCH_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  process.env.CRON_SECRET = CRON_SECRET;
+  process.env.TRUST_PROXY = '1';
+  mock = await useMockAmello({ hotels });
+  hooks = await listen(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    received.push({ headers: req.headers, body });
+    res.statusCode = hookStatus;
+    res.end();
+  });
+  app = await startApp();
+  watch = require('../lib/watch');
+});
+
+after(async () => {
+  await app.close();
+  await hooks.close();
+  await mock.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const as = (ip) => ({ 'x-forwarded-for': ip });
+const create = (body, ip = '10.1.0.1') => request(`${app.url}/api/bridge/watches/create`, { method: 'POST', body, headers: as(ip) });
+const list = (ip = '10.1.0.1') => request(`${app.url}/api/bridge/watches?historyLimit=5`, { headers: as(ip) });
+const setRate = (factor) => { for (const h of hotels) h.nightlyRate = Math.round(h.nightlyRate * factor); };
+
+test('alerts fire once per threshold crossing and per drop from the reference price', () => {
+  let w = { belowPrice: 100, dropPercent: 10, state: { reference: null, below: false } };
+  const step = (amount) => {
+    const { reasons, state } = watch.evaluateAlerts(w, amount);
+    w = { ...w, state };
+    return reasons.map((r) => r.type);
+  };
+  assert.deepEqual(step(150), []);           // first price becomes the reference
+  assert.deepEqual(step(140), []);           // -6.7 %
+  assert.deepEqual(step(130), ['drop']);     // -13.3 % from 150, reference now 130
+  assert.deepEqual(step(99), ['below', 'drop']);
+  assert.deepEqual(step(95), []);            // still below, -4 % from 99
+  assert.deepEqual(step(120), []);           // back above: re-armed
+  assert.deepEqual(step(100), ['below']);
+});
+
+test('webhook URLs must be public https unless local targets are allowed', () => {
+  process.env.WATCH_WEBHOOK_ALLOW_LOCAL = 'off';
+  try {
+    assert.equal(watch.webhookViolation('https://hooks.example.com/amello'), null);
+    assert.match(watch.webhookViolation('http://hooks.example.com/amello'), /https/);
+    for (const url of [
+      'https://localhost/x', 'https://10.0.0.7/x', 'https://192.168.1.2/x', 'https://[::1]/x', 'https://100.64.0.9/x',
+      'https://[::ffff:127.0.0.1]/x', 'https://[::ffff:a9fe:a9fe]/x', 'https://2130706433/x', 'nope'
+    ]) {
+      assert.ok(watch.webhookViolation(url), url);
+    }
+    for (const ip of ['100.127.0.1', '64:ff9b::a00:1', 'fd00::1', 'fe80::1', '0:0:0:0:0:ffff:c0a8:101']) assert.ok(watch.privateAddress(ip), ip);
+    for (const ip of ['100.128.0.1', '8.8.8.8', '::ffff:8.8.8.8', '2001:4860:4860::8888']) assert.equal(watch.privateAddress(ip), false, ip);
+  } finally {
+    process.env.WATCH_WEBHOOK_ALLOW_LOCAL = 'on';
+  }
+});
+
+test('invalid watches are rejected with violations', async () => {
+  const r = await create({ tool: 'amello.hotel_offer_post', query: hotelOfferBody({ departureDate: '2020-01-01' }) });
+  assert.equal(r.status, 422);
+  assert.deepEqual(r.body.violations.map((v) => v.propertyPath).sort(), ['belowPrice', 'query.departureDate']);
+
+  // the query is validated as the body of the declared tool
+  const wrongBody = await create({ tool: 'amello.hotel_offer_post', query: findHotelsBody(), belowPrice: 500 });
+  assert.equal(wrongBody.status, 422);
+  assert.deepEqual(wrongBody.body.violations.map((v) => v.propertyPath), ['query.hotelId']);
+  const unknownTool = await create({ tool: 'amello.hotels_get', query: findHotelsBody(), belowPrice: 500 });
+  assert.equal(unknownTool.status, 422);
+  assert.deepEqual(unknownTool.body.violations.map((v) => v.propertyPath), ['tool']);
+});
+
+test('a find-hotels query that names a hotel keeps its destination', async () => {
+  const query = { ...findHotelsBody(), hotelId: 'AT-TIR-001' };
+  const r = await create({ tool: 'amello.find_hotels_post', query, belowPrice: 500 }, '10.1.0.9');
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.deepEqual(r.body.query.destination, query.destination);
+  await request(`${app.url}/api/bridge/watches/delete`, { method: 'POST', body: { watchId: r.body.id }, headers: as('10.1.0.9') });
+});
+
+test('a watch records price history and alerts its webhook on a drop', async () => {
+  const created = await create({
+    tool: 'amello.hotel_offer_post',
+    query: hotelOfferBody(),
+    label: 'Alpenhof in July',
+    belowPrice: 1,
+    dropPercent: 10,
+    webhookUrl: `${hooks.url}/hook?token=abc`
+  });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.status, 'active');
+  assert.equal(created.body.webhook, hooks.url);
+  assert.equal(created.body.client, undefined);
+  assert.ok(fs.existsSync(path.join(dir, `${created.body.id}.json`)));
+
+  assert.equal((await request(`${app.url}/api/watch/run`)).status, 401);
+  assert.equal((await request(`${app.url}/api/watch/run`, { headers: { authorization: 'Bearer wrong' } })).status, 401);
+  const run = await request(`${app.url}/api/watch/run`, { headers: { authorization: `Bearer ${CRON_SECRET}` } });
+  assert.equal(run.status, 200);
+  assert.equal(run.body.checked, 1);
+  assert.equal(run.body.results[0].outcome, 'ok');
+  const first = run.body.results[0].amount;
+  assert.ok(first > 0);
+  assert.equal(received.length, 0);
+
+  // not due again until the interval has passed
+  assert.equal((await watch.runDueWatches()).checked, 0);
+
+  setRate(0.8);
+  const second = await watch.runDueWatches({ now: Date.now() + 7 * HOUR_MS });
+  assert.deepEqual(second.results[0].alerts.map((a) => a.type), ['drop']);
+  assert.equal(received.length, 1);
+  const hook = received[0];
+  assert.equal(hook.headers['x-amello-event'], 'price.alert');
+  assert.equal(hook.headers['x-amello-signature'], watch.signWebhook(WEBHOOK_SECRET, hook.headers['x-amello-timestamp'], hook.body));
+  const payload = JSON.parse(hook.body);
+  assert.equal(payload.watch.watchId, created.body.id);
+  assert.equal(payload.price.previous, first);
+  assert.ok(payload.price.amount < first * 0.85);
+
+  const listed = await list();
+  const w = listed.body.watches[0];
+  assert.equal(w.history.length, 2);
+  assert.equal(w.price.baseline, first);
+  assert.equal(w.price.lowest, payload.price.amount);
+  assert.equal(w.lastAlert.delivered, true);
+});
+
+test('a failed webhook delivery is retried on the next check', async () => {
+  const before = received.length;
+  setRate(0.8);
+  hookStatus = 500;
+  const failed = await watch.runDueWatches({ now: Date.now() + 14 * HOUR_MS });
+  assert.equal(failed.results[0].delivery.delivered, false);
+  hookStatus = 204;
+  const retried = await watch.runDueWatches({ now: Date.now() + 21 * HOUR_MS });
+  assert.deepEqual(retried.results[0].alerts.map((a) => a.type), ['drop']);
+  assert.equal(retried.results[0].delivery.delivered, true);
+  assert.equal(received.length, before + 2);
+});
+
+test('watches are private to their client and limited per client', async () => {
+  const other = '10.1.0.2';
+  assert.deepEqual((await list(other)).body.watches, []);
+  const [mine] = (await list()).body.watches;
+  const del = (id, ip) => request(`${app.url}/api/bridge/watches/delete`, { method: 'POST', body: { watchId: id }, headers: as(ip) });
+  assert.equal((await del(mine.id, other)).status, 404);
+
+  const body = { tool: 'amello.find_hotels_post', query: findHotelsBody(), hotelId: 'AT-TIR-001', belowPrice: 500 };
+  assert.equal((await create(body, other)).status, 200);
+  assert.equal((await create(body, other)).status, 200);
+  assert.equal((await create(body, other)).status, 200);
+  const over = await create(body, other);
+  assert.equal(over.status, 409);
+  assert.equal(over.body.type, '/problems/watch-limit');
+
+  const r = await del(mine.id, '10.1.0.1');
+  assert.deepEqual(r.body, { deleted: true, watchId: mine.id });
+  assert.deepEqual((await list()).body.watches, []);
+});
+
+test('a find-hotels watch follows one hotel and stops once the stay has started', async () => {
+  const [w] = (await list('10.1.0.2')).body.watches;
+  const run = await watch.runDueWatches({ now: Date.now() + 28 * HOUR_MS });
+  const row = run.results.find((r) => r.watchId === w.id);
+  assert.equal(row.outcome, 'ok');
+  const [stored] = (await list('10.1.0.2')).body.watches;
+  assert.equal(stored.history.at(-1).hotelId, 'AT-TIR-001');
+
+  const later = await watch.runDueWatches({ now: Date.parse('2030-07-01T12:00:00Z') });
+  assert.ok(later.results.every((r) => r.outcome === 'expired'));
+  assert.ok((await list('10.1.0.2')).body.watches.every((x) => x.status === 'expired'));
+});
+
+test('webhook targets are checked again when an alert is delivered', async () => {
+  const created = await create({
+    tool: 'amello.hotel_offer_post',
+    query: hotelOfferBody(),
+    belowPrice: 100000,
+    webhookUrl: `https://127.0.0.1:${new URL(hooks.url).port}/hook`
+  }, '10.1.0.3');
+  assert.equal(created.status, 200);
+  const before = received.length;
+  process.env.WATCH_WEBHOOK_ALLOW_LOCAL = 'off';
+  try {
+    const run = await watch.runDueWatches();
+    const row = run.results.find((r) => r.watchId === created.body.id);
+    assert.deepEqual(row.alerts.map((a) => a.type), ['below']);
+    assert.equal(row.delivery.delivered, false);
+    assert.match(row.delivery.error, /Local and private/);
+  } finally {
+    process.env.WATCH_WEBHOOK_ALLOW_LOCAL = 'on';
+  }
+  assert.equal(received.length, before);
+});